@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+/*
+ * The command-line interface of pseudocode-js, which renders LaTeX files (or
+ * the standard input) in batches, e.g. for a static-site build:
+ *
+ *      pseudocode --line-number --out-dir public/algorithms algorithms/*.tex
+ *
+ * Run `pseudocode --help` for the flags. The flags of the options are those
+ * of the options in kebab case, e.g. --line-number for `lineNumber`.
+ **/
+var fs = require('fs');
+var path = require('path');
+var pseudocode = require('../pseudocode');
+
+/*
+ * The options that can be given as flags. A boolean flag may be given without
+ * a value, e.g. --line-number, or with one, e.g. --line-number=false; a map
+ * flag, e.g. --keyword endif=fi, may be given more than once; a json flag
+ * takes an object, e.g. --katex-options '{"throwOnError": false}'; a style
+ * flag is a boolean flag that may instead be given a style, e.g.
+ * --fragments=fade-up.
+ **/
+var OPTIONS = [
+    // RendererOptions
+    { name: 'indentSize', type: 'string', help: 'the indentation of blocks, e.g. 1.2em (spaces for text)' },
+    { name: 'commentDelimiter', type: 'string', help: 'the text before a comment' },
+    { name: 'flushComments', type: 'boolean', help: 'flush the comments to the end of their lines' },
+    { name: 'lineNumber', type: 'boolean', help: 'number the lines' },
+    { name: 'lineNumberPunc', type: 'string', help: 'the punctuation after a line number' },
+    { name: 'noEnd', type: 'boolean', help: 'leave out the ends of blocks, e.g. `end if`' },
+    { name: 'scopeLines', type: 'boolean', help: 'draw a line along each block' },
+    { name: 'captionCount', type: 'number', help: 'the number of captions before the first one' },
+    { name: 'titlePrefix', type: 'string', help: 'the prefix of captions, e.g. Algorithm' },
+    { name: 'locale', type: 'string', help: 'the language of the keywords, e.g. de' },
+    { name: 'keywords', flag: 'keyword', type: 'map', help: 'a keyword, as name=text, e.g. endif=fi' },
+    { name: 'statementTerminator', type: 'string', help: 'the text after every statement, e.g. ;' },
+    { name: 'style', type: 'string', help: 'the style of the pseudocode, e.g. clrs' },
+    { name: 'accessible', type: 'boolean', help: 'add the semantics that screen readers need' },
+    { name: 'description', type: 'boolean', help: 'add a hidden plain-text description' },
+    { name: 'interactive', type: 'boolean', help: 'add toggles that fold the blocks' },
+    { name: 'fragments', type: 'style', help: 'make the lines reveal.js fragments, of a style if given' },
+    { name: 'mathBackend', type: 'string', help: 'what renders math: katex, mathjax, temml, unicode or tex' },
+    { name: 'katexOptions', type: 'json', help: 'the options of KaTeX, e.g. \'{"throwOnError": false}\'' },
+    { name: 'mathjaxOutput', type: 'string', help: 'the output of MathJax outside of a page: chtml or svg' },
+    { name: 'functionURLs', flag: 'function-url', type: 'map', help: 'the URL of a function defined elsewhere, as name=url' },
+    // The options of the parser
+    { name: 'macros', flag: 'macro', type: 'map', help: 'a macro, as name=definition, e.g. \'\\Cost=\\mathcal{C}\'' },
+    { name: 'tolerant', type: 'boolean', help: 'render what can be parsed, with the errors in place' },
+    { name: 'dialect', type: 'string', help: 'the LaTeX package of the input: algorithmic or algorithm2e' },
+    // The options of plain-text and SVG output
+    { name: 'color', type: 'boolean', help: 'highlight plain text with ANSI escape codes' },
+    { name: 'fontSize', type: 'number', help: 'the size of the text of SVG, in pixels' },
+    { name: 'fontFamily', type: 'string', help: 'the font of the text of SVG' },
+    { name: 'background', type: 'string', help: 'the background of SVG, or none' },
+];
+
+/* The formats of the output, by name, with the extensions of their files */
+var FORMATS = {
+    html: { extension: '.html', help: 'an HTML fragment, as renderToString' },
+    page: { extension: '.html', help: 'a standalone HTML page, with the CSS inlined' },
+    text: { extension: '.txt', help: 'plain text, as renderToText' },
+    svg: { extension: '.svg', help: 'a standalone SVG image, as renderToSVG' },
+};
+
+/* An error in the command line, which is reported together with the usage */
+function UsageError (message) {
+    this.name = 'UsageError';
+    this.message = message;
+}
+UsageError.prototype = Object.create(Error.prototype);
+UsageError.prototype.constructor = UsageError;
+
+function toKebabCase (name) {
+    return name.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`);
+}
+
+function findOption (flag) {
+    for (var oi = 0; oi < OPTIONS.length; oi++) {
+        var option = OPTIONS[oi];
+        if ((option.flag || toKebabCase(option.name)) === flag) return option;
+    }
+    return null;
+}
+
+function parseValue (option, value) {
+    switch (option.type) {
+        case 'boolean':
+            if (value === undefined || value === 'true') return true;
+            if (value === 'false') return false;
+            throw new UsageError(`--${option.flag || toKebabCase(option.name)} expects true or false`);
+        case 'style':
+            if (value === undefined || value === 'true') return true;
+            if (value === 'false') return false;
+            return value;
+        case 'number':
+            if (value === '' || isNaN(Number(value)))
+                throw new UsageError(`--${toKebabCase(option.name)} expects a number`);
+            return Number(value);
+        case 'json':
+            var object;
+            try {
+                object = JSON.parse(value);
+            }
+            catch (_) { /* handled below */ }
+            if (!object || typeof object !== 'object' || Array.isArray(object))
+                throw new UsageError(`--${toKebabCase(option.name)} expects a JSON object`);
+            return object;
+        default:
+            return value;
+    }
+}
+
+/*
+ * Parse the arguments of the command line into { files, format, output,
+ * outDir, watch, help, version, options }, where the options are those of
+ * the renderers.
+ **/
+function parseArgs (args) {
+    var parsed = {
+        files: [],
+        format: 'html',
+        output: null,
+        outDir: null,
+        watch: false,
+        help: false,
+        version: false,
+        options: {},
+    };
+
+    for (var ai = 0; ai < args.length; ai++) {
+        var arg = args[ai];
+        if (arg === '-' || arg[0] !== '-') {
+            parsed.files.push(arg);
+            continue;
+        }
+        if (arg === '--') {
+            parsed.files = parsed.files.concat(args.slice(ai + 1));
+            break;
+        }
+
+        // A flag is given as --flag value or --flag=value
+        var match = /^--?([^=]+)(?:=([\s\S]*))?$/.exec(arg);
+        var flag = match[1];
+        var value = match[2];
+        var takeValue = () => {
+            if (value !== undefined) return value;
+            if (ai + 1 >= args.length) throw new UsageError(`${arg} expects a value`);
+            return args[++ai];
+        };
+
+        switch (flag) {
+            case 'h':
+            case 'help':
+                parsed.help = true;
+                continue;
+            case 'v':
+            case 'version':
+                parsed.version = true;
+                continue;
+            case 'w':
+            case 'watch':
+                parsed.watch = true;
+                continue;
+            case 'f':
+            case 'format':
+                parsed.format = takeValue();
+                if (!Object.prototype.hasOwnProperty.call(FORMATS, parsed.format)) {
+                    throw new UsageError(`Unknown format \`${parsed.format}\`; ` +
+                                         `expected one of ${Object.keys(FORMATS).join(', ')}`);
+                }
+                continue;
+            case 'o':
+            case 'output':
+                parsed.output = takeValue();
+                continue;
+            case 'out-dir':
+                parsed.outDir = takeValue();
+                continue;
+        }
+
+        var option = findOption(flag);
+        if (!option) throw new UsageError(`Unknown flag ${arg}`);
+        if (option.type === 'boolean' || option.type === 'style') {
+            parsed.options[option.name] = parseValue(option, value);
+        }
+        else if (option.type === 'map') {
+            var entry = takeValue();
+            var separator = entry.indexOf('=');
+            if (separator <= 0) throw new UsageError(`${arg} expects name=value`);
+            parsed.options[option.name] = parsed.options[option.name] || {};
+            parsed.options[option.name][entry.substring(0, separator)] = entry.substring(separator + 1);
+        }
+        else {
+            parsed.options[option.name] = parseValue(option, takeValue());
+        }
+    }
+
+    if (parsed.files.length === 0) parsed.files.push('-');
+    if (parsed.output && parsed.outDir) throw new UsageError('--output and --out-dir cannot be used together');
+    if (parsed.watch && parsed.files.indexOf('-') >= 0)
+        throw new UsageError('--watch needs files; the standard input cannot be watched');
+    return parsed;
+}
+
+function usage () {
+    var flags = [
+        ['-f, --format <format>', 'the format of the output (default: html):'],
+    ].concat(Object.keys(FORMATS).map((name) => ['', `  ${name}: ${FORMATS[name].help}`]), [
+        ['-o, --output <file>', 'write all the outputs to a file'],
+        ['    --out-dir <dir>', 'write the output of each file to a file in a directory'],
+        ['-w, --watch', 'render the files again whenever they change'],
+        ['-h, --help', 'show this help'],
+        ['-v, --version', 'show the version'],
+    ]);
+    var options = OPTIONS.map((option) => {
+        var flag = `    --${option.flag || toKebabCase(option.name)}`;
+        if (option.type === 'map') flag += ' <name=value>';
+        else if (option.type === 'style') flag += '[=<style>]';
+        else if (option.type !== 'boolean') flag += ` <${option.type}>`;
+        return [flag, option.help];
+    });
+
+    // The help of every flag starts in the same column
+    var width = Math.max.apply(null, flags.concat(options).map((row) => row[0].length)) + 2;
+    var format = (row) => `  ${row[0].padEnd(width)}${row[1]}`;
+    return [
+        'Usage: pseudocode [flags] [file.tex ...]',
+        '',
+        'Render LaTeX pseudocode files, or the standard input (-), to HTML, plain text',
+        'or SVG. The outputs are written to the standard output, unless --output or',
+        '--out-dir is given.',
+        '',
+        'Flags:',
+    ].concat(flags.map(format), ['', 'Options:'], options.map(format)).join('\n');
+}
+
+/* Render an input in a format, and return the promise of the output. The
+ * options are copied, since every input has a context of its own. */
+function render (input, format, options, title) {
+    options = Object.assign({}, options, { context: new pseudocode.Context() });
+    switch (format) {
+        case 'text':
+            // An indentation in spaces, e.g. 4, is a number for renderToText
+            if (/^\d+$/.test(options.indentSize)) options.indentSize = Number(options.indentSize);
+            return Promise.resolve(`${pseudocode.renderToText(input, options)}\n`);
+        case 'svg':
+            return Promise.resolve(`${pseudocode.renderToSVG(input, options)}\n`);
+        case 'page':
+            return pseudocode.renderToStringAsync(input, options).then((html) => makePage(html, title));
+        default:
+            return pseudocode.renderToStringAsync(input, options).then((html) => `${html}\n`);
+    }
+}
+
+/*
+ * A standalone HTML page, where the CSS of pseudocode-js is inlined. The CSS
+ * imports that of KaTeX; the math typeset by MathJax comes with its CSS.
+ **/
+function makePage (html, title) {
+    var css = fs.readFileSync(path.join(__dirname, '..', 'static', 'pseudocode.css'), 'utf8');
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHTML(title)}</title>`,
+        '<style>',
+        css.trim(),
+        '</style>',
+        '</head>',
+        '<body>',
+        html,
+        '</body>',
+        '</html>',
+        '',
+    ].join('\n');
+}
+
+function escapeHTML (text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function readInput (file) {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+/* The file that the output of an input is written to with --out-dir */
+function outputFile (file, parsed) {
+    var name = file === '-' ? 'stdin' : path.basename(file, path.extname(file));
+    return path.join(parsed.outDir, name + FORMATS[parsed.format].extension);
+}
+
+/* Report an error of an input, with the lines around it if it has a position */
+function reportError (file, error) {
+    var source = file === '-' ? '<stdin>' : file;
+    process.stderr.write(`${source}: ${error.message}\n`);
+    if (error.codeFrame) process.stderr.write(`${error.codeFrame}\n`);
+}
+
+/* Render the files one by one and write their outputs; return the promise of
+ * whether all of them were rendered */
+function renderFiles (files, parsed) {
+    var outputs = [];
+    var ok = true;
+    var rendering = files.reduce((previous, file) => previous.then(() => {
+        var title = file === '-' ? 'Pseudocode' : path.basename(file, path.extname(file));
+        return render(readInput(file), parsed.format, parsed.options, title).then((output) => {
+            if (parsed.outDir) {
+                fs.mkdirSync(parsed.outDir, { recursive: true });
+                fs.writeFileSync(outputFile(file, parsed), output);
+            }
+            else {
+                outputs.push(output);
+            }
+        });
+    }).catch((error) => {
+        reportError(file, error);
+        ok = false;
+    }), Promise.resolve());
+
+    return rendering.then(() => {
+        if (parsed.output) fs.writeFileSync(parsed.output, outputs.join(''));
+        else if (!parsed.outDir) process.stdout.write(outputs.join(''));
+        return ok;
+    });
+}
+
+/* Render the files again whenever they change. The files are polled, since an
+ * editor may replace a file rather than write it. */
+function watchFiles (parsed) {
+    parsed.files.forEach((file) => {
+        fs.watchFile(file, { interval: 300 }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+            // With --output, all the outputs are in the same file
+            renderFiles(parsed.output ? parsed.files : [file], parsed).then((ok) => {
+                process.stderr.write(`${ok ? 'Rendered' : 'Failed to render'} ${file}\n`);
+            });
+        });
+    });
+    process.stderr.write(`Watching ${parsed.files.length} file(s); press Ctrl+C to stop\n`);
+}
+
+/* Run the command, and return the promise of its exit status, or of null if
+ * it keeps watching the files */
+function main (args) {
+    var parsed;
+    try {
+        parsed = parseArgs(args);
+    }
+    catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        process.stderr.write(`${error.message}\n\n${usage()}\n`);
+        return Promise.resolve(2);
+    }
+
+    if (parsed.help) {
+        process.stdout.write(`${usage()}\n`);
+        return Promise.resolve(0);
+    }
+    if (parsed.version) {
+        process.stdout.write(`${require('../package.json').version}\n`);
+        return Promise.resolve(0);
+    }
+
+    return renderFiles(parsed.files, parsed).then((ok) => {
+        if (!parsed.watch) return ok ? 0 : 1;
+        watchFiles(parsed);
+        return null;
+    });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((exitCode) => {
+        if (exitCode !== null) process.exitCode = exitCode;
+    });
+}
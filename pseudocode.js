@@ -3,29 +3,133 @@
  **/
 
 var ParseError = require('./src/ParseError');
+var RuntimeError = require('./src/RuntimeError');
+var Context = require('./src/Context');
 var Lexer = require('./src/Lexer');
 var Parser = require('./src/Parser');
+var Algorithm2eParser = require('./src/Algorithm2eParser');
 var Renderer = require('./src/Renderer');
+var TextRenderer = require('./src/TextRenderer');
+var SVGRenderer = require('./src/SVGRenderer');
+var Formatter = require('./src/Formatter');
+var styles = require('./src/styles');
+var mathBackends = require('./src/mathBackends');
+var folding = require('./src/folding');
+var callLinks = require('./src/callLinks');
+var StepController = require('./src/StepController');
+var Interpreter = require('./src/Interpreter');
+
+/*
+ * Make the parser of the dialect of the input, i.e. the `dialect` option:
+ * 'algorithmic' or 'algorithm2e'. Without the option, an input with
+ * \begin{algorithm2e} is taken as algorithm2e, and any other as algorithmic.
+ **/
+function makeParser (data, options) {
+    var dialect = options && options.dialect;
+    if (dialect === undefined || dialect === null)
+        dialect = /\\begin\s*\{algorithm2e\}/.test(data) ? 'algorithm2e' : 'algorithmic';
+
+    var lexer = new Lexer(data, options);
+    if (dialect === 'algorithm2e') return new Algorithm2eParser(lexer, options);
+    if (dialect !== 'algorithmic')
+        throw new TypeError(`Unknown dialect \`${dialect}\`; expected 'algorithmic' or 'algorithm2e'`);
+    return new Parser(lexer, options);
+}
 
 function makeRenderer (data, options) {
-    var lexer = new Lexer(data);
-    var parser = new Parser(lexer);
-    return new Renderer(parser, options);
+    return new Renderer(makeParser(data, options), options);
 }
 
-function mathjaxTypeset (elem) {
-    try {
-        // MathJax 3.x
-        MathJax.typeset([elem]);
-    }
-    catch (_) {
-        // MathJax 2.x
-        MathJax.Hub.Queue(["Typeset", MathJax.Hub, elem]);
+/*
+ * Finish the DOM element of a renderer once it is in place: typeset its math,
+ * if the backend leaves it to the page, enable the toggles of its blocks, if
+ * it has any (in interactive mode), and the highlights of the definitions of
+ * the functions it calls, if any.
+ **/
+function finishElement (renderer, elem) {
+    if (renderer.backend.typesetElement)
+        renderer.backend.typesetElement(elem);
+    if (elem.querySelector('.ps-toggle'))
+        folding.enableFolding(elem);
+    if (elem.querySelector('a.ps-call'))
+        callLinks.highlightDefinitions(elem);
+}
+
+/*
+ * Build the panel that takes the place of an element that cannot be rendered:
+ * the error message and, if the error has a position, the lines around it with
+ * the line of the error highlighted.
+ **/
+function makeErrorPanel (error) {
+    var panel = document.createElement('div');
+    panel.className = 'ps-root ps-error-panel';
+    panel.setAttribute('role', 'alert');
+
+    var message = document.createElement('div');
+    message.className = 'ps-error-panel-message';
+    message.textContent = error.message;
+    panel.appendChild(message);
+
+    if (error.codeFrame) {
+        var frame = document.createElement('pre');
+        frame.className = 'ps-error-panel-source';
+        error.codeFrame.split('\n').forEach((line) => {
+            var lineElem = document.createElement('span');
+            // The line of the error and the caret under it
+            if (line[0] === '>' || /^\s*\|\s*\^$/.test(line))
+                lineElem.className = 'ps-error-panel-mark';
+            lineElem.textContent = `${line}\n`;
+            frame.appendChild(lineElem);
+        });
+        panel.appendChild(frame);
     }
+
+    return panel;
+}
+
+/*
+ * Fill in the references in a rendered element to the labels that were not
+ * defined when it was rendered, e.g. those in a later algorithm, and link the
+ * calls to the functions defined there.
+ **/
+function resolveRefs (elem, context) {
+    [].forEach.call(elem.querySelectorAll('a.ps-ref[data-ref]'), (refElem) => {
+        var label = context.lookupLabel(refElem.getAttribute('data-ref'));
+        if (label) refElem.textContent = String(label.number);
+    });
+    [].forEach.call(elem.querySelectorAll('a.ps-call[data-call]'), (callElem) => {
+        var func = context.lookupFunction(callElem.getAttribute('data-call'));
+        if (func) callElem.setAttribute('href', `#${func.id}`);
+    });
 }
 
 module.exports = {
     ParseError: ParseError,
+    RuntimeError: RuntimeError,
+    Context: Context,
+    defineBlock: function (definition) {
+        Parser.defineBlock(definition);
+    },
+    undefineBlock: function (begin) {
+        return Parser.undefineBlock(begin);
+    },
+    defineStyle: function (name, style) {
+        styles.defineStyle(name, style);
+    },
+    // The bundled math backends, e.g. `mathBackends.katex(katex)`
+    mathBackends: {
+        katex: mathBackends.katex,
+        mathjax: mathBackends.mathjax,
+        temml: mathBackends.temml,
+        unicode: mathBackends.unicode,
+        tex: mathBackends.tex,
+    },
+    parse: function (input, options) {
+        if (input === null || input === undefined)
+            throw new ReferenceError('Input cannot be empty');
+
+        return makeParser(input, options).parse().toJSON();
+    },
     render: function (input, baseDomEle, options) {
         if (input === null || input === undefined)
             throw new ReferenceError('Input cannot be empty');
@@ -35,9 +139,7 @@ module.exports = {
         if (baseDomEle)
             baseDomEle.appendChild(elem);
 
-        if (renderer.backend.name === 'mathjax')
-            mathjaxTypeset(elem);
-
+        finishElement(renderer, elem);
         return elem;
     },
     renderToString: function (input, options) {
@@ -45,34 +147,107 @@ module.exports = {
             throw new ReferenceError('Input cannot be empty');
 
         var renderer = makeRenderer(input, options);
-        if (renderer.backend.name === 'mathjax')
-            console.warn('Using MathJax backend -- math may not be rendered.');
+        if (renderer.defersMath())
+            console.warn(`Using ${renderer.backend.name} backend -- math may not be rendered.`);
 
         return renderer.toMarkup();
     },
+    renderToStringAsync: function (input, options) {
+        return new Promise((resolve) => {
+            if (input === null || input === undefined)
+                throw new ReferenceError('Input cannot be empty');
+
+            // The engine of the math, e.g. MathJax outside of a page, is loaded
+            // before it typesets the math
+            var renderer = makeRenderer(input, options);
+            resolve(renderer.loadMath().then(() => renderer.toMarkup()));
+        });
+    },
+    renderToText: function (input, options) {
+        if (input === null || input === undefined)
+            throw new ReferenceError('Input cannot be empty');
+
+        return new TextRenderer(makeParser(input, options), options).toText();
+    },
+    renderToSVG: function (input, options) {
+        if (input === null || input === undefined)
+            throw new ReferenceError('Input cannot be empty');
+
+        return new SVGRenderer(makeParser(input, options), options).toSVG();
+    },
+    format: function (input, options) {
+        if (input === null || input === undefined)
+            throw new ReferenceError('Input cannot be empty');
+
+        // Keep the macros as they are
+        var parserOptions = Object.assign({}, options, { expandMacros: false });
+        return new Formatter(makeParser(input, parserOptions), options).toSource();
+    },
+    run: function (input, options) {
+        if (input === null || input === undefined)
+            throw new ReferenceError('Input cannot be empty');
+
+        return new Interpreter(makeParser(input, options), options).run();
+    },
     renderElement: function (elem, options) {
         if (!(elem instanceof Element))
             throw new ReferenceError('A DOM element is required');
 
         elem.style.display = 'none';
 
-        var renderer = makeRenderer(elem.textContent, options);
-
-        var newElem = renderer.toDOM();
+        var renderer;
+        var newElem;
+        try {
+            renderer = makeRenderer(elem.textContent, options);
+            newElem = renderer.toDOM();
+        }
+        catch (e) {
+            // Replace the element with an error panel, or whatever the callback
+            // returns, so that an error doesn't leave the element hidden
+            var onError = options && options.onError;
+            var errorElem = onError ? onError(e, elem) : makeErrorPanel(e);
+            if (errorElem) elem.replaceWith(errorElem);
+            else elem.style.display = '';
+            return errorElem;
+        }
         elem.replaceWith(newElem);
 
-        if (renderer.backend) {
-            if (renderer.backend.name === 'mathjax')
-                mathjaxTypeset(newElem);
-        }
+        finishElement(renderer, newElem);
+        return newElem;
     },
 
     renderClass: function (className, options) {
-        [].forEach.call(
-            document.getElementsByClassName(className),
-            function (el) {
-                this.renderElement(el, options);
-            }
-        );
+        // Copy the elements first, as rendering one removes it from the live
+        // collection returned by getElementsByClassName
+        var elems = [].slice.call(document.getElementsByClassName(className));
+
+        // The elements share a context, so that they are numbered one after
+        // another and can refer to each other
+        options = Object.assign({}, options);
+        if (!options.context) options.context = new Context();
+        if (options.captionCount !== undefined) {
+            options.context.resetCaptionCount(options.captionCount);
+            delete options.captionCount;
+        }
+
+        var newElems = elems.map((el) => this.renderElement(el, options));
+        newElems.forEach((newElem) => {
+            if (newElem) resolveRefs(newElem, options.context);
+        });
+    },
+    collapseBlocks: function (elem, depth) {
+        folding.collapseBlocks(elem, depth);
+    },
+    expandBlocks: function (elem) {
+        folding.expandBlocks(elem);
+    },
+    enableFolding: function (elem) {
+        folding.enableFolding(elem);
+    },
+    stepThrough: function (elem) {
+        return new StepController(elem);
+    },
+    highlightDefinitions: function (elem) {
+        callLinks.highlightDefinitions(elem);
     },
 };
@@ -0,0 +1,740 @@
+/**
+ * The Algorithm2eParser class parses the input written for the algorithm2e
+ * package of LaTeX into the same tree as Parser, so that it is rendered the
+ * same way. For example,
+ *
+ *     \begin{algorithm}
+ *     \SetKwFunction{Fact}{Factorial}
+ *     \KwData{$n \geq 0$}
+ *     \eIf{$n = 0$}{\KwRet{$1$}\;}{\KwRet{$n \cdot$ \Fact{$n - 1$}}\;}
+ *     \end{algorithm}
+ *
+ * Texts are parsed as by Parser. The rest of the grammar is that of
+ * algorithm2e, where blocks are in braces and statements end with `\;`:
+ *
+ *     <pseudo>        :== <algorithm>[0..n]
+ *     <algorithm>     :== \begin{algorithm}( [<placement>] )[0..1]
+ *                           ( <caption> | <io> | <setting> | <item> )[0..n]
+ *                         \end{algorithm}
+ *                         (same for algorithm2e and algorithm*)
+ *     <caption>       :== \caption{<close-text>} ( <label> )[0..1]
+ *     (A label right after the caption names the algorithm)
+ *     <io>            :== \KwData{<open-text>} | \KwResult{<open-text>} |
+ *                         \KwIn{<open-text>} | \KwOut{<open-text>}
+ *                         (or defined by \SetKwInput or \SetKwInOut)
+ *
+ *     <block>         :== { ( <setting> | <item> )[0..n] }
+ *     <item>          :== <if> | <loop> | <repeat> | <switch> | <program> |
+ *                         <return> | <comment> | <label> | <statement>
+ *
+ *     <if>            :== \If<side>{<cond>} <block> |
+ *                         \eIf<side>{<cond>} <block> <side> <block> |
+ *                         \uIf<side>{<cond>} <block>
+ *                           ( \uElseIf<side>{<cond>} <block> )[0..n]
+ *                           ( \ElseIf<side>{<cond>} <block> |
+ *                             \Else<side> <block> )[0..1]
+ *                         (\lIf, \leIf, \lElseIf and \lElse as well)
+ *     <loop>          :== \For<side>{<cond>} <block>
+ *                         (same for \ForEach, \ForAll, \While and the
+ *                         l-forms, e.g. \lFor)
+ *     <repeat>        :== \Repeat<side>{<cond>} <block>
+ *     <switch>        :== \Switch<side>{<cond>}
+ *                           { ( <case> | <other> | <comment> | <label> )[0..n] }
+ *     <case>          :== \Case<side>{<cond>} <block>
+ *                         (same for \uCase and \lCase)
+ *     <other>         :== \Other<side> <block>
+ *                         (same for \uOther and \lOther)
+ *     <program>       :== \<name><side>{<open-text>} <block>
+ *                         (defined by \SetKwProg, \SetKwFor or \SetKwBlock,
+ *                         which has no text)
+ *     <side>          :== ( (<comment>[1..n]) )[0..1]
+ *     (The side comments are on the line of the command)
+ *
+ *     <statement>     :== <open-text> \; | <open-text>
+ *     (A statement without \; ends where its text ends, e.g. at the end of
+ *     a block)
+ *     <return>        :== \KwRet{<open-text>} ( \; )[0..1]
+ *                         (same for \Return)
+ *     <comment>       :== \tcc{<close-text>} | \tcc*[<position>]{<close-text>}
+ *                         (same for \tcp)
+ *     (\tcc* is at the end of the line before it; \tcc is on a line of its
+ *     own)
+ *
+ *     <setting>       :== \SetKwFunction{<name>}{<ordinary>} |
+ *                         \SetKwProg{<name>}{<keyword>}{<keyword>}{<keyword>} |
+ *                         \SetKwFor{<name>}{<keyword>}{<keyword>}{<keyword>} |
+ *                         \SetKwBlock{<name>}{<keyword>}{<keyword>} |
+ *                         \SetKwInput{<name>}{<keyword>} |
+ *                         \SetKwInOut{<name>}{<keyword>} |
+ *                         \SetKwData{<name>}{<ordinary>} |
+ *                         \SetKw{<name>}{<keyword>} |
+ *                         \SetAlgoLined | \DontPrintSemicolon | ...
+ *     (The settings of the layout are skipped)
+ *
+ * In texts, a function defined by \SetKwFunction, e.g. \Fact{<close-text>},
+ * is a <call>, and \KwTo, \KwTrue and \KwFalse are keywords, as \TO is.
+ *
+ * A program whose text is a call of a function, e.g. \Fn{\Fact{$n$}}, is a
+ * <function> of Parser, which is a procedure if its keyword is `Procedure`;
+ * any other program is a custom block (see Parser.defineBlock).
+ */
+var Parser = require('./Parser');
+
+var ParseNode = Parser.ParseNode;
+var AtomNode = Parser.AtomNode;
+
+var Algorithm2eParser = function (lexer, options) {
+    Parser.call(this, lexer, options);
+    // The commands defined in the input, e.g. by \SetKwFunction, by their
+    // names, which are case-sensitive
+    this._definitions = {};
+};
+Algorithm2eParser.prototype = Object.create(Parser.prototype);
+Algorithm2eParser.prototype.constructor = Algorithm2eParser;
+
+var ENVIRONMENTS = ['algorithm', 'algorithm2e', 'algorithm*'];
+
+/* The pre/post-conditions, by their commands */
+var IO_COMMANDS = { kwdata: 'require', kwresult: 'ensure', kwin: 'input', kwout: 'output' };
+
+var IF_COMMANDS = ['if', 'uif', 'lif', 'eif', 'leif'];
+var ELSE_IF_COMMANDS = ['elseif', 'uelseif', 'lelseif'];
+var ELSE_COMMANDS = ['else', 'uelse', 'lelse'];
+/* The loops, by their commands */
+var LOOP_COMMANDS = {
+    for: 'for', lfor: 'for',
+    foreach: 'foreach', lforeach: 'foreach',
+    forall: 'forall', lforall: 'forall',
+    while: 'while', lwhile: 'while',
+};
+var REPEAT_COMMANDS = ['repeat', 'lrepeat'];
+var CASE_COMMANDS = ['case', 'ucase', 'lcase'];
+var OTHER_COMMANDS = ['other', 'uother', 'lother'];
+var RETURN_COMMANDS = ['kwret', 'return'];
+var COMMENT_COMMANDS = ['tcc', 'tcp'];
+
+/* The keywords in texts, by their commands */
+var TEXT_KEYWORDS = { kwto: 'to', kwtrue: 'true', kwfalse: 'false' };
+
+/* The commands that define other commands, by their numbers of arguments */
+var DEFINITIONS = {
+    setkwfunction: 2, setkwprog: 4, setkwfor: 4, setkwblock: 3,
+    setkwinput: 2, setkwinout: 2, setkwdata: 2, setkw: 2,
+};
+
+/*
+ * The settings of the layout, which don't matter here, by their numbers of
+ * arguments
+ */
+var SETTINGS = {
+    setalgolined: 0, setalgovlined: 0, setalgonoline: 0, setalgonoend: 0,
+    setalgohanginginout: 0, dontprintsemicolon: 0, printsemicolon: 0,
+    linesnumbered: 0, linesnumberedhidden: 0, linesnotnumbered: 0,
+    showln: 0, nl: 0, blankline: 0, setsidecommentleft: 0,
+    setsidecommentright: 0, setfillcomment: 0, setnofillcomment: 0,
+    resetinout: 1, setind: 2, setnlsty: 3, setnlskip: 1, setalgoskip: 1,
+    setalgoinsideskip: 1, setvlineskip: 1, incmargin: 1, decmargin: 1,
+    setalcapfnt: 1, setalcapnamefnt: 1, setalcapsty: 1, setalcapnamesty: 1,
+    setalgocaptionseparator: 1, setargsty: 1, setfuncsty: 1, setfuncargsty: 1,
+    setdatasty: 1, setkwsty: 1, setprogsty: 1, setcommentsty: 1,
+};
+
+/* The keywords that start an item of a block */
+var BLOCK_ITEMS = IF_COMMANDS.concat(Object.keys(LOOP_COMMANDS), REPEAT_COMMANDS,
+                                     RETURN_COMMANDS, COMMENT_COMMANDS, ['switch', 'label']);
+
+function lookup (table, name) {
+    return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : null;
+}
+
+Algorithm2eParser.prototype._parseEnvironment = function (envName) {
+    if (ENVIRONMENTS.indexOf(envName) < 0) return null;
+    return this._parseAlgorithmInner();
+};
+
+/*
+ * The caption goes to the algorithm, and the rest of it to the algorithmic
+ * inside, as if it were written for the algorithmic package
+ */
+Algorithm2eParser.prototype._parseAlgorithmInner = function () {
+    var lexer = this._lexer;
+    var algNode = new ParseNode('algorithm');
+    var algmicNode = new ParseNode('algorithmic');
+
+    // The placement, e.g. [H], doesn't matter here
+    var atom = lexer.peek();
+    if (atom.type === 'ordinary' && /^\[\w*\]$/.test(atom.text)) lexer.skip();
+
+    // The blocks at the top level end at pre/post-conditions, the caption or
+    // \end
+    this._closers.push(['end', 'caption']);
+    var node;
+    while (true) {
+        if (this._parseSetting()) continue;
+
+        var startAtom = lexer.peek();
+        var captionNode;
+        try {
+            captionNode = this._parseCaption();
+        }
+        catch (e) {
+            // e.g. for an unclosed `{`
+            this._report(e);
+            algmicNode.addChild(this._recover(e, startAtom));
+            continue;
+        }
+        if (captionNode) {
+            var labelNode = this._parseReference('label');
+            if (labelNode) {
+                this._endNode(captionNode.children[0]).addChild(labelNode);
+                this._endNode(captionNode);
+            }
+            algNode.addChild(captionNode);
+            continue;
+        }
+
+        startAtom = lexer.peek();
+        try {
+            node = this._parseIO();
+        }
+        catch (e) {
+            this._report(e);
+            node = this._recover(e, startAtom);
+        }
+        if (node) {
+            algmicNode.addChild(node);
+            continue;
+        }
+
+        node = this._parseBlock();
+        if (node.children.length > 0) {
+            algmicNode.addChild(node);
+            continue;
+        }
+
+        break;
+    }
+    this._closers.pop();
+
+    algNode.addChild(this._spanChildren(algmicNode));
+    return algNode;
+};
+
+/* The pre/post-condition that an atom starts, if any, e.g. 'require' for \KwData */
+Algorithm2eParser.prototype._ioStatementOf = function (atom) {
+    if (atom.type !== 'func') return null;
+    if (lookup(this._definitions, atom.text)) {
+        var definition = this._definitionOf(atom, 'io');
+        return definition ? definition.statement : null;
+    }
+    return lookup(IO_COMMANDS, atom.text.toLowerCase());
+};
+
+/* The definition of the command that an atom is, if it is of the kind(s) */
+Algorithm2eParser.prototype._definitionOf = function (atom, kinds) {
+    if (atom.type !== 'func') return null;
+    var definition = lookup(this._definitions, atom.text);
+    return definition && [].concat(kinds).indexOf(definition.kind) >= 0 ? definition : null;
+};
+
+/* The blocks end at `}`, and those at the top level at pre/post-conditions too */
+Algorithm2eParser.prototype._atCloser = function () {
+    var atom = this._lexer.peek();
+    if (atom.type === 'close') return true;
+    if (this._closers.length === 1 && this._ioStatementOf(atom)) return true;
+    return Parser.prototype._atCloser.call(this);
+};
+
+Algorithm2eParser.prototype._atBlockItem = function () {
+    var atom = this._lexer.peek();
+    if (atom.type !== 'func') return false;
+    if (this._definitionOf(atom, ['program', 'block'])) return true;
+
+    var name = atom.text.toLowerCase();
+    return BLOCK_ITEMS.indexOf(name) >= 0 || lookup(DEFINITIONS, name) !== null ||
+        lookup(SETTINGS, name) !== null;
+};
+
+/* A statement that cannot be parsed is skipped up to its \; as well */
+Algorithm2eParser.prototype._recover = function (error, startAtom) {
+    var lexer = this._lexer;
+    // Skip at least one atom so that the same error doesn't occur again
+    if (lexer.peek() === startAtom) lexer.skip();
+    while (lexer.get().type !== 'terminator' && !this._atCloser() && !this._atBlockItem())
+        lexer.skip();
+
+    return this._errorNode(error, startAtom.start, lexer.get().end);
+};
+
+/*
+ * A definition of a command, e.g. \SetKwFunction{Fact}{Factorial}, or a
+ * setting of the layout, e.g. \SetAlgoLined, which is skipped. Return whether
+ * there is one.
+ */
+Algorithm2eParser.prototype._parseSetting = function () {
+    var lexer = this._lexer;
+    var atom = lexer.peek();
+    if (atom.type !== 'func') return false;
+
+    var command = atom.text.toLowerCase();
+    if (lookup(DEFINITIONS, command) !== null) {
+        lexer.skip();
+        this._parseDefinition(command);
+        return true;
+    }
+
+    var numArgs = lookup(SETTINGS, command);
+    if (numArgs === null) return false;
+    lexer.skip();
+    for (var ai = 0; ai < numArgs; ai++) this._parseRawArg();
+    return true;
+};
+
+Algorithm2eParser.prototype._parseDefinition = function (command) {
+    var args = [];
+    for (var ai = 0; ai < DEFINITIONS[command]; ai++) args.push(this._parseRawArg());
+
+    var name = args[0];
+    var definition;
+    switch (command) {
+        case 'setkwfunction':
+            definition = { kind: 'function', text: args[1] };
+            break;
+        case 'setkwdata':
+            definition = { kind: 'data', text: args[1] };
+            break;
+        case 'setkw':
+            definition = { kind: 'keyword', text: args[1] };
+            break;
+        case 'setkwinput':
+        case 'setkwinout':
+            definition = { kind: 'io', statement: ioStatementOfTitle(args[1]) };
+            break;
+        case 'setkwblock':
+            definition = { kind: 'block', block: makeBlock(name, 0, args[1], '', args[2]) };
+            break;
+        case 'setkwfor':
+            definition = { kind: 'block', block: makeBlock(name, 1, args[1], args[2], args[3]) };
+            break;
+        case 'setkwprog':
+            definition = { kind: 'program', block: makeBlock(name, 1, args[1], args[2], args[3]) };
+            break;
+    }
+    this._definitions[name] = definition;
+};
+
+/* A block construct as defined by Parser.defineBlock */
+function makeBlock (name, args, keyword, suffix, endKeyword) {
+    return {
+        begin: name,
+        end: `end${name}`,
+        args: args,
+        keyword: keyword,
+        suffix: suffix,
+        endKeyword: endKeyword,
+    };
+}
+
+/* The pre/post-condition defined by \SetKwInput, e.g. 'output' for `Output` */
+function ioStatementOfTitle (title) {
+    if (/^(data|require)/i.test(title)) return 'require';
+    if (/^(result|ensure)/i.test(title)) return 'ensure';
+    if (/^out/i.test(title)) return 'output';
+    return 'input';
+}
+
+/* An argument in braces as it is in the input, e.g. `Factorial` */
+Algorithm2eParser.prototype._parseRawArg = function () {
+    var lexer = this._lexer;
+    lexer.expect('open');
+    var start = lexer.get().end;
+    var depth = 0;
+    while (depth > 0 || lexer.peek().type !== 'close') {
+        var atom = lexer.peek();
+        if (atom.type === 'EOF') lexer.expect('close');
+        if (atom.type === 'open') depth++;
+        else if (atom.type === 'close') depth--;
+        lexer.skip();
+    }
+    var text = lexer.slice(start.offset, lexer.peek().start.offset);
+    lexer.expect('close');
+    return text.trim();
+};
+
+/* \KwData{<open-text>}, or any other pre/post-condition */
+Algorithm2eParser.prototype._parseIO = function () {
+    var lexer = this._lexer;
+    var stmtName = this._ioStatementOf(lexer.peek());
+    if (!stmtName) return null;
+    lexer.skip();
+
+    var stmtNode = new ParseNode('statement', stmtName);
+    this._beginNode(stmtNode);
+
+    lexer.expect('open');
+    stmtNode.addChild(this._parseOpenText());
+    lexer.expect('close');
+    lexer.accept('terminator');
+
+    return this._endNode(stmtNode);
+};
+
+Algorithm2eParser.prototype._parseBlockItem = function () {
+    while (this._parseSetting());
+    return this._parseIf() ||
+        this._parseLoop() ||
+        this._parseRepeat() ||
+        this._parseSwitch() ||
+        this._parseProgram() ||
+        this._parseReturn() ||
+        this._parseComment() ||
+        this._parseReference('label') ||
+        this._parseMacro() ||
+        this._parseStatement();
+};
+
+/* { <cond> } */
+Algorithm2eParser.prototype._parseBraceCond = function () {
+    this._lexer.expect('open');
+    var condNode = this._parseCond();
+    this._lexer.expect('close');
+    return condNode;
+};
+
+/*
+ * { <item>[0..n] }, which is led by the side comments of its command. In
+ * tolerant mode, a missing `}` is reported and an 'error' node ends the
+ * block instead.
+ */
+Algorithm2eParser.prototype._parseBraceBlock = function (sideNodes) {
+    var lexer = this._lexer;
+    lexer.expect('open');
+    this._closers.push([]);
+    var blockNode = this._parseBlock();
+    this._closers.pop();
+
+    if (!this._tolerant) {
+        lexer.expect('close');
+        this._attachComments(blockNode, 'trailingComments');
+    }
+    else if (lexer.accept('close') === null) {
+        var error = lexer.error('Missing }');
+        this.diagnostics.push(error);
+        var here = lexer.get().end;
+        blockNode.addChild(this._errorNode(error, here, here));
+    }
+    else {
+        this._attachComments(blockNode, 'trailingComments');
+    }
+
+    if (sideNodes.length > 0) {
+        blockNode.children = sideNodes.concat(blockNode.children);
+        blockNode.start = sideNodes[0].start;
+    }
+    return blockNode;
+};
+
+/* The side comments in parentheses after a command, e.g. \If(\tcc*{...}) */
+Algorithm2eParser.prototype._parseSideComment = function () {
+    var lexer = this._lexer;
+    var atom = lexer.peek();
+    if (atom.type !== 'ordinary' || atom.text !== '(' || atom.whitespace) return [];
+    lexer.skip();
+
+    var commentNodes = [];
+    var nodes;
+    while ((nodes = this._parseComment())) {
+        // Only the comment of one on a line of its own matters here
+        commentNodes.push([].concat(nodes).pop());
+    }
+    lexer.expect('ordinary', ')');
+    return commentNodes;
+};
+
+Algorithm2eParser.prototype._parseIf = function () {
+    var lexer = this._lexer;
+    if (!lexer.accept('func', IF_COMMANDS)) return null;
+
+    var ifName = lexer.get().text.toLowerCase();
+    var ifNode = new ParseNode('if');
+    this._beginNode(ifNode);
+
+    // <side> { <cond> } <block>
+    var sideNodes = this._parseSideComment();
+    ifNode.addChild(this._parseBraceCond());
+    ifNode.addChild(this._parseBraceBlock(sideNodes));
+
+    var numElif = 0;
+    var hasElse = false;
+    if (ifName === 'eif' || ifName === 'leif') {
+        // <side> <block> of else
+        hasElse = true;
+        ifNode.addChild(this._parseBraceBlock(this._parseSideComment()));
+    }
+    else if (ifName === 'uif') {
+        // ( \uElseIf <side> { <cond> } <block> )[0..n], until \ElseIf or
+        // \lElseIf, which ends the if
+        var isOpen = true;
+        while (isOpen && lexer.accept('func', ELSE_IF_COMMANDS)) {
+            this._attachComments(ifNode.children[ifNode.children.length - 1], 'trailingComments');
+            isOpen = lexer.get().text.toLowerCase() === 'uelseif';
+            sideNodes = this._parseSideComment();
+            ifNode.addChild(this._parseBraceCond());
+            ifNode.addChild(this._parseBraceBlock(sideNodes));
+            numElif++;
+        }
+
+        // ( \Else <side> <block> )[0..1]
+        if (isOpen && lexer.accept('func', ELSE_COMMANDS)) {
+            this._attachComments(ifNode.children[ifNode.children.length - 1], 'trailingComments');
+            hasElse = true;
+            ifNode.addChild(this._parseBraceBlock(this._parseSideComment()));
+        }
+    }
+
+    ifNode.value = { numElif: numElif, hasElse: hasElse };
+    return this._endNode(ifNode);
+};
+
+Algorithm2eParser.prototype._parseLoop = function () {
+    var lexer = this._lexer;
+    if (!lexer.accept('func', Object.keys(LOOP_COMMANDS))) return null;
+
+    var loopNode = new ParseNode('loop', LOOP_COMMANDS[lexer.get().text.toLowerCase()]);
+    this._beginNode(loopNode);
+
+    // <side> { <cond> } <block>
+    var sideNodes = this._parseSideComment();
+    loopNode.addChild(this._parseBraceCond());
+    loopNode.addChild(this._parseBraceBlock(sideNodes));
+
+    return this._endNode(loopNode);
+};
+
+Algorithm2eParser.prototype._parseRepeat = function () {
+    var lexer = this._lexer;
+    if (!lexer.accept('func', REPEAT_COMMANDS)) return null;
+
+    var repeatNode = new ParseNode('repeat', 'repeat');
+    this._beginNode(repeatNode);
+
+    // <side> { <cond> } <block>, where the condition comes first
+    var sideNodes = this._parseSideComment();
+    var condNode = this._parseBraceCond();
+    repeatNode.addChild(this._parseBraceBlock(sideNodes));
+    repeatNode.addChild(condNode);
+
+    return this._endNode(repeatNode);
+};
+
+Algorithm2eParser.prototype._parseSwitch = function () {
+    var lexer = this._lexer;
+    if (!lexer.accept('func', 'switch')) return null;
+
+    var switchNode = new ParseNode('switch');
+    this._beginNode(switchNode);
+
+    // <side> { <cond> }
+    var bodyNode = new ParseNode('block');
+    this._parseSideComment().forEach((node) => bodyNode.addChild(node));
+    switchNode.addChild(this._parseBraceCond());
+
+    // The cases, in braces, make up the block of the switch
+    lexer.expect('open');
+    var itemNode;
+    while ((itemNode = this._parseCase() || this._parseComment() || this._parseReference('label')))
+        [].concat(itemNode).forEach((node) => bodyNode.addChild(node));
+    lexer.expect('close');
+    this._attachComments(bodyNode, 'trailingComments');
+    switchNode.addChild(this._spanChildren(bodyNode));
+
+    return this._endNode(switchNode);
+};
+
+/* \Case <side> { <cond> } <block> or \Other <side> <block> */
+Algorithm2eParser.prototype._parseCase = function () {
+    var lexer = this._lexer;
+    var caseNode;
+    if (lexer.accept('func', OTHER_COMMANDS)) {
+        caseNode = this._beginNode(new ParseNode('default'));
+        caseNode.addChild(this._parseBraceBlock(this._parseSideComment()));
+        return this._endNode(caseNode);
+    }
+    if (!lexer.accept('func', CASE_COMMANDS)) return null;
+
+    caseNode = this._beginNode(new ParseNode('case'));
+    var sideNodes = this._parseSideComment();
+    caseNode.addChild(this._parseBraceCond());
+    caseNode.addChild(this._parseBraceBlock(sideNodes));
+    return this._endNode(caseNode);
+};
+
+/* A program or a block defined by \SetKwProg, \SetKwFor or \SetKwBlock */
+Algorithm2eParser.prototype._parseProgram = function () {
+    var lexer = this._lexer;
+    var definition = this._definitionOf(lexer.peek(), ['program', 'block']);
+    if (!definition) return null;
+    lexer.skip();
+
+    var block = definition.block;
+    var progNode = new ParseNode('custom', block);
+    this._beginNode(progNode);
+
+    // <side> ( { <open-text> } )[0..1] <block>
+    var sideNodes = this._parseSideComment();
+    if (block.args > 0) {
+        this._lexer.expect('open');
+        progNode.addChild(this._parseOpenText());
+        this._lexer.expect('close');
+    }
+    progNode.addChild(this._parseBraceBlock(sideNodes));
+
+    // A program of a function, e.g. \Fn{\Fact{$n$}}
+    var textNode = progNode.children[0];
+    if (definition.kind === 'program' && textNode.children.length === 1 &&
+        textNode.children[0].type === 'call') {
+        var callNode = textNode.children[0];
+        progNode.type = 'function';
+        progNode.value = {
+            type: /^procedure$/i.test(block.keyword) ? 'procedure' : 'function',
+            name: callNode.value,
+        };
+        progNode.children[0] = callNode.children[0];
+    }
+
+    return this._endNode(progNode);
+};
+
+/* \KwRet{<open-text>} or \Return{<open-text>}, which may end with \; */
+Algorithm2eParser.prototype._parseReturn = function () {
+    var lexer = this._lexer;
+    if (!lexer.accept('func', RETURN_COMMANDS)) return null;
+
+    var returnNode = new ParseNode('statement', 'return');
+    this._beginNode(returnNode);
+
+    lexer.expect('open');
+    returnNode.addChild(this._parseOpenText());
+    lexer.expect('close');
+    lexer.accept('terminator');
+
+    return this._endNode(returnNode);
+};
+
+/*
+ * \tcc*[<position>]{<close-text>} is a comment at the end of the line before
+ * it, as \COMMENT is. \tcc{<close-text>} is on a line of its own, i.e. that
+ * of an empty statement, and is 'standalone' so that it starts the line.
+ */
+Algorithm2eParser.prototype._parseComment = function () {
+    var lexer = this._lexer;
+    if (!lexer.accept('func', COMMENT_COMMANDS)) return null;
+
+    var commentAtom = lexer.get();
+    var commentNode = new ParseNode('comment');
+    commentNode.start = commentAtom.start;
+
+    // The star and the position, e.g. *[h], are ordinary text to Lexer
+    var isInline = false;
+    var atom = lexer.peek();
+    if (atom.type === 'ordinary' && !atom.whitespace && /^\*(\[\w*\])?$/.test(atom.text)) {
+        isInline = true;
+        lexer.skip();
+    }
+
+    // { <close-text> }
+    lexer.expect('open');
+    commentNode.addChild(this._parseCloseText());
+    lexer.expect('close');
+    this._endNode(commentNode);
+
+    if (isInline) {
+        this._attachComments(commentNode, 'comments', commentAtom);
+        return commentNode;
+    }
+
+    commentNode.value = 'standalone';
+    var stmtNode = new ParseNode('statement', 'state');
+    this._beginNode(stmtNode, commentAtom);
+    var textNode = new ParseNode('open-text');
+    textNode.start = textNode.end = commentAtom.start;
+    stmtNode.addChild(textNode);
+    return [this._endNode(stmtNode), commentNode];
+};
+
+/*
+ * <open-text> \;, or an <open-text> that ends otherwise, e.g. at the end of
+ * a block. A \; on its own is an empty statement.
+ */
+Algorithm2eParser.prototype._parseStatement = function () {
+    var lexer = this._lexer;
+    var startAtom = lexer.peek();
+    var textNode = this._parseOpenText();
+    var isTerminated = lexer.accept('terminator') !== null;
+    if (textNode.children.length === 0 && !isTerminated) return null;
+
+    var stmtNode = new ParseNode('statement', 'state');
+    // The `%` comments before the statement are on the first atom of its text
+    stmtNode.start = startAtom.start;
+    if (textNode.children.length === 0) this._attachComments(stmtNode);
+    stmtNode.addChild(textNode);
+
+    return this._endNode(stmtNode);
+};
+
+/* A function defined by \SetKwFunction, e.g. \Fact{<close-text>}, or \CALL */
+Algorithm2eParser.prototype._parseCall = function () {
+    var lexer = this._lexer;
+    var definition = this._definitionOf(lexer.peek(), 'function');
+    if (!definition) return Parser.prototype._parseCall.call(this);
+    lexer.skip();
+
+    var callAtom = lexer.get();
+    var callNode = new ParseNode('call', definition.text);
+    callNode.whitespace = callAtom.whitespace;
+    this._beginNode(callNode, callAtom);
+
+    // { <close-text> }
+    lexer.expect('open');
+    callNode.addChild(this._parseCloseText());
+    lexer.expect('close');
+
+    return this._endNode(callNode);
+};
+
+/*
+ * The keywords, e.g. \KwTo or those defined by \SetKw, and the data defined
+ * by \SetKwData, besides the atoms of Parser
+ */
+Algorithm2eParser.prototype._parseAtom = function () {
+    var lexer = this._lexer;
+    var atom = lexer.peek();
+    var definition = this._definitionOf(atom, ['data', 'keyword']);
+    var symbol = atom.type === 'func' && !lookup(this._definitions, atom.text) ?
+        lookup(TEXT_KEYWORDS, atom.text.toLowerCase()) : null;
+    if (!definition && !symbol) return Parser.prototype._parseAtom.call(this);
+    lexer.skip();
+
+    var node;
+    if (symbol) {
+        node = new AtomNode('cond-symbol', symbol, atom.whitespace);
+    }
+    else if (definition.kind === 'data') {
+        node = new AtomNode('ordinary', definition.text, atom.whitespace);
+    }
+    else {
+        // A keyword is in bold, as in {\bfseries <keyword>}
+        node = new ParseNode('close-text');
+        node.whitespace = atom.whitespace;
+        node.addChild(new AtomNode('font-dclr', 'bfseries'));
+        node.addChild(new AtomNode('ordinary', definition.text, true));
+        node.children.forEach((child) => {
+            child.start = atom.start;
+            child.end = atom.end;
+        });
+    }
+    this._beginNode(node);
+    return this._endNode(node);
+};
+
+module.exports = Algorithm2eParser;
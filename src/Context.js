@@ -0,0 +1,121 @@
+/*
+ * Context - the state shared by the algorithms that are rendered together,
+ * e.g. all those on a page, so that one algorithm can refer to another.
+ *
+ * A context numbers the captions of the algorithms, and keeps the labels
+ * defined by `\label{name}`, which `\ref{name}` resolves to the number of the
+ * labelled line (or caption), and the functions defined by \FUNCTION and
+ * \PROCEDURE, which the calls by \CALL link to. Pass the same context to
+ * every render through the `context` option to share it; use different
+ * contexts for the regions of a page that are numbered independently.
+ *
+ * The following are possible options:
+ *      captionCount - The number of captions before the first one rendered
+ *          with the context. Default value: 0.
+ *      section - The number of the section that the captions are numbered
+ *          within, e.g. '2' for 'Algorithm 2.1', 'Algorithm 2.2', etc.
+ *          Default value: null (captions are numbered 1, 2, etc.).
+ *      idPrefix - The prefix of the ids of the HTML elements that refer to
+ *          the context, e.g. the anchors of labels. Give the contexts on the
+ *          same page different prefixes to keep the ids unique.
+ *          Default value: 'ps-'.
+ **/
+function Context (options) {
+    options = options || {};
+    this.idPrefix = options.idPrefix !== undefined ? options.idPrefix : 'ps-';
+    this.captionCount = options.captionCount !== undefined ? options.captionCount : 0;
+    this.section = options.section !== undefined ? options.section : null;
+    this._labels = {};
+    this._functions = {};
+    this._idCounts = {}; // the number of ids given so far, by their kinds
+}
+
+/* Count a caption and return its number, e.g. '3' or '2.4' */
+Context.prototype.nextCaptionNumber = function () {
+    this.captionCount++;
+    return this.section !== null ? `${this.section}.${this.captionCount}` :
+        String(this.captionCount);
+};
+
+/* Set the number of captions so far, so that the next one is `count + 1` */
+Context.prototype.resetCaptionCount = function (count) {
+    this.captionCount = count !== undefined ? count : 0;
+};
+
+/*
+ * Number the captions after this within a section, e.g. '2', or not within
+ * any section if it is null. The count starts over, as it does in LaTeX for
+ * a new chapter.
+ **/
+Context.prototype.startSection = function (section) {
+    this.section = section !== undefined ? section : null;
+    this.resetCaptionCount();
+};
+
+/*
+ * Define a label, or redefine it (as LaTeX does, the last definition wins),
+ * and return it as { name, number, id }.
+ **/
+Context.prototype.defineLabel = function (name, number) {
+    var label = { name: name, number: number, id: this.labelId(name) };
+    this._labels[name] = label;
+    return label;
+};
+
+/* The label of a name, or null if it is not defined (yet) */
+Context.prototype.lookupLabel = function (name) {
+    return Object.prototype.hasOwnProperty.call(this._labels, name) ?
+        this._labels[name] : null;
+};
+
+/*
+ * Define a function and return it as { name, id }. Only the first definition
+ * of a name is kept, so that the id of its anchor stays unique; null is
+ * returned for any other.
+ **/
+Context.prototype.defineFunction = function (name) {
+    if (this.lookupFunction(name)) return null;
+    var func = { name: name, id: this.functionId(name) };
+    this._functions[name] = func;
+    return func;
+};
+
+/* The function of a name, or null if it is not defined (yet) */
+Context.prototype.lookupFunction = function (name) {
+    return Object.prototype.hasOwnProperty.call(this._functions, name) ?
+        this._functions[name] : null;
+};
+
+/* A new id of an HTML element of a kind, e.g. 'ps-description-1' */
+Context.prototype.nextId = function (kind) {
+    this._idCounts[kind] = (this._idCounts[kind] || 0) + 1;
+    return `${this.idPrefix}${kind}-${this._idCounts[kind]}`;
+};
+
+/*
+ * A copy of the context, e.g. to render the same algorithms once more without
+ * counting their captions twice
+ **/
+Context.prototype.clone = function () {
+    var context = new Context({
+        idPrefix: this.idPrefix,
+        captionCount: this.captionCount,
+        section: this.section,
+    });
+    context._labels = Object.assign({}, this._labels);
+    context._functions = Object.assign({}, this._functions);
+    context._idCounts = Object.assign({}, this._idCounts);
+    return context;
+};
+
+/* The id of the HTML anchor of a label */
+Context.prototype.labelId = function (name) {
+    return `${this.idPrefix}label-${name.replace(/[^\w:.-]/g, '-')}`;
+};
+
+/* The id of the HTML anchor of the definition of a function */
+Context.prototype.functionId = function (name) {
+    return `${this.idPrefix}func-${name.replace(/[^\w:.-]/g, '-')}`;
+};
+
+module.exports = Context;
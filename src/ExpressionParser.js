@@ -0,0 +1,462 @@
+/*
+ * ExpressionParser - Parses the text of a line of pseudocode, e.g. the math of
+ * `\STATE $x \gets x + 1$` or the condition of `\IF`, into an expression for
+ * the Interpreter.
+ *
+ * The text is made up of atoms (see Parser): math, whose TeX is read as an
+ * expression; the symbols \AND, \OR, \NOT, \TRUE, \FALSE, \TO and \DOWNTO;
+ * calls, e.g. \CALL{Sum}{$A, n$}; and ordinary text, which is read as math.
+ * In math, a run of letters is one name, e.g. `sum`, and so is a name with a
+ * subscript, e.g. `x_1` or `n_{max}`; the text of \text, \mathit, \textsc,
+ * etc. is a name as well, e.g. \textsc{Length}.
+ *
+ * An expression is an object of a type, with the location of the atom it
+ * starts in (`start`):
+ *      number, boolean, nil - A literal, whose value is `value`.
+ *      name - A variable or a function, by `name`.
+ *      index - The element at `index` of `array`, e.g. A[i].
+ *      attribute - The attribute `name` of `object`, e.g. A.length.
+ *      call - A call of the function `name` with `args`, by \CALL.
+ *      apply - A name followed by arguments in parentheses, e.g. f(x) or
+ *          n(n + 1), which is a call of a function, or else a product.
+ *      unary, binary - An operation `op` on `operand`, or on `left` and
+ *          `right`; `op` is one of '-', 'not', 'and', 'or', '+', '*', '/',
+ *          'mod', '^', 'floor', 'ceil', 'abs' and 'sqrt'.
+ *      compare - A chain of comparisons, e.g. 0 < i \le n, as `ops` between
+ *          `operands`; an op is one of '=', '!=', '<', '<=', '>', '>=', 'in'.
+ *      list - An array of `items`, e.g. [1, 2, 3].
+ * and, only as statements or headers of loops:
+ *      assign - The assignment of `value` to `target`, e.g. x \gets 0.
+ *      swap - The exchange of `left` and `right`, by \leftrightarrow.
+ *      range - The loop of `target` from `from` to `to`, which counts down if
+ *          `descending`, e.g. i \gets 1 \TO n.
+ *      each - The loop of `target` over the elements of `iterable`, e.g.
+ *          x \in A.
+ **/
+var ParseError = require('./ParseError');
+
+/* The commands of math that are read as operators, by their names */
+var COMMAND_OPS = {
+    gets: 'assign', leftarrow: 'assign', coloneqq: 'assign',
+    leftrightarrow: 'swap', leftrightarrows: 'swap',
+    le: '<=', leq: '<=', ge: '>=', geq: '>=', ne: '!=', neq: '!=', lt: '<', gt: '>',
+    cdot: '*', times: '*', ast: '*', div: '/', bmod: 'mod', mod: 'mod',
+    land: 'and', wedge: 'and', lor: 'or', vee: 'or', lnot: 'not', neg: 'not', in: 'in',
+    lfloor: 'lfloor', rfloor: 'rfloor', lceil: 'lceil', rceil: 'rceil', vert: '|', lvert: '|', rvert: '|',
+    frac: 'frac', dfrac: 'frac', tfrac: 'frac', sqrt: 'sqrt',
+};
+
+/* The commands whose argument is read as a name, e.g. \textsc{Length} */
+var NAME_COMMANDS = [
+    'text', 'textrm', 'textit', 'textsc', 'textsf', 'texttt', 'textbf', 'textnormal',
+    'mathrm', 'mathit', 'mathsf', 'mathtt', 'mathbf', 'operatorname',
+];
+
+/* The commands that are names themselves: functions and Greek letters */
+var NAMED_COMMANDS = [
+    'min', 'max', 'lg', 'ln', 'exp',
+    'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'varepsilon', 'zeta', 'eta', 'theta', 'vartheta', 'iota',
+    'kappa', 'lambda', 'mu', 'nu', 'xi', 'pi', 'rho', 'sigma', 'tau', 'upsilon', 'phi', 'varphi', 'chi',
+    'psi', 'omega', 'Gamma', 'Delta', 'Theta', 'Lambda', 'Xi', 'Pi', 'Sigma', 'Upsilon', 'Phi', 'Psi', 'Omega',
+];
+
+/* The commands that only change the spacing or the sizes of things */
+var IGNORED_COMMANDS = [
+    'left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr',
+    'quad', 'qquad', 'displaystyle', 'textstyle', 'limits',
+];
+
+var SYMBOL_OPS = {
+    ':=': 'assign', '<=': '<=', '>=': '>=', '!=': '!=', '==': '=',
+    '+': '+', '-': '-', '*': '*', '/': '/', '^': '^', '=': '=', '<': '<', '>': '>',
+    '(': '(', ')': ')', '{': '(', '}': ')', '[': '[', ']': ']', ',': ',', '|': '|', '.': '.',
+};
+
+var COMPARISONS = ['=', '!=', '<', '<=', '>', '>=', 'in'];
+
+/* The tokens that begin a factor, which a product may be written without '*'
+ * before, e.g. 2n */
+var FACTOR_STARTS = ['(', 'frac', 'sqrt', 'lfloor', 'lceil'];
+
+function ExpressionParser (input) {
+    this._input = input; // for the code frames of errors
+    this._tokens = [];
+    this._pos = 0;
+}
+
+/* Parse a statement: an assignment, an exchange, or any other expression,
+ * e.g. a call. As a statement, x = e is an assignment, as in CLRS */
+ExpressionParser.prototype.parseStatement = function (textNode) {
+    this._tokenize(textNode);
+    if (this._tokens.length === 0) return null;
+    var statement = this._parseAssignment();
+    this._expectEnd();
+
+    if (statement.type === 'compare' && statement.ops.length === 1 && statement.ops[0] === '=') {
+        var target = statement.operands[0];
+        checkTarget(target, this);
+        return { type: 'assign', target: target, value: statement.operands[1], start: target.start };
+    }
+    return statement;
+};
+
+/* Parse a condition, or the expression of \RETURN; null if there's none */
+ExpressionParser.prototype.parseExpression = function (textNode) {
+    this._tokenize(textNode);
+    if (this._tokens.length === 0) return null;
+    var expression = this._parseOr();
+    this._expectEnd();
+    return expression;
+};
+
+/* Parse the header of \FOR, \FORALL or \FOREACH: a range, e.g. i \gets 1 \TO n
+ * (or i = 1 \TO n), or an iteration, e.g. x \in A */
+ExpressionParser.prototype.parseLoopHeader = function (textNode) {
+    this._tokenize(textNode);
+    var start = this._peekStart(textNode);
+    var target = this._parseOr();
+    var from;
+    if (this._accept('assign')) {
+        from = this._parseOr();
+    }
+    else if (target.type === 'compare' && target.ops.length === 1 && target.ops[0] === '=') {
+        from = target.operands[1];
+        target = target.operands[0];
+    }
+    else if (target.type === 'compare' && target.ops.length === 1 && target.ops[0] === 'in') {
+        this._expectEnd();
+        return { type: 'each', target: target.operands[0], iterable: target.operands[1], start: start };
+    }
+    else {
+        throw this._error('Expected a loop such as `i \\gets 1 \\TO n` or `x \\in A`', start);
+    }
+
+    var direction = this._accept('to') || this._accept('downto');
+    if (!direction) throw this._error('Expected \\TO or \\DOWNTO', this._peekStart(textNode));
+    var to = this._parseOr();
+    this._expectEnd();
+    return {
+        type: 'range', target: target, from: from, to: to, descending: direction.value === 'downto', start: start,
+    };
+};
+
+/* Parse a list of expressions separated by commas, e.g. the arguments of a
+ * call or the parameters of a function */
+ExpressionParser.prototype.parseList = function (textNode) {
+    this._tokenize(textNode);
+    var items = this._parseItems(null);
+    this._expectEnd();
+    return items;
+};
+
+ExpressionParser.prototype._tokenize = function (textNode) {
+    this._tokens = [];
+    this._pos = 0;
+    this._end = textNode.end;
+    this._tokenizeNode(textNode);
+};
+
+ExpressionParser.prototype._tokenizeNode = function (node) {
+    switch (node.type) {
+        case 'math':
+        case 'ordinary':
+            this._tokenizeTeX(node.value, node.start);
+            break;
+        case 'cond-symbol':
+            if (node.value === 'true' || node.value === 'false')
+                this._tokens.push({ type: 'literal', value: node.value === 'true', start: node.start });
+            else
+                this._tokens.push({ type: 'op', value: node.value, start: node.start });
+            break;
+        case 'call':
+            var args = new ExpressionParser(this._input).parseList(node.children[0]);
+            this._tokens.push({ type: 'call', value: node.value, args: args, start: node.start });
+            break;
+        case 'open-text':
+        case 'close-text':
+            node.children.forEach((child) => this._tokenizeNode(child));
+            break;
+        default:
+            throw this._error(`Cannot run the ${node.type} \`${node.value}\``, node.start);
+    }
+};
+
+ExpressionParser.prototype._tokenizeTeX = function (tex, start) {
+    var rest = tex;
+    var match;
+    while (rest.length > 0) {
+        if ((match = /^(\s+|\\[,;:! ]|~)/.exec(rest))) {
+            // spaces
+        }
+        else if ((match = /^\\([a-zA-Z]+)/.exec(rest))) {
+            rest = this._tokenizeCommand(match[1], rest.substring(match[0].length), start);
+            continue;
+        }
+        else if ((match = /^\d+(\.\d+)?/.exec(rest))) {
+            this._tokens.push({ type: 'literal', value: Number(match[0]), start: start });
+        }
+        else if ((match = /^[A-Za-z]+'*(_(\{[^{}]*\}|[A-Za-z0-9]))?/.exec(rest))) {
+            this._tokens.push({ type: 'name', value: match[0].replace(/[{}\s]/g, ''), start: start });
+        }
+        else if ((match = /^(:=|<=|>=|!=|==|[-+*/^=<>(){}[\],|.])/.exec(rest))) {
+            this._tokens.push({ type: 'op', value: SYMBOL_OPS[match[0]], start: start });
+        }
+        else {
+            throw this._error(`Cannot run \`${rest[0]}\` in \`${tex}\``, start);
+        }
+        rest = rest.substring(match[0].length);
+    }
+};
+
+/* Tokenize a command of math, and return the TeX after it */
+ExpressionParser.prototype._tokenizeCommand = function (name, rest, start) {
+    if (Object.prototype.hasOwnProperty.call(COMMAND_OPS, name)) {
+        this._tokens.push({ type: 'op', value: COMMAND_OPS[name], start: start });
+    }
+    else if (name === 'not' && /^\s*=/.test(rest)) {
+        this._tokens.push({ type: 'op', value: '!=', start: start });
+        rest = rest.replace(/^\s*=/, '');
+    }
+    else if (name === 'infty') {
+        this._tokens.push({ type: 'literal', value: Infinity, start: start });
+    }
+    else if (NAME_COMMANDS.indexOf(name) >= 0) {
+        var match = /^\s*\{([^{}]*)\}/.exec(rest);
+        if (!match) throw this._error(`Expected the argument of \\${name}`, start);
+        this._tokens.push({ type: 'name', value: match[1].trim(), start: start });
+        rest = rest.substring(match[0].length);
+    }
+    else if (NAMED_COMMANDS.indexOf(name) >= 0) {
+        this._tokens.push({ type: 'name', value: name, start: start });
+    }
+    else if (IGNORED_COMMANDS.indexOf(name) < 0) {
+        throw this._error(`Cannot run \\${name}`, start);
+    }
+    return rest;
+};
+
+ExpressionParser.prototype._peek = function () {
+    return this._tokens[this._pos] || null;
+};
+
+/* Where the next token starts, or where the text ends */
+ExpressionParser.prototype._peekStart = function () {
+    var token = this._peek();
+    return token ? token.start : this._end;
+};
+
+/* Accept the next token if it is the operator, and return it */
+ExpressionParser.prototype._accept = function (op) {
+    var token = this._peek();
+    if (!token || token.type !== 'op' || token.value !== op) return null;
+    this._pos++;
+    return token;
+};
+
+ExpressionParser.prototype._expect = function (op, what) {
+    var token = this._accept(op);
+    if (!token) throw this._error(`Expected ${what}`, this._peekStart());
+    return token;
+};
+
+ExpressionParser.prototype._expectEnd = function () {
+    var token = this._peek();
+    if (token) throw this._error(`Unexpected ${describe(token)}`, token.start);
+};
+
+ExpressionParser.prototype._error = function (message, start) {
+    return new ParseError(message, start, this._input);
+};
+
+ExpressionParser.prototype._parseAssignment = function () {
+    var left = this._parseOr();
+    var op = this._accept('assign') || this._accept('swap');
+    if (!op) return left;
+
+    checkTarget(left, this);
+    if (op.value === 'swap') {
+        var right = this._parseOr();
+        checkTarget(right, this);
+        return { type: 'swap', left: left, right: right, start: left.start };
+    }
+    // A chain of assignments, e.g. x \gets y \gets 0
+    return { type: 'assign', target: left, value: this._parseAssignment(), start: left.start };
+};
+
+ExpressionParser.prototype._parseOr = function () {
+    var left = this._parseAnd();
+    while (this._accept('or'))
+        left = { type: 'binary', op: 'or', left: left, right: this._parseAnd(), start: left.start };
+    return left;
+};
+
+ExpressionParser.prototype._parseAnd = function () {
+    var left = this._parseNot();
+    while (this._accept('and'))
+        left = { type: 'binary', op: 'and', left: left, right: this._parseNot(), start: left.start };
+    return left;
+};
+
+ExpressionParser.prototype._parseNot = function () {
+    var not = this._accept('not');
+    if (not) return { type: 'unary', op: 'not', operand: this._parseNot(), start: not.start };
+    return this._parseComparison();
+};
+
+ExpressionParser.prototype._parseComparison = function () {
+    var first = this._parseSum();
+    var ops = [];
+    var operands = [first];
+    var token;
+    while ((token = this._peek()) && token.type === 'op' && COMPARISONS.indexOf(token.value) >= 0) {
+        this._pos++;
+        ops.push(token.value);
+        operands.push(this._parseSum());
+    }
+    if (ops.length === 0) return first;
+    return { type: 'compare', ops: ops, operands: operands, start: first.start };
+};
+
+ExpressionParser.prototype._parseSum = function () {
+    var left = this._parseProduct();
+    var op;
+    while ((op = this._accept('+') || this._accept('-')))
+        left = { type: 'binary', op: op.value, left: left, right: this._parseProduct(), start: left.start };
+    return left;
+};
+
+ExpressionParser.prototype._parseProduct = function () {
+    var left = this._parseUnary();
+    while (true) {
+        var op = this._accept('*') || this._accept('/') || this._accept('mod');
+        if (op) {
+            left = { type: 'binary', op: op.value, left: left, right: this._parseUnary(), start: left.start };
+            continue;
+        }
+        // A product without '*', e.g. 2n or 2(n + 1)
+        var token = this._peek();
+        if (!token || !startsFactor(token)) break;
+        left = { type: 'binary', op: '*', left: left, right: this._parsePower(), start: left.start };
+    }
+    return left;
+};
+
+ExpressionParser.prototype._parseUnary = function () {
+    var op = this._accept('-') || this._accept('+');
+    if (!op) return this._parsePower();
+    var operand = this._parseUnary();
+    return op.value === '-' ? { type: 'unary', op: '-', operand: operand, start: op.start } : operand;
+};
+
+ExpressionParser.prototype._parsePower = function () {
+    var base = this._parsePostfix();
+    if (!this._accept('^')) return base;
+    // Right-associative, e.g. 2^{2^n}, and with a sign, e.g. 2^{-1}
+    return { type: 'binary', op: '^', left: base, right: this._parseUnary(), start: base.start };
+};
+
+ExpressionParser.prototype._parsePostfix = function () {
+    var expression = this._parsePrimary();
+    while (true) {
+        if (this._accept('[')) {
+            var index = this._parseSum();
+            this._expect(']', '`]`');
+            expression = { type: 'index', array: expression, index: index, start: expression.start };
+        }
+        else if (this._accept('.')) {
+            var name = this._peek();
+            if (!name || name.type !== 'name') throw this._error('Expected the name of an attribute', this._peekStart());
+            this._pos++;
+            expression = { type: 'attribute', object: expression, name: name.value, start: expression.start };
+        }
+        else if (expression.type === 'name' && this._accept('(')) {
+            var args = this._parseItems(')');
+            this._expect(')', '`)`');
+            expression = { type: 'apply', name: expression.name, args: args, start: expression.start };
+        }
+        else {
+            return expression;
+        }
+    }
+};
+
+ExpressionParser.prototype._parsePrimary = function () {
+    var token = this._peek();
+    if (!token) throw this._error('Expected an expression', this._end);
+    this._pos++;
+
+    if (token.type === 'literal') {
+        var literalType = typeof token.value === 'boolean' ? 'boolean' : 'number';
+        return { type: literalType, value: token.value, start: token.start };
+    }
+    if (token.type === 'name') return parseName(token);
+    if (token.type === 'call') return { type: 'call', name: token.value, args: token.args, start: token.start };
+
+    var expression;
+    switch (token.value) {
+        case '(':
+            expression = this._parseOr();
+            this._expect(')', '`)` or `}`');
+            return expression;
+        case '[':
+            var items = this._parseItems(']');
+            this._expect(']', '`]`');
+            return { type: 'list', items: items, start: token.start };
+        case 'frac':
+            var numerator = this._parsePrimary();
+            var denominator = this._parsePrimary();
+            return { type: 'binary', op: '/', left: numerator, right: denominator, start: token.start };
+        case 'sqrt':
+            return { type: 'unary', op: 'sqrt', operand: this._parsePrimary(), start: token.start };
+        case 'lfloor':
+        case 'lceil':
+            expression = this._parseSum();
+            this._expect(token.value === 'lfloor' ? 'rfloor' : 'rceil',
+                         token.value === 'lfloor' ? '\\rfloor' : '\\rceil');
+            return { type: 'unary', op: token.value.substring(1), operand: expression, start: token.start };
+        case '|':
+            expression = this._parseSum();
+            this._expect('|', '`|`');
+            return { type: 'unary', op: 'abs', operand: expression, start: token.start };
+        default:
+            throw this._error(`Unexpected ${describe(token)}`, token.start);
+    }
+};
+
+/* Parse the expressions separated by commas up to a closer, e.g. ')' */
+ExpressionParser.prototype._parseItems = function (closer) {
+    var items = [];
+    var token = this._peek();
+    if (!token || (token.type === 'op' && token.value === closer)) return items;
+    do
+        items.push(this._parseOr());
+    while (this._accept(','));
+    return items;
+};
+
+/* The literals that are written as names, e.g. \text{true} or NIL */
+function parseName (token) {
+    var name = token.value.toLowerCase();
+    if (name === 'true' || name === 'false') return { type: 'boolean', value: name === 'true', start: token.start };
+    if (name === 'nil' || name === 'null') return { type: 'nil', value: null, start: token.start };
+    return { type: 'name', name: token.value, start: token.start };
+}
+
+function startsFactor (token) {
+    if (token.type === 'literal' || token.type === 'name' || token.type === 'call') return true;
+    return token.type === 'op' && FACTOR_STARTS.indexOf(token.value) >= 0;
+}
+
+/* Check that an expression can be assigned to, e.g. x or A[i] */
+function checkTarget (expression, parser) {
+    if (expression.type !== 'name' && expression.type !== 'index')
+        throw parser._error('Only a variable or an element of an array can be assigned to', expression.start);
+}
+
+function describe (token) {
+    if (token.type === 'call') return `\\CALL{${token.value}}`;
+    var text = { assign: '\\gets', swap: '\\leftrightarrow', to: '\\TO', downto: '\\DOWNTO' }[token.value];
+    return `\`${text || token.value}\``;
+}
+
+module.exports = ExpressionParser;
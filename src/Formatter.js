@@ -0,0 +1,319 @@
+/*
+ * Formatter - Converts a parse tree back to its (canonical) source
+ *
+ * The source is emitted in a normalized style: commands of the algorithmic
+ * environment are in uppercase, there is one statement per line, and nested
+ * blocks are indented by their depth. The `%` comments, which Lexer keeps
+ * in the parse tree, are preserved: a comment that shares its line with the
+ * code before it stays on that line, and any other comment gets its own line.
+ *
+ * Macros are kept as they are, so the parser should be given a Lexer that
+ * doesn't expand them (see the `expandMacros` option of Lexer).
+ **/
+var ParseError = require('./ParseError');
+var keywords = require('./keywords');
+
+/*
+ * FormatterOptions - represents options that Formatter accepts.
+ *
+ * The following are possible options:
+ *      indentSize - The number of spaces for each level of indentation.
+ *          Default value: 4.
+ *
+ **/
+function FormatterOptions (options) {
+    options = options || {};
+    this.indentSize = options.indentSize !== undefined ? options.indentSize : 4;
+}
+
+function Formatter (parser, options) {
+    this._root = parser.parse();
+    this._options = new FormatterOptions(options);
+    this._lines = [];
+    this._level = 0;
+}
+
+Formatter.prototype.toSource = function () {
+    this._lines = [];
+    this._level = 0;
+    this._formatTree(this._root);
+
+    var indent = ' '.repeat(this._options.indentSize);
+    var source = this._lines.map((line) => {
+        if (line.text === '') return '';
+        return indent.repeat(line.level) + line.text.replace(/\s+$/, '');
+    });
+    return `${source.join('\n').trim()}\n`;
+};
+
+Formatter.prototype._newLine = function (text) {
+    this._lines.push({ level: this._level, text: text || '' });
+};
+
+Formatter.prototype._append = function (text) {
+    if (this._lines.length === 0) this._newLine();
+    this._lines[this._lines.length - 1].text += text;
+};
+
+Formatter.prototype._blankLine = function () {
+    if (this._lines.length === 0) return;
+    this._newLine();
+};
+
+/*
+ * Emit the `%` comments of a node. An inline comment is appended to the last
+ * line; other comments get their own lines.
+ **/
+Formatter.prototype._formatComments = function (comments) {
+    if (!comments) return;
+
+    for (var ci = 0; ci < comments.length; ci++) {
+        var comment = comments[ci];
+        var lastLine = this._lines[this._lines.length - 1];
+        if (comment.inline && lastLine && lastLine.text !== '')
+            this._append(` %${comment.text}`);
+        else
+            this._newLine(`%${comment.text}`);
+    }
+};
+
+/*
+ * Append a command that belongs to the line before it, e.g. \COMMENT. If
+ * there are `%` comments in between, it has to start a new line instead.
+ **/
+Formatter.prototype._appendCommand = function (node, command) {
+    this._formatComments(node.comments);
+    if (node.comments && node.comments.length > 0)
+        this._newLine(command);
+    else
+        this._append(` ${command}`);
+};
+
+/* Start a new line for a command, e.g. \STATE, preceded by its comments */
+Formatter.prototype._beginCommand = function (node, command) {
+    this._formatComments(node.comments);
+    this._newLine(command);
+};
+
+Formatter.prototype._formatBlock = function (blockNode) {
+    this._level++;
+    this._formatTreeForAllChildren(blockNode);
+    this._formatComments(blockNode.trailingComments);
+    this._level--;
+};
+
+Formatter.prototype._formatTreeForAllChildren = function (node) {
+    var children = node.children;
+    for (var ci = 0; ci < children.length; ci++)
+        this._formatTree(children[ci]);
+};
+
+Formatter.prototype._formatTree = function (node) {
+    var ci;
+    switch (node.type) {
+        // ----------------- Environments -------------------------------
+        case 'root':
+            // Separate the environments with a blank line
+            for (ci = 0; ci < node.children.length; ci++) {
+                if (node.children[ci].type !== 'macro') this._blankLine();
+                this._formatTree(node.children[ci]);
+            }
+            this._formatComments(node.trailingComments);
+            break;
+        case 'algorithm':
+        case 'algorithmic':
+            this._beginCommand(node, `\\begin{${node.type}}`);
+            this._formatTreeForAllChildren(node);
+            this._formatComments(node.trailingComments);
+            this._newLine(`\\end{${node.type}}`);
+            break;
+        case 'block':
+            // The block at the top level of algorithmic is not indented
+            this._formatTreeForAllChildren(node);
+            this._formatComments(node.trailingComments);
+            break;
+        case 'caption':
+            this._beginCommand(node, '\\caption{');
+            this._formatText(node.children[0], false);
+            this._append('}');
+            break;
+        // ----------------- Blocks -------------------------------------
+        case 'function':
+            var funcType = node.value.type.toUpperCase();
+            this._beginCommand(node, `\\${funcType}{${node.value.name}}{`);
+            this._formatText(node.children[0], false);
+            this._append('}');
+            this._formatBlock(node.children[1]);
+            this._newLine(`\\END${funcType}`);
+            break;
+        case 'if':
+            this._beginCommand(node, '\\IF{');
+            this._formatText(node.children[0], false);
+            this._append('}');
+            this._formatBlock(node.children[1]);
+
+            for (var ei = 0; ei < node.value.numElif; ei++) {
+                this._newLine('\\ELIF{');
+                this._formatText(node.children[2 + 2 * ei], false);
+                this._append('}');
+                this._formatBlock(node.children[2 + 2 * ei + 1]);
+            }
+
+            if (node.value.hasElse) {
+                this._newLine('\\ELSE');
+                this._formatBlock(node.children[node.children.length - 1]);
+            }
+
+            this._newLine('\\ENDIF');
+            break;
+        case 'loop':
+            var loopName = node.value;
+            this._beginCommand(node, `\\${loopName.toUpperCase()}`);
+            if (loopName !== 'loop') {
+                this._append('{');
+                this._formatText(node.children[0], false);
+                this._append('}');
+            }
+            this._formatBlock(node.children[node.children.length - 1]);
+            this._newLine(`\\${keywords.END_OF_LOOP[loopName].toUpperCase()}`);
+            break;
+        case 'repeat':
+            this._beginCommand(node, `\\${node.value.toUpperCase()}`);
+            this._formatBlock(node.children[0]);
+            this._newLine(`\\${keywords.END_OF_LOOP[node.value].toUpperCase()}{`);
+            this._formatText(node.children[1], false);
+            this._append('}');
+            break;
+        case 'upon':
+            this._beginCommand(node, '\\UPON{');
+            this._formatText(node.children[0], false);
+            this._append('}');
+            this._formatBlock(node.children[1]);
+            this._newLine('\\ENDUPON');
+            break;
+        case 'switch':
+            this._beginCommand(node, '\\SWITCH{');
+            this._formatText(node.children[0], false);
+            this._append('}');
+            this._formatBlock(node.children[1]);
+            this._newLine('\\ENDSWITCH');
+            break;
+        case 'case':
+            this._beginCommand(node, '\\CASE{');
+            this._formatText(node.children[0], false);
+            this._append('}');
+            this._formatBlock(node.children[1]);
+            break;
+        case 'default':
+            this._beginCommand(node, '\\DEFAULT');
+            this._formatBlock(node.children[0]);
+            break;
+        case 'custom':
+            var custom = node.value;
+            this._beginCommand(node, `\\${custom.begin.toUpperCase()}`);
+            for (ci = 0; ci < custom.args; ci++) {
+                this._append('{');
+                this._formatText(node.children[ci], false);
+                this._append('}');
+            }
+            this._formatBlock(node.children[custom.args]);
+            this._newLine(`\\${custom.end.toUpperCase()}`);
+            break;
+        // ------------------- Lines -------------------
+        case 'statement':
+        case 'assertion':
+            this._beginCommand(node, `\\${node.value.toUpperCase()}`);
+            this._formatText(node.children[0], true);
+            break;
+        case 'command':
+            this._beginCommand(node, `\\${node.value.toUpperCase()}`);
+            break;
+        case 'comment':
+            // \COMMENT annotates the line it follows, so it stays on that line
+            this._appendCommand(node, '\\COMMENT{');
+            this._formatText(node.children[0], false);
+            this._append('}');
+            break;
+        case 'label':
+            // A label on its own stays on the line it names
+            this._appendCommand(node, `\\label{${node.value}}`);
+            break;
+        case 'macro':
+            this._beginCommand(node, node.value);
+            break;
+        case 'error':
+            // The input that could not be parsed (in tolerant mode) is kept
+            // as it is
+            this._formatComments(node.comments);
+            node.value.source.split('\n').forEach((line) => {
+                if (line.trim()) this._newLine(line.trim());
+            });
+            break;
+        default:
+            throw new ParseError(`Unexpected ParseNode of type ${node.type}`);
+    }
+};
+
+/*
+ * Emit a text node. Whitespace between atoms is collapsed into a single
+ * space. The text of a command, e.g. \STATE, is separated from the command
+ * by a space (`open` is true), unless it starts with braces, e.g.
+ * \ASSERT{$x > 0$}; the text in braces is not.
+ **/
+Formatter.prototype._formatText = function (textNode, open) {
+    var nodes = textNode.children;
+    for (var ni = 0; ni < nodes.length; ni++) {
+        var node = nodes[ni];
+
+        // A `%` comment ends the line, so the text continues on the next one
+        if (node.comments) {
+            this._formatComments(node.comments);
+            this._level++;
+            this._newLine();
+            this._level--;
+        }
+        else if (ni === 0 ? open && node.type !== 'close-text' : node.whitespace) {
+            this._append(' ');
+        }
+
+        var text = node.value;
+        switch (node.type) {
+            case 'ordinary':
+            case 'special':
+            case 'quote-symbol':
+            case 'macro':
+                this._append(text);
+                break;
+            case 'math':
+                this._append(node.displayMode ? `$$${text}$$` : `$${text}$`);
+                break;
+            case 'cond-symbol':
+                this._append(`\\${text.toUpperCase()}`);
+                break;
+            case 'text-symbol':
+            case 'font-dclr':
+            case 'sizing-dclr':
+            case 'font-cmd':
+                this._append(`\\${text}`);
+                break;
+            case 'label':
+            case 'ref':
+                this._append(`\\${node.type}{${text}}`);
+                break;
+            case 'call':
+                this._append(`\\CALL{${text}}{`);
+                this._formatText(node.children[0], false);
+                this._append('}');
+                break;
+            case 'close-text':
+                this._append('{');
+                this._formatText(node, false);
+                this._append('}');
+                break;
+            default:
+                throw new ParseError(`Unexpected ParseNode of type ${node.type}`);
+        }
+    }
+};
+
+module.exports = Formatter;
@@ -0,0 +1,666 @@
+/*
+ * Interpreter - runs the pseudocode of the parse tree of a Parser, e.g. to test
+ * an algorithm against a reference implementation.
+ *
+ * What can be run is the math of the pseudocode, on numbers, booleans and
+ * arrays (see ExpressionParser):
+ *      \STATE - An assignment, e.g. $x \gets x + 1$, $A[i] \gets 0$ or
+ *          $A[i] \leftrightarrow A[j]$, or a call, e.g. \CALL{Sort}{$A$}.
+ *      \RETURN, \PRINT - Of an expression, if any.
+ *      \IF, \ELSIF, \ELSE, \SWITCH, \CASE, \DEFAULT - On the values of
+ *          expressions.
+ *      \WHILE, \REPEAT ... \UNTIL, \DO ... \DOWHILE, \LOOP, \BREAK, \CONTINUE
+ *      \FOR, \FORALL, \FOREACH - Over a range, e.g. {$i \gets 1$ \TO $n$},
+ *          after which the variable is one past the last value, as in CLRS; or
+ *          over the elements of an array, e.g. {$x \in A$}.
+ *      \FUNCTION, \PROCEDURE - Defined anywhere in the input, and called by
+ *          \CALL, or by their names, e.g. $\textsc{Max}(a, b)$.
+ *      \ASSERT, \INVARIANT, \ENSURE - Checked if their text is all math; those
+ *          in words are skipped, like \REQUIRE, \INPUT, comments, etc.
+ *
+ * Arrays are indexed from `indexBase`, and are passed to functions by
+ * reference. Their lengths are A.length or |A|. The functions min, max, floor,
+ * ceil, abs, sqrt, lg, ln, exp and length are built in.
+ *
+ * Options:
+ *      inputs - The values of the inputs, by the names of the variables, e.g.
+ *          { A: [5, 2, 4], n: 3 }, or the arguments of the function that is
+ *          run, e.g. [[5, 2, 4], 3]. They are copied, so that they are not
+ *          changed by the pseudocode.
+ *      entry - The name of the function to run. By default, it is the
+ *          statements at the top level of the algorithms, if there are any,
+ *          or else the first function.
+ *      indexBase - The index of the first element of an array: 1 (default) or
+ *          0.
+ *      maxSteps - The number of steps after which the pseudocode is stopped
+ *          as an infinite loop (default: 100000).
+ *
+ * The run returns { result, output, variables, trace }: the value returned by
+ * the function, or null; the values printed by \PRINT; the variables at the
+ * end of the run; and the steps run, each of which is
+ *      { line, column, kind, function, variables, value }
+ * where `kind` is the command of the step, e.g. 'state', 'if' or 'call';
+ * `function` is the name of the function it is in, or null at the top level;
+ * `variables` are the values of its variables after the step; and `value` is
+ * the value of the condition of a test, or of \RETURN.
+ *
+ * The pseudocode that cannot be run, e.g. a statement in words, an undefined
+ * variable or an index out of the bounds of an array, throws a RuntimeError.
+ **/
+var ParseError = require('./ParseError');
+var RuntimeError = require('./RuntimeError');
+var ExpressionParser = require('./ExpressionParser');
+
+var MAX_DEPTH = 500; // of the calls
+
+/* The built-in functions, by their names in lower case */
+var BUILTINS = {
+    min: { arity: -1, apply: (args) => Math.min.apply(null, numbers(args)) },
+    max: { arity: -1, apply: (args) => Math.max.apply(null, numbers(args)) },
+    floor: { arity: 1, apply: (args) => Math.floor(numbers(args)[0]) },
+    ceil: { arity: 1, apply: (args) => Math.ceil(numbers(args)[0]) },
+    abs: { arity: 1, apply: (args) => Math.abs(numbers(args)[0]) },
+    sqrt: { arity: 1, apply: (args) => Math.sqrt(numbers(args)[0]) },
+    lg: { arity: 1, apply: (args) => Math.log2(numbers(args)[0]) },
+    ln: { arity: 1, apply: (args) => Math.log(numbers(args)[0]) },
+    exp: { arity: 1, apply: (args) => Math.exp(numbers(args)[0]) },
+    length: { arity: 1, apply: (args) => arrays(args)[0].length },
+};
+
+/* The statements that are not run */
+var SKIPPED_STATEMENTS = ['require', 'ensure', 'input', 'output'];
+var SKIPPED_NODES = ['comment', 'label', 'macro', 'function'];
+
+/* The signals of the statements that leave blocks */
+function Signal (kind, value, node) {
+    this.kind = kind; // break, continue or return
+    this.value = value;
+    this.node = node;
+}
+
+/* The type of a value, e.g. 'a number', for errors */
+function typeOf (value) {
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'NIL';
+    return typeof value === 'boolean' ? 'a boolean' : `a ${typeof value}`;
+}
+
+function numbers (args) {
+    args.forEach((arg) => {
+        if (typeof arg !== 'number') throw new TypeError(`Expected a number, but got ${typeOf(arg)}`);
+    });
+    return args;
+}
+
+function arrays (args) {
+    args.forEach((arg) => {
+        if (!Array.isArray(arg)) throw new TypeError(`Expected an array, but got ${typeOf(arg)}`);
+    });
+    return args;
+}
+
+function copy (value) {
+    return Array.isArray(value) ? value.map(copy) : value;
+}
+
+function copyVariables (variables) {
+    var copied = {};
+    for (var name in variables) copied[name] = copy(variables[name]);
+    return copied;
+}
+
+function equals (a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b)) return a === b;
+    return a.length === b.length && a.every((item, i) => equals(item, b[i]));
+}
+
+function Interpreter (parser, options) {
+    options = options || {};
+    var inputs = options.inputs !== undefined ? options.inputs : {};
+    if (typeof inputs !== 'object' || inputs === null)
+        throw new TypeError('The inputs must be an object or an array');
+    var indexBase = options.indexBase !== undefined ? options.indexBase : 1;
+    if (indexBase !== 0 && indexBase !== 1)
+        throw new TypeError('The indexBase must be 0 or 1');
+
+    this._parser = parser;
+    this._input = parser.input();
+    this._inputs = inputs;
+    this._entry = options.entry;
+    this._indexBase = indexBase;
+    this._maxSteps = options.maxSteps !== undefined ? options.maxSteps : 100000;
+    this._expressions = new Map(); // the parsed expressions of the nodes
+}
+
+Interpreter.prototype.run = function () {
+    var root = this._parser.parse();
+    this._functions = {};
+    this._trace = [];
+    this._output = [];
+    this._depth = 0;
+    this._collectFunctions(root);
+
+    var main = [];
+    root.children.forEach((envNode) => {
+        var algmicNodes = envNode.type === 'algorithm' ? envNode.children : [envNode];
+        algmicNodes.forEach((algmicNode) => {
+            if (algmicNode.type !== 'algorithmic') return;
+            algmicNode.children.forEach((node) => {
+                if (node.type === 'block') main = main.concat(node.children.filter(isRunnable));
+            });
+        });
+    });
+
+    var frame;
+    var result = null;
+    if (this._entry === undefined && main.length > 0) {
+        frame = { name: null, variables: Array.isArray(this._inputs) ? {} : copyVariables(this._inputs) };
+        var signal = this._runItems(main, frame);
+        if (signal && signal.kind === 'return') result = signal.value;
+        else if (signal) throw this._error(`\\${signal.kind.toUpperCase()} outside of a loop`, signal.node);
+    }
+    else {
+        var entry = this._entry !== undefined ? this._entry : Object.keys(this._functions)[0];
+        var functionNode = this._functions[entry];
+        if (!functionNode) {
+            if (entry === undefined) throw new RuntimeError('There is nothing to run');
+            throw new RuntimeError(`Undefined function \`${entry}\``);
+        }
+        var args = this._inputArgs(functionNode);
+        frame = { name: entry, variables: {} };
+        result = this._callFunction(functionNode, args, functionNode, frame);
+    }
+
+    return {
+        result: result,
+        output: this._output,
+        variables: frame.variables,
+        trace: this._trace,
+    };
+};
+
+function isRunnable (node) {
+    return SKIPPED_NODES.indexOf(node.type) < 0 &&
+        !(node.type === 'statement' && SKIPPED_STATEMENTS.indexOf(node.value) >= 0);
+}
+
+Interpreter.prototype._collectFunctions = function (node) {
+    if (!node.children) return;
+    node.children.forEach((child) => {
+        if (child.type === 'function') {
+            var name = child.value.name;
+            if (this._functions[name])
+                throw this._error(`The function \`${name}\` is defined twice`, child);
+            this._functions[name] = child;
+        }
+        this._collectFunctions(child);
+    });
+};
+
+/* The arguments of the function that is run, from the inputs */
+Interpreter.prototype._inputArgs = function (functionNode) {
+    if (Array.isArray(this._inputs)) return this._inputs.map(copy);
+
+    var inputs = this._inputs;
+    return this._params(functionNode).map((param) => {
+        if (!Object.prototype.hasOwnProperty.call(inputs, param))
+            throw new RuntimeError(`No input for the parameter \`${param}\` of \`${functionNode.value.name}\``);
+        return copy(inputs[param]);
+    });
+};
+
+Interpreter.prototype._params = function (functionNode) {
+    return this._parse('parseList', functionNode.children[0]).map((param) => {
+        if (param.type !== 'name') throw this._error('Expected the name of a parameter', param);
+        return param.name;
+    });
+};
+
+/* Parse the text of a node by a method of ExpressionParser, once */
+Interpreter.prototype._parse = function (method, textNode) {
+    if (this._expressions.has(textNode)) return this._expressions.get(textNode);
+
+    var expression;
+    try {
+        expression = new ExpressionParser(this._input)[method](textNode);
+    }
+    catch (e) {
+        if (!(e instanceof ParseError)) throw e;
+        var location = e.line !== null ? { offset: e.offset, line: e.line, column: e.column } : null;
+        throw new RuntimeError(e.reason, location, this._input, this._trace);
+    }
+    this._expressions.set(textNode, expression);
+    return expression;
+};
+
+Interpreter.prototype._error = function (message, node) {
+    return new RuntimeError(message, node && node.start, this._input, this._trace);
+};
+
+/* Record a step of the trace, and stop an infinite loop */
+Interpreter.prototype._step = function (node, kind, frame, value) {
+    if (this._trace.length >= this._maxSteps)
+        throw this._error(`Stopped after ${this._maxSteps} steps; is there an infinite loop?`, node);
+
+    var step = {
+        line: node.start.line,
+        column: node.start.column,
+        kind: kind,
+        function: frame.name,
+        variables: copyVariables(frame.variables),
+    };
+    if (value !== undefined) step.value = copy(value);
+    this._trace.push(step);
+};
+
+/* Run the items of a block, and return the signal that leaves it, if any */
+Interpreter.prototype._runItems = function (items, frame) {
+    for (var i = 0; i < items.length; i++) {
+        var signal = this._runNode(items[i], frame);
+        if (signal) return signal;
+    }
+    return null;
+};
+
+Interpreter.prototype._runBlock = function (blockNode, frame) {
+    return this._runItems(blockNode.children.filter(isRunnable), frame);
+};
+
+Interpreter.prototype._runNode = function (node, frame) {
+    switch (node.type) {
+        case 'statement':
+            return this._runStatement(node, frame);
+        case 'assertion':
+            return this._runAssertion(node, frame);
+        case 'command':
+            this._step(node, node.value, frame);
+            return new Signal(node.value, null, node);
+        case 'if':
+            return this._runIf(node, frame);
+        case 'loop':
+            return this._runLoop(node, frame);
+        case 'repeat':
+            return this._runRepeat(node, frame);
+        case 'switch':
+            return this._runSwitch(node, frame);
+        default:
+            throw this._error(`Cannot run the ${node.type}`, node);
+    }
+};
+
+Interpreter.prototype._runStatement = function (node, frame) {
+    var textNode = node.children[0];
+    if (node.value === 'return') {
+        var expression = this._parse('parseExpression', textNode);
+        var value = expression ? this._evaluate(expression, frame) : null;
+        this._step(node, 'return', frame, value);
+        return new Signal('return', value);
+    }
+    if (node.value === 'print') {
+        this._parse('parseList', textNode).forEach((item) => {
+            this._output.push(copy(this._evaluate(item, frame)));
+        });
+        this._step(node, 'print', frame);
+        return null;
+    }
+
+    var statement = this._parse('parseStatement', textNode);
+    if (statement) {
+        if (['assign', 'swap', 'call', 'apply'].indexOf(statement.type) < 0)
+            throw this._error('Expected an assignment or a call', node);
+        this._evaluate(statement, frame);
+    }
+    this._step(node, 'state', frame);
+    return null;
+};
+
+Interpreter.prototype._runAssertion = function (node, frame) {
+    if (!isAllMath(node.children[0])) return null;
+
+    var condition = this._condition(node.children[0], frame);
+    this._step(node, node.value, frame, condition);
+    if (!condition) throw this._error(`The ${node.value === 'assert' ? 'assertion' : node.value} failed`, node);
+    return null;
+};
+
+function isAllMath (textNode) {
+    return textNode.children.length > 0 && textNode.children.every((child) => {
+        if (child.type === 'open-text' || child.type === 'close-text') return isAllMath(child);
+        return child.type === 'math' || child.type === 'cond-symbol' || child.type === 'call';
+    });
+}
+
+Interpreter.prototype._runIf = function (node, frame) {
+    var numConds = node.value.numElif + 1;
+    for (var i = 0; i < numConds; i++) {
+        var condNode = node.children[2 * i];
+        var condition = this._condition(condNode, frame);
+        this._step(i === 0 ? node : condNode, i === 0 ? 'if' : 'elsif', frame, condition);
+        if (condition) return this._runBlock(node.children[2 * i + 1], frame);
+    }
+    if (node.value.hasElse) return this._runBlock(node.children[2 * numConds], frame);
+    return null;
+};
+
+Interpreter.prototype._runLoop = function (node, frame) {
+    var blockNode = node.children[node.children.length - 1];
+    switch (node.value) {
+        case 'while':
+            return this._runWhile(node, frame, () => {
+                var condition = this._condition(node.children[0], frame);
+                this._step(node, 'while', frame, condition);
+                return condition;
+            });
+        case 'loop':
+            return this._runWhile(node, frame, () => {
+                this._step(node, 'loop', frame);
+                return true;
+            });
+        default:
+            break;
+    }
+
+    var header = this._parse('parseLoopHeader', node.children[0]);
+    if (header.type === 'each') {
+        var array = this._evaluate(header.iterable, frame);
+        if (!Array.isArray(array)) throw this._error(`Expected an array, but got ${typeOf(array)}`, header.iterable);
+        if (header.target.type !== 'name') throw this._error('Expected the name of a variable', header.target);
+
+        var items = array.slice();
+        for (var i = 0; i < items.length; i++) {
+            frame.variables[header.target.name] = items[i];
+            this._step(node, node.value, frame, true);
+            var signal = this._runBlock(blockNode, frame);
+            if (signal && signal.kind === 'break') break;
+            if (signal && signal.kind === 'return') return signal;
+        }
+        return null;
+    }
+
+    // The bounds are evaluated once, before the loop
+    var to = this._number(header.to, frame);
+    var step = header.descending ? -1 : 1;
+    this._assign(header.target, this._number(header.from, frame), frame);
+    return this._runWhile(node, frame, () => {
+        var counter = this._number(header.target, frame);
+        var condition = header.descending ? counter >= to : counter <= to;
+        this._step(node, node.value, frame, condition);
+        return condition;
+    }, () => {
+        this._assign(header.target, this._number(header.target, frame) + step, frame);
+    });
+};
+
+/* Run the block of a loop while the test is true, with the update after each
+ * pass, if any */
+Interpreter.prototype._runWhile = function (node, frame, test, update) {
+    var blockNode = node.children[node.children.length - 1];
+    while (test()) {
+        var signal = this._runBlock(blockNode, frame);
+        if (signal && signal.kind === 'break') break;
+        if (signal && signal.kind === 'return') return signal;
+        if (update) update();
+    }
+    return null;
+};
+
+/* \REPEAT ... \UNTIL runs until the condition is true, and \DO ... \DOWHILE
+ * while it is true */
+Interpreter.prototype._runRepeat = function (node, frame) {
+    var kind = node.value === 'repeat' ? 'until' : 'dowhile';
+    while (true) {
+        var signal = this._runBlock(node.children[0], frame);
+        if (signal && signal.kind === 'break') break;
+        if (signal && signal.kind === 'return') return signal;
+
+        var condition = this._condition(node.children[1], frame);
+        this._step(node.children[1], kind, frame, condition);
+        if (condition === (kind === 'until')) break;
+    }
+    return null;
+};
+
+/* The first case whose value equals that of the switch is run, or else the
+ * default; a case doesn't fall through to the next one */
+Interpreter.prototype._runSwitch = function (node, frame) {
+    var value = this._evaluate(this._parse('parseExpression', node.children[0]), frame);
+    this._step(node, 'switch', frame, value);
+
+    var caseNodes = node.children[1].children;
+    for (var i = 0; i < caseNodes.length; i++) {
+        var caseNode = caseNodes[i];
+        if (caseNode.type === 'case') {
+            var caseValue = this._evaluate(this._parse('parseExpression', caseNode.children[0]), frame);
+            var matches = equals(value, caseValue);
+            this._step(caseNode, 'case', frame, matches);
+            if (matches) return this._runBlock(caseNode.children[1], frame);
+        }
+        else if (caseNode.type === 'default') {
+            this._step(caseNode, 'default', frame);
+            return this._runBlock(caseNode.children[0], frame);
+        }
+    }
+    return null;
+};
+
+Interpreter.prototype._callFunction = function (functionNode, args, callNode, frame) {
+    var name = functionNode.value.name;
+    var params = this._params(functionNode);
+    if (args.length !== params.length) {
+        throw this._error(`\`${name}\` takes ${params.length} argument${params.length === 1 ? '' : 's'}, ` +
+                          `but got ${args.length}`, callNode);
+    }
+    if (this._depth >= MAX_DEPTH)
+        throw this._error(`Too many nested calls (over ${MAX_DEPTH}); is there an infinite recursion?`, callNode);
+
+    params.forEach((param, i) => {
+        frame.variables[param] = args[i];
+    });
+    this._step(functionNode, 'call', frame);
+
+    this._depth++;
+    var signal;
+    try {
+        signal = this._runBlock(functionNode.children[1], frame);
+    }
+    catch (e) {
+        // The stack of JavaScript may run out before MAX_DEPTH
+        if (!(e instanceof RangeError)) throw e;
+        throw this._error('Too many nested calls; is there an infinite recursion?', callNode);
+    }
+    this._depth--;
+    if (signal && signal.kind !== 'return')
+        throw this._error(`\\${signal.kind.toUpperCase()} outside of a loop`, signal.node);
+    return signal ? signal.value : null;
+};
+
+/* Call a function of the input, or a built-in one */
+Interpreter.prototype._call = function (name, args, expression) {
+    var functionNode = this._functions[name];
+    if (functionNode)
+        return this._callFunction(functionNode, args, expression, { name: name, variables: {} });
+
+    var builtin = BUILTINS[name.toLowerCase()];
+    if (!builtin) throw this._error(`Undefined function \`${name}\``, expression);
+    if (builtin.arity >= 0 && args.length !== builtin.arity)
+        throw this._error(`\`${name}\` takes ${builtin.arity} argument, but got ${args.length}`, expression);
+    try {
+        return builtin.apply(args);
+    }
+    catch (e) {
+        if (!(e instanceof TypeError)) throw e;
+        throw this._error(`${e.message} in \`${name}\``, expression);
+    }
+};
+
+/* Evaluate the condition of a text, e.g. that of \IF */
+Interpreter.prototype._condition = function (textNode, frame) {
+    var expression = this._parse('parseExpression', textNode);
+    if (!expression) throw this._error('Expected a condition', textNode);
+    return this._test(expression, frame);
+};
+
+Interpreter.prototype._test = function (expression, frame) {
+    var value = this._evaluate(expression, frame);
+    if (typeof value !== 'boolean')
+        throw this._error(`Expected a condition, which is true or false, but got ${typeOf(value)}`, expression);
+    return value;
+};
+
+Interpreter.prototype._number = function (expression, frame) {
+    var value = this._evaluate(expression, frame);
+    if (typeof value !== 'number')
+        throw this._error(`Expected a number, but got ${typeOf(value)}`, expression);
+    return value;
+};
+
+Interpreter.prototype._array = function (expression, frame) {
+    var value = this._evaluate(expression, frame);
+    if (!Array.isArray(value))
+        throw this._error(`Expected an array, but got ${typeOf(value)}`, expression);
+    return value;
+};
+
+/* The position of an index in an array, from 0 */
+Interpreter.prototype._offset = function (array, expression, frame) {
+    var index = this._number(expression.index, frame);
+    var offset = index - this._indexBase;
+    if (Math.floor(index) !== index || offset < 0 || offset >= array.length) {
+        var bounds = array.length > 0
+            ? `${this._indexBase} to ${array.length - 1 + this._indexBase}` : 'none, as it is empty';
+        throw this._error(`The index ${index} is out of the bounds of the array (${bounds})`, expression.index);
+    }
+    return offset;
+};
+
+Interpreter.prototype._assign = function (target, value, frame) {
+    if (target.type === 'name') {
+        frame.variables[target.name] = value;
+    }
+    else {
+        var array = this._array(target.array, frame);
+        array[this._offset(array, target, frame)] = value;
+    }
+};
+
+Interpreter.prototype._evaluate = function (expression, frame) {
+    var value;
+    switch (expression.type) {
+        case 'number':
+        case 'boolean':
+        case 'nil':
+            return expression.value;
+        case 'name':
+            if (!Object.prototype.hasOwnProperty.call(frame.variables, expression.name))
+                throw this._error(`Undefined variable \`${expression.name}\``, expression);
+            return frame.variables[expression.name];
+        case 'index':
+            var array = this._array(expression.array, frame);
+            return array[this._offset(array, expression, frame)];
+        case 'attribute':
+            if (expression.name.toLowerCase() !== 'length')
+                throw this._error(`Unknown attribute \`${expression.name}\``, expression);
+            return this._array(expression.object, frame).length;
+        case 'list':
+            return expression.items.map((item) => this._evaluate(item, frame));
+        case 'call':
+            return this._call(expression.name, expression.args.map((arg) => this._evaluate(arg, frame)), expression);
+        case 'apply':
+            // A product, e.g. n(n + 1), if the name is that of a variable
+            if (Object.prototype.hasOwnProperty.call(frame.variables, expression.name) && expression.args.length === 1) {
+                var product = { type: 'binary', op: '*', start: expression.start,
+                    left: { type: 'name', name: expression.name, start: expression.start },
+                    right: expression.args[0] };
+                return this._evaluate(product, frame);
+            }
+            return this._call(expression.name, expression.args.map((arg) => this._evaluate(arg, frame)), expression);
+        case 'unary':
+            return this._evaluateUnary(expression, frame);
+        case 'binary':
+            return this._evaluateBinary(expression, frame);
+        case 'compare':
+            return this._evaluateComparison(expression, frame);
+        case 'assign':
+            value = this._evaluate(expression.value, frame);
+            this._assign(expression.target, value, frame);
+            return value;
+        case 'swap':
+            var left = this._evaluate(expression.left, frame);
+            var right = this._evaluate(expression.right, frame);
+            this._assign(expression.left, right, frame);
+            this._assign(expression.right, left, frame);
+            return null;
+        default:
+            throw this._error(`Cannot evaluate the ${expression.type}`, expression);
+    }
+};
+
+Interpreter.prototype._evaluateUnary = function (expression, frame) {
+    if (expression.op === 'not') return !this._test(expression.operand, frame);
+    if (expression.op === 'abs') {
+        // The length of an array, e.g. |A|, or the absolute value of a number
+        var value = this._evaluate(expression.operand, frame);
+        if (Array.isArray(value)) return value.length;
+        if (typeof value !== 'number')
+            throw this._error(`Expected a number or an array, but got ${typeOf(value)}`, expression.operand);
+        return Math.abs(value);
+    }
+
+    var operand = this._number(expression.operand, frame);
+    switch (expression.op) {
+        case '-': return -operand;
+        case 'floor': return Math.floor(operand);
+        case 'ceil': return Math.ceil(operand);
+        default: return Math.sqrt(operand);
+    }
+};
+
+Interpreter.prototype._evaluateBinary = function (expression, frame) {
+    if (expression.op === 'and')
+        return this._test(expression.left, frame) && this._test(expression.right, frame);
+    if (expression.op === 'or')
+        return this._test(expression.left, frame) || this._test(expression.right, frame);
+
+    var left = this._number(expression.left, frame);
+    var right = this._number(expression.right, frame);
+    switch (expression.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '^': return Math.pow(left, right);
+        case '/':
+        case 'mod':
+            if (right === 0) throw this._error('Division by zero', expression);
+            // The mod is that of math, which is never negative for a positive divisor
+            return expression.op === '/' ? left / right : ((left % right) + right) % right;
+        default:
+            throw this._error(`Unknown operator \`${expression.op}\``, expression);
+    }
+};
+
+Interpreter.prototype._evaluateComparison = function (expression, frame) {
+    var left = this._evaluate(expression.operands[0], frame);
+    for (var i = 0; i < expression.ops.length; i++) {
+        var op = expression.ops[i];
+        var operand = expression.operands[i + 1];
+        var right = this._evaluate(operand, frame);
+        var holds;
+        if (op === '=' || op === '!=') {
+            holds = equals(left, right) === (op === '=');
+        }
+        else if (op === 'in') {
+            if (!Array.isArray(right)) throw this._error(`Expected an array, but got ${typeOf(right)}`, operand);
+            holds = right.some((item) => equals(item, left));
+        }
+        else {
+            if (typeof left !== 'number' || typeof right !== 'number')
+                throw this._error(`Cannot compare ${typeOf(left)} and ${typeOf(right)} by \`${op}\``, operand);
+            holds = { '<': left < right, '<=': left <= right, '>': left > right, '>=': left >= right }[op];
+        }
+        if (!holds) return false;
+        left = right;
+    }
+    return true;
+};
+
+module.exports = Interpreter;
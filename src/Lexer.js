@@ -1,42 +1,116 @@
 /**
  * The Lexer class tokenizes the input sequentially, looking ahead only one
  * token.
+ *
+ * In tolerant mode (the `tolerant` option), an atom that cannot be recognized
+ * is recorded in `diagnostics` and taken as ordinary text instead.
+ *
+ * The Lexer also expands macros, so that the Parser never sees them. Macros
+ * are defined in the input by \newcommand, \renewcommand or \providecommand,
+ * e.g. `\newcommand{\Cost}[1]{\mathcal{C}(#1)}`, or by the `macros` option,
+ * e.g. { '\\Cost': '\\mathcal{C}(#1)' }. A call of a macro is replaced by the
+ * atoms of its expansion, which all take the location of the call; a call in
+ * math is expanded in the text of the math. The keywords, e.g. 'Require:', are
+ * predefined as the macros of the algorithmic package, e.g.
+ * \algorithmicrequire, so that they can be redefined; they are in the
+ * language of the `locale` option, as changed by the `keywords` option.
+ *
+ * With the `expandMacros` option set to false, which is meant for tools that
+ * keep the source as it is, a definition or a call of a macro is taken as a
+ * single atom of type 'macro' instead.
  */
 var utils = require('./utils');
 var ParseError = require('./ParseError');
+var keywords = require('./keywords');
+var locales = require('./locales');
+var styles = require('./styles');
 
-var Lexer = function (input) {
+var Lexer = function (input, options) {
+    options = styles.applyStyle(options);
     this._input = input;
+    this._tolerant = !!options.tolerant;
+    this._expandMacros = options.expandMacros !== undefined ? options.expandMacros : true;
+    var keywordTable = locales.resolveLocale(options.locale, options.keywords).keywords;
+    this._macros = makeMacroTable(options.macros, keywordTable);
+    this._expansionDepth = 0;
+    this.diagnostics = [];
     this._remain = input;
     this._pos = 0;
+    this._line = 1;
+    this._column = 1;
     this._nextAtom = this._currentAtom = null;
+    this._pending = []; // the atoms of an expansion that are yet to come
+    this._expected = []; // what has been tried on the next atom, for errors
     this._next(); // get the next atom
 };
 
+var DEFINITION_COMMANDS = ['newcommand', 'renewcommand', 'providecommand'];
+var MAX_EXPANSION_DEPTH = 100;
+
+/*
+ * Build the table of macros from the `macros` option, where a macro is given
+ * either by its body, or as { body, numArgs, defaultArg }, e.g. a macro that
+ * `macros()` returns. A macro defined in the input also remembers where its
+ * definition starts and ends. The keywords are predefined from a keyword
+ * table.
+ */
+function makeMacroTable (macros, keywordTable) {
+    var table = {};
+    Object.keys(keywords.KEYWORDS).forEach((name) => {
+        table[keywords.MACRO_PREFIX + name] = {
+            numArgs: 0,
+            body: keywords.keywordText(name, keywordTable),
+            predefined: true,
+        };
+    });
+
+    for (var name in macros || {}) {
+        var macro = macros[name];
+        if (utils.isString(macro)) macro = { body: macro };
+        table[name.replace(/^\\/, '')] = {
+            numArgs: macro.numArgs !== undefined ? macro.numArgs : countArgs(macro.body),
+            defaultArg: macro.defaultArg,
+            body: macro.body,
+            predefined: !!macro.predefined,
+            start: macro.start,
+            end: macro.end,
+        };
+    }
+    return table;
+}
+
+/* The number of arguments of a macro, i.e. the highest #n in its body */
+function countArgs (body) {
+    var numArgs = 0;
+    body.replace(/#([1-9])/g, (match, n) => {
+        numArgs = Math.max(numArgs, Number(n));
+    });
+    return numArgs;
+}
+
+/* The macros defined so far, by their names without the backslash */
+Lexer.prototype.macros = function () {
+    return this._macros;
+};
+
 Lexer.prototype.accept = function (type, text) {
     if (this._nextAtom.type === type && this._matchText(text)) {
         this._next();
         return this._currentAtom.text;
     }
+    this._expected.push({ type: type, text: text });
     return null;
 };
 
 Lexer.prototype.expect = function (type, text) {
     var nextAtom = this._nextAtom;
-    // The next atom is NOT of the right type
-    if (nextAtom.type !== type) {
-        throw new ParseError(
-            `Expected an atom of ${type} but received ${nextAtom.type}`,
-            this._pos,
-            this._input
-        );
-    }
-    // Check whether the text is exactly the same
-    if (!this._matchText(text)) {
-        throw new ParseError(
-            `Expected \`${text}\` but received \`${nextAtom.text}\``,
-            this._pos,
-            this._input
+    // The next atom is NOT of the right type, or its text is different
+    if (nextAtom.type !== type || !this._matchText(text)) {
+        var expected = { type: type, text: text };
+        this._expected.push(expected);
+        throw this.error(
+            `Expected ${[].concat(describeExpected(expected)).join(' or ')
+            } but received ${this._describeAtom(nextAtom)}`
         );
     }
 
@@ -44,16 +118,103 @@ Lexer.prototype.expect = function (type, text) {
     return this._currentAtom.text;
 };
 
+/*
+ * Create a ParseError at the start of an atom (by default, the next one).
+ * The error lists what has been expected in place of the next atom.
+ */
+Lexer.prototype.error = function (message, atom) {
+    atom = atom || this._nextAtom;
+
+    var expected = [];
+    if (atom === this._nextAtom) {
+        this._expected.forEach((exp) => {
+            [].concat(describeExpected(exp)).forEach((desc) => {
+                if (expected.indexOf(desc) < 0) expected.push(desc);
+            });
+        });
+    }
+
+    return new ParseError(message, atom.start, this._input, {
+        expected: expected,
+        found: this._describeAtom(atom),
+    });
+};
+
+/* The number of expectations on the next atom so far */
+Lexer.prototype.expectedMark = function () {
+    return this._expected.length;
+};
+
+/*
+ * Replace the expectations on the next atom since the mark by a single
+ * description, e.g. all the kinds of atoms in a text by 'text'.
+ */
+Lexer.prototype.summarizeExpected = function (mark, description) {
+    this._expected.splice(mark, this._expected.length - mark,
+                          { description: description });
+};
+
+/* The atom as it appears in the input, e.g. `\ENDIF` or `{` */
+Lexer.prototype._describeAtom = function (atom) {
+    if (atom.type === 'EOF') return 'end of input';
+    return this._input.slice(atom.start.offset, atom.end.offset);
+};
+
+/* The expected atom(s) in a human-readable form, e.g. `\ENDIF` */
+function describeExpected (expected) {
+    if (expected.description) return expected.description;
+
+    var text = expected.text;
+    switch (expected.type) {
+        case 'EOF': return 'end of input';
+        case 'open': return '{';
+        case 'close': return '}';
+        case 'terminator': return '\\;';
+        case 'func':
+            if (text === null || text === undefined) return 'a command';
+            return [].concat(text).map((name) => {
+                // The names of environments, captions and labels are in lowercase
+                var lowercase = ['begin', 'end', 'caption', 'label', 'ref'].indexOf(name.toLowerCase()) >= 0;
+                return `\\${lowercase ? name.toLowerCase() : name.toUpperCase()}`;
+            });
+        default:
+            if (text === null || text === undefined)
+                return { ordinary: 'text', special: 'special character' }[expected.type] || expected.type;
+            return [].concat(text).join(', ');
+    }
+}
+
 Lexer.prototype.get = function () {
     return this._currentAtom;
 };
 
+/* The next atom, without accepting it */
+Lexer.prototype.peek = function () {
+    return this._nextAtom;
+};
+
+/* Accept the next atom, whatever it is */
+Lexer.prototype.skip = function () {
+    this._next();
+    return this._currentAtom;
+};
+
+/* The input between two offsets */
+Lexer.prototype.slice = function (start, end) {
+    return this._input.slice(start, end);
+};
+
+/* Create a ParseError for the next atom, which is not expected at all */
+Lexer.prototype.unexpected = function () {
+    return this.error(`Unexpected ${this._describeAtom(this._nextAtom)}`);
+};
+
 /* Math pattern
     Math environtment like $ $ or \( \) cannot be matched using regular
     expression. This object simulates a RegEx object
 */
 var mathPattern = {
-    exec: function (str) {
+    exec: function (str, location, input) {
         // Order matters: $$ must come before $ to avoid partial matching
         var delimiters = [
             { start: '$$', end: '$$', display: true },
@@ -74,7 +235,7 @@ var mathPattern = {
                 var pos = remain.indexOf(endDel);
                 if (pos < 0) {
                     throw new ParseError('Math environment is not closed',
-                                         this._pos, this._input);
+                                         location, input);
                 }
 
                 // false positive, it's escaped, not a match
@@ -99,6 +260,8 @@ var atomRegex = {
     // TODO: which is correct? func: /^\\(?:[a-zA-Z]+|.)/,
     special: /^(\\\\|\\{|\\}|\\\$|\\&|\\#|\\%|\\_)/,
     math: mathPattern, ///^\$.*\$/
+    // The end of a statement in algorithm2e, i.e. `\;`
+    terminator: /^\\;/,
     func: /^\\([a-zA-Z]+)/,
     open: /^\{/,
     close: /^\}/,
@@ -109,18 +272,54 @@ var commentRegex = /^%.*/;
 var whitespaceRegex = /^\s+/;
 
 Lexer.prototype._skip = function (len) {
+    var skipped = this._remain.slice(0, len);
+    var lastNewline = skipped.lastIndexOf('\n');
+    if (lastNewline >= 0) {
+        this._line += skipped.split('\n').length - 1;
+        this._column = len - lastNewline;
+    }
+    else {
+        this._column += len;
+    }
+
     this._pos += len;
     this._remain = this._remain.slice(len);
 };
 
-/* Get the next atom */
+/* The location of the current position in the input. Both line and column
+ * count from 1. */
+Lexer.prototype._location = function () {
+    return { offset: this._pos, line: this._line, column: this._column };
+};
+
+/* Get the next atom
+
+    The `%` comments skipped before the atom are not thrown away but kept in
+    the `comments` of the atom, so that the source can be reproduced from the
+    parse tree. A comment is `inline` if it shares its line with the atom
+    before it, e.g. `\STATE $x \gets 0$ % initialize`.
+*/
 Lexer.prototype._next = function () {
+    if (this._pending.length === 0) this._pending = this._lexExpanded();
+
+    // Remember the current atom
+    this._currentAtom = this._nextAtom;
+    this._expected = [];
+    this._nextAtom = this._pending.shift();
+    return this._nextAtom.type !== 'EOF';
+};
+
+/* Get the next atom from the input, as it is */
+Lexer.prototype._lexAtom = function () {
     var anyWhitespace = false;
+    var anyNewline = false;
+    var comments = [];
     while (1) {
         // Skip whitespace (one or more)
         var whitespaceMatch = whitespaceRegex.exec(this._remain);
         if (whitespaceMatch) {
             anyWhitespace = true;
+            if (whitespaceMatch[0].indexOf('\n') >= 0) anyNewline = true;
             var whitespaceLen = whitespaceMatch[0].length;
             this._skip(whitespaceLen);
         }
@@ -128,50 +327,388 @@ Lexer.prototype._next = function () {
         // Skip comment
         var commentMatch = commentRegex.exec(this._remain);
         if (!commentMatch) break;
+        comments.push({
+            text: commentMatch[0].substring(1),
+            inline: !anyNewline && this._nextAtom !== null,
+        });
+        anyNewline = false;
         var commentLen = commentMatch[0].length;
         this._skip(commentLen);
     }
 
-    // Remember the current atom
-    this._currentAtom = this._nextAtom;
-
     // Reach the end of string
     if (this._remain === '') {
-        this._nextAtom = {
+        return {
             type: 'EOF',
             text: null,
             whitespace: false,
+            comments: comments,
+            start: this._location(),
+            end: this._location(),
         };
-        return false;
     }
 
     // Try all kinds of atoms
     for (var type in atomRegex) {
         var regex = atomRegex[type];
 
-        var match = regex.exec(this._remain);
+        // The location and the input only matter to the math pattern, which
+        // reports math environments that are not closed
+        var match;
+        try {
+            match = regex.exec(this._remain, this._location(), this._input);
+        }
+        catch (e) {
+            return this._recover(e, anyWhitespace, comments);
+        }
         if (!match) continue; // not matched
 
         // match[1] is the useful part, e.g. '123' of '$123$', 'it' of '\\it'
         var matchText = match[0];
         var usefulText = match[1] ? match[1] : matchText;
 
-        this._nextAtom = {
-            type: type, /* special, func, open, close, ordinary, math */
+        var start = this._location();
+        this._skip(matchText.length);
+
+        return {
+            type: type, /* special, func, open, close, ordinary, math, terminator */
             text: usefulText, /* the text value of the atom */
             whitespace: anyWhitespace, /* any whitespace before the atom */
             displayMode: type === 'math' ? !!match[2] : undefined, /* for math: true = display, false = inline */
+            comments: comments, /* the `%` comments before the atom */
+            start: start, /* the location where the atom starts */
+            end: this._location(), /* the location right after the atom */
         };
+    }
+
+    var error = new ParseError(`Unrecognizable atom \`${this._remain[0]}\``,
+                               this._location(), this._input);
+    return this._recover(error, anyWhitespace, comments);
+};
+
+/*
+ * In tolerant mode, record the error and take the first character of the
+ * remaining input as an ordinary atom, e.g. the `$` of a math environment
+ * that is not closed. Otherwise, throw the error.
+ */
+Lexer.prototype._recover = function (error, anyWhitespace, comments) {
+    if (!this._tolerant) throw error;
+    this.diagnostics.push(error);
+
+    var start = this._location();
+    var text = this._remain[0];
+    this._skip(1);
 
-        this._pos += matchText.length;
-        this._remain = this._remain.slice(match[0].length);
+    return {
+        type: 'ordinary',
+        text: text,
+        whitespace: anyWhitespace,
+        comments: comments,
+        start: start,
+        end: this._location(),
+    };
+};
 
-        return true;
+/*
+ * Get the atoms that the next atom from the input expands to. An atom that
+ * expands to nothing, e.g. the definition of a macro, passes its whitespace
+ * and comments on to the atom after it.
+ */
+Lexer.prototype._lexExpanded = function () {
+    var anyWhitespace = false;
+    var comments = [];
+    while (true) {
+        var atom = this._lexAtom();
+        atom.whitespace = atom.whitespace || anyWhitespace;
+        atom.comments = comments.concat(atom.comments);
+
+        var atoms = this._expand(atom);
+        if (atoms.length > 0) return atoms;
+
+        anyWhitespace = atom.whitespace;
+        comments = atom.comments;
+    }
+};
+
+/* Expand an atom that has just been taken from the input */
+Lexer.prototype._expand = function (atom) {
+    if (atom.type === 'math' && this._expandMacros) {
+        atom.text = this._expandInMath(atom.text, atom, 0);
+        return [atom];
+    }
+    if (atom.type !== 'func') return [atom];
+
+    var isDefinition = DEFINITION_COMMANDS.indexOf(atom.text) >= 0;
+    var macro = this._macros[atom.text];
+    if (!isDefinition && !macro) return [atom];
+
+    var args = null;
+    if (isDefinition) this._defineMacro(atom);
+    else args = this._readArgs(atom, macro);
+    atom.end = this._location();
+    if (!this._expandMacros) {
+        atom.type = 'macro';
+        atom.text = this._input.slice(atom.start.offset, atom.end.offset);
+        return [atom];
+    }
+    if (isDefinition) return [];
+
+    var atoms = this._lexExpansion(substituteArgs(macro.body, args), atom);
+    if (atoms.length > 0) {
+        atoms[0].whitespace = atom.whitespace;
+        atoms[0].comments = atom.comments;
+    }
+    return atoms;
+};
+
+/*
+ * Read the definition of a macro, e.g. `{\Cost}[1]{\mathcal{C}(#1)}` after
+ * \newcommand, and define it.
+ */
+Lexer.prototype._defineMacro = function (atom) {
+    var command = atom.text;
+
+    // {\name} or \name
+    this._skipWhitespace();
+    var braced = this._remain[0] === '{';
+    if (braced) this._skip(1);
+    this._skipWhitespace();
+    var nameMatch = /^\\([a-zA-Z]+)/.exec(this._remain);
+    if (!nameMatch)
+        throw this._definitionError(`Expected the name of a command after \\${command}`);
+    var name = nameMatch[1];
+    this._skip(nameMatch[0].length);
+    if (braced) {
+        this._skipWhitespace();
+        if (this._remain[0] !== '}')
+            throw this._definitionError(`Expected } after \\${name}`);
+        this._skip(1);
     }
 
-    throw new ParseError('Unrecoganizable atom', this._pos, this._input);
+    // [<number of arguments>][<default of the first argument>]
+    var numArgs = 0;
+    var defaultArg;
+    var numArgsText = this._readGroup('[', ']');
+    if (numArgsText !== null) {
+        numArgs = Number(numArgsText.trim());
+        if (!/^[0-9]$/.test(numArgsText.trim()))
+            throw this._definitionError(`Invalid number of arguments \`${numArgsText}\``);
+        var defaultText = this._readGroup('[', ']');
+        if (defaultText !== null) defaultArg = defaultText;
+    }
+
+    // {<body>}
+    var body = this._readGroup('{', '}');
+    if (body === null)
+        throw this._definitionError(`Expected the definition of \\${name}`);
+
+    var defined = this._macros[name] !== undefined;
+    if (command === 'providecommand' && defined) return;
+    if (command === 'newcommand' && defined)
+        this._reportDefinition(`Command \\${name} is already defined`, atom);
+    if (command === 'renewcommand' && !defined)
+        this._reportDefinition(`Command \\${name} is not defined`, atom);
+
+    this._macros[name] = {
+        numArgs: numArgs,
+        defaultArg: defaultArg,
+        body: body,
+        predefined: false,
+        start: atom.start,
+        end: this._location(),
+    };
+};
+
+Lexer.prototype._definitionError = function (message) {
+    return new ParseError(message, this._location(), this._input);
+};
+
+/* (Re)defining a macro that is (not) defined yet is not fatal in tolerant mode */
+Lexer.prototype._reportDefinition = function (message, atom) {
+    var error = new ParseError(message, atom.start, this._input);
+    if (!this._tolerant) throw error;
+    this.diagnostics.push(error);
 };
 
+/* Read the arguments of a call of a macro from the input */
+Lexer.prototype._readArgs = function (atom, macro) {
+    var result = readArgs(this._remain, 0, macro);
+    if (result === null)
+        throw new ParseError(`Missing argument of \\${atom.text}`, this._location(), this._input);
+    this._skip(result.end);
+    return result.args;
+};
+
+Lexer.prototype._skipWhitespace = function () {
+    var whitespaceMatch = whitespaceRegex.exec(this._remain);
+    if (whitespaceMatch) this._skip(whitespaceMatch[0].length);
+};
+
+/*
+ * Read a group, e.g. `{...}` or `[...]`, from the input, and return what is
+ * inside it, or null if the input doesn't start with one.
+ */
+Lexer.prototype._readGroup = function (open, close) {
+    var group = readGroup(this._remain, skipSpaces(this._remain, 0), open, close);
+    if (group === null) return null;
+    this._skip(group.end);
+    return group.text;
+};
+
+/*
+ * Lex the expansion of a macro into atoms, which all take the place of the
+ * call. The macros in the expansion are expanded as well.
+ */
+Lexer.prototype._lexExpansion = function (text, callAtom) {
+    if (this._expansionDepth >= MAX_EXPANSION_DEPTH) {
+        throw new ParseError(`Too many nested expansions of \\${callAtom.text}`,
+                             callAtom.start, this._input);
+    }
+
+    // Lex the expansion in place of the input
+    var saved = {
+        remain: this._remain,
+        pos: this._pos,
+        line: this._line,
+        column: this._column,
+        numDiagnostics: this.diagnostics.length,
+    };
+    this._remain = text;
+    this._expansionDepth++;
+
+    var atoms = [];
+    var error = null;
+    try {
+        while (true) {
+            var expanded = this._lexExpanded();
+            if (expanded[0].type === 'EOF') break;
+            atoms = atoms.concat(expanded);
+        }
+    }
+    catch (e) {
+        error = e;
+    }
+
+    this._expansionDepth--;
+    this._remain = saved.remain;
+    this._pos = saved.pos;
+    this._line = saved.line;
+    this._column = saved.column;
+
+    // The errors in the expansion are reported at the (outermost) call
+    var inExpansion = (e) => {
+        if (!(e instanceof ParseError) || this._expansionDepth > 0) return e;
+        return new ParseError(`${e.reason} in the expansion of \\${callAtom.text}`,
+                              callAtom.start, this._input);
+    };
+    if (error) throw inExpansion(error);
+    for (var di = saved.numDiagnostics; di < this.diagnostics.length; di++)
+        this.diagnostics[di] = inExpansion(this.diagnostics[di]);
+
+    atoms.forEach((expandedAtom) => {
+        expandedAtom.start = callAtom.start;
+        expandedAtom.end = callAtom.end;
+    });
+    return atoms;
+};
+
+/* Expand the macros in the text of math, e.g. `\Cost{n}` */
+Lexer.prototype._expandInMath = function (text, atom, depth) {
+    if (depth >= MAX_EXPANSION_DEPTH)
+        throw new ParseError('Too many nested expansions in math', atom.start, this._input);
+
+    var macros = this._macros;
+    var expanded = '';
+    var pos = 0;
+    var callRegex = /\\([a-zA-Z]+)|\\./g;
+    var match;
+    while ((match = callRegex.exec(text)) !== null) {
+        var macro = match[1] && macros[match[1]];
+        if (!macro || macro.predefined) continue;
+
+        var result = readArgs(text, callRegex.lastIndex, macro);
+        if (result === null)
+            throw new ParseError(`Missing argument of \\${match[1]}`, atom.start, this._input);
+
+        // Keep the expansion apart from a letter that follows it
+        var expansion = substituteArgs(macro.body, result.args);
+        expanded += text.slice(pos, match.index) +
+            this._expandInMath(expansion, atom, depth + 1);
+        if (/[a-zA-Z]$/.test(expansion) && /^[a-zA-Z]/.test(text.slice(result.end)))
+            expanded += ' ';
+        pos = callRegex.lastIndex = result.end;
+    }
+    return expanded + text.slice(pos);
+};
+
+/* The position of the first character at or after `pos` that is not a space */
+function skipSpaces (str, pos) {
+    while (pos < str.length && /\s/.test(str[pos])) pos++;
+    return pos;
+}
+
+/*
+ * Read a group that starts at `pos`, with nested braces in it, and return the
+ * text inside it and the position right after it, or null if there is none.
+ */
+function readGroup (str, pos, open, close) {
+    if (str[pos] !== open) return null;
+
+    var depth = 0;
+    for (var ci = pos + 1; ci < str.length; ci++) {
+        var ch = str[ci];
+        if (ch === '\\')
+            ci++; // skip the escaped character, e.g. \}
+        else if (ch === '{')
+            depth++;
+        else if (ch === '}' && depth > 0)
+            depth--;
+        else if (ch === close && depth === 0)
+            return { text: str.slice(pos + 1, ci), end: ci + 1 };
+    }
+    return null;
+}
+
+/*
+ * Read the arguments of a call of a macro that start at `pos`: the optional
+ * one in brackets, if the macro has a default for it, then the others, each
+ * either in braces or as a single character or command. Return them and the
+ * position right after them, or null if any is missing.
+ */
+function readArgs (str, pos, macro) {
+    var args = [];
+    for (var ai = 0; ai < macro.numArgs; ai++) {
+        var start = skipSpaces(str, pos);
+        if (ai === 0 && macro.defaultArg !== undefined) {
+            var optional = readGroup(str, start, '[', ']');
+            args.push(optional !== null ? optional.text : macro.defaultArg);
+            if (optional !== null) pos = optional.end;
+            continue;
+        }
+
+        var group = readGroup(str, start, '{', '}');
+        if (group !== null) {
+            args.push(group.text);
+            pos = group.end;
+            continue;
+        }
+
+        var tokenMatch = /^(\\[a-zA-Z]+|\\.|[^\s{}%])/.exec(str.slice(start));
+        if (!tokenMatch) return null;
+        args.push(tokenMatch[0]);
+        pos = start + tokenMatch[0].length;
+    }
+    return { args: args, end: pos };
+}
+
+/* Replace #1, #2, ... in the body of a macro by the arguments, and ## by # */
+function substituteArgs (body, args) {
+    return body.replace(/#([1-9#])/g, (match, n) => {
+        if (n === '#') return '#';
+        return args[Number(n) - 1] !== undefined ? args[Number(n) - 1] : match;
+    });
+}
+
 /* Check whether the text of the next atom matches */
 Lexer.prototype._matchText = function (text) {
     // don't need to match
@@ -0,0 +1,262 @@
+/*
+ * The approximation of TeX math in Unicode text, for where there's no math
+ * engine to typeset it, e.g. in SVG images and in the HTML of the 'unicode'
+ * math backend.
+ *
+ * The symbols, Greek letters, scripts, fractions and fonts that are common in
+ * pseudocode are covered; any other command is shown as it is.
+ **/
+
+var THIN_SPACE = '\u2009';
+var MEDIUM_SPACE = '\u2005';
+
+/*
+ * The symbols of math by their commands, as [text, class]. The class decides
+ * the spacing around a symbol, as in TeX: a relation, e.g. '≤', and a binary
+ * operator, e.g. '+', are spaced; punctuation is followed by a thin space.
+ **/
+var MATH_SYMBOLS = {
+    gets: ['←', 'rel'], leftarrow: ['←', 'rel'], rightarrow: ['→', 'rel'], to: ['→', 'rel'],
+    Leftarrow: ['⇐', 'rel'], Rightarrow: ['⇒', 'rel'], leftrightarrow: ['↔', 'rel'],
+    Leftrightarrow: ['⇔', 'rel'], iff: ['⟺', 'rel'], implies: ['⟹', 'rel'], mapsto: ['↦', 'rel'],
+    uparrow: ['↑', 'rel'], downarrow: ['↓', 'rel'],
+    le: ['≤', 'rel'], leq: ['≤', 'rel'], ge: ['≥', 'rel'], geq: ['≥', 'rel'], ne: ['≠', 'rel'],
+    neq: ['≠', 'rel'], approx: ['≈', 'rel'], equiv: ['≡', 'rel'], sim: ['∼', 'rel'], ll: ['≪', 'rel'],
+    gg: ['≫', 'rel'], prec: ['≺', 'rel'], succ: ['≻', 'rel'], in: ['∈', 'rel'], notin: ['∉', 'rel'],
+    ni: ['∋', 'rel'], subset: ['⊂', 'rel'], subseteq: ['⊆', 'rel'], supset: ['⊃', 'rel'],
+    supseteq: ['⊇', 'rel'], mid: ['∣', 'rel'], perp: ['⊥', 'rel'],
+    times: ['×', 'bin'], cdot: ['⋅', 'bin'], div: ['÷', 'bin'], pm: ['±', 'bin'], mp: ['∓', 'bin'],
+    cup: ['∪', 'bin'], cap: ['∩', 'bin'], setminus: ['∖', 'bin'], land: ['∧', 'bin'], wedge: ['∧', 'bin'],
+    lor: ['∨', 'bin'], vee: ['∨', 'bin'], oplus: ['⊕', 'bin'], otimes: ['⊗', 'bin'], circ: ['∘', 'bin'],
+    ast: ['∗', 'bin'], star: ['⋆', 'bin'], bullet: ['∙', 'bin'],
+    neg: ['¬', null], lnot: ['¬', null], forall: ['∀', null], exists: ['∃', null], emptyset: ['∅', null],
+    varnothing: ['∅', null], infty: ['∞', null], partial: ['∂', null], nabla: ['∇', null],
+    top: ['⊤', null], bot: ['⊥', null], angle: ['∠', null], triangle: ['△', null], prime: ['′', null],
+    ldots: ['…', null], dots: ['…', null], cdots: ['⋯', null], vdots: ['⋮', null],
+    sum: ['∑', null], prod: ['∏', null], int: ['∫', null],
+    lfloor: ['⌊', null], rfloor: ['⌋', null], lceil: ['⌈', null], rceil: ['⌉', null],
+    langle: ['⟨', null], rangle: ['⟩', null], lbrace: ['{', null], rbrace: ['}', null],
+    vert: ['|', null], Vert: ['‖', null], '|': ['‖', null],
+};
+
+/* The characters of math that are not typed as they are */
+var MATH_CHARS = {
+    '+': ['+', 'bin'], '-': ['−', 'bin'], '*': ['∗', 'bin'], '=': ['=', 'rel'], '<': ['<', 'rel'],
+    '>': ['>', 'rel'], ',': [',', 'punct'], ';': [';', 'punct'], '\'': ['′', null], '~': ['\u00a0', null],
+};
+
+var GREEK_LETTERS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+    varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+    varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ',
+    Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+};
+
+/* The operators that are typed upright, by name */
+var MATH_OPERATORS = [
+    'log', 'lg', 'ln', 'exp', 'min', 'max', 'sup', 'inf', 'lim', 'gcd', 'deg', 'det', 'dim', 'sin', 'cos',
+    'tan', 'arg', 'ker', 'Pr',
+];
+
+var MATH_SPACES = {
+    ',': THIN_SPACE, ':': MEDIUM_SPACE, '>': MEDIUM_SPACE, ';': '\u2004', ' ': ' ', '!': '',
+    quad: '\u2003', qquad: '\u2003\u2003', '\\': ' ',
+};
+
+/* The fonts of math by their commands; the argument of a text command is text,
+ * where spaces count */
+var MATH_FONTS = {
+    mathrm: { font: 'normal' }, mathsf: { font: 'normal' }, mathtt: { font: 'normal' },
+    mathcal: { font: 'normal' }, operatorname: { font: 'normal' }, mathop: { font: 'normal' },
+    mathbf: { font: 'bold' }, boldsymbol: { font: 'bold' }, bm: { font: 'bold' },
+    mathit: { font: 'italic' },
+    text: { font: 'normal', text: true }, textrm: { font: 'normal', text: true },
+    textnormal: { font: 'normal', text: true }, textsf: { font: 'normal', text: true },
+    texttt: { font: 'normal', text: true }, textup: { font: 'normal', text: true },
+    mbox: { font: 'normal', text: true }, textbf: { font: 'bold', text: true },
+    textit: { font: 'italic', text: true }, emph: { font: 'italic', text: true },
+};
+
+var DOUBLE_STRUCK = { N: 'ℕ', Z: 'ℤ', Q: 'ℚ', R: 'ℝ', C: 'ℂ', P: 'ℙ' };
+
+/* The accents by their commands, as combining marks */
+var MATH_ACCENTS = {
+    bar: '\u0304', overline: '\u0305', hat: '\u0302', widehat: '\u0302', tilde: '\u0303',
+    widetilde: '\u0303', vec: '\u20d7', dot: '\u0307', ddot: '\u0308',
+};
+
+/* The commands that only change the sizes of things, which are left out */
+var MATH_IGNORED = [
+    'left', 'right', 'middle', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr', 'biggl', 'biggr',
+    'displaystyle', 'textstyle', 'scriptstyle', 'limits', 'nolimits',
+];
+
+function lookup (table, name) {
+    return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : undefined;
+}
+
+/*
+ * MathTypesetter - Typesets TeX math as runs of text, e.g. an italic 'x'
+ * followed by a smaller '2' that is raised (its `shift`, in em).
+ *
+ * The style of the math being typeset is { font, text, scale, shift }, where
+ * the font is null for the default one of math (italic letters), and `text` is
+ * whether it is the argument of a text command, e.g. \text.
+ **/
+function MathTypesetter (tex) {
+    this._tokens = tex.match(/\\[a-zA-Z]+|\\[\s\S]|\s+|[\s\S]/g) || [];
+    this._pos = 0;
+}
+
+MathTypesetter.prototype.typeset = function () {
+    return this._parseList({ font: null, text: false, scale: 1, shift: 0 }, null);
+};
+
+/* Typeset the tokens up to a closer, e.g. '}' of a group, or up to the end */
+MathTypesetter.prototype._parseList = function (style, closer) {
+    var runs = [];
+    while (this._pos < this._tokens.length) {
+        var token = this._tokens[this._pos++];
+        if (token === closer) break;
+        if (token === '}') continue; // an unbalanced brace
+
+        if (token === '^' || token === '_')
+            runs = runs.concat(this._parseArg(scriptStyle(style, token === '^')));
+        else
+            runs = runs.concat(this._parseToken(token, style, runs));
+    }
+    return runs;
+};
+
+/* Typeset the argument of a command or a script: a group or a single token */
+MathTypesetter.prototype._parseArg = function (style) {
+    while (this._pos < this._tokens.length && /^\s+$/.test(this._tokens[this._pos]))
+        this._pos++;
+    if (this._pos >= this._tokens.length) return [];
+
+    var token = this._tokens[this._pos++];
+    return token === '{' ? this._parseList(style, '}') : this._parseToken(token, style, []);
+};
+
+MathTypesetter.prototype._parseToken = function (token, style, before) {
+    if (/^\s+$/.test(token)) return style.text ? [makeRun(' ', style, false)] : [];
+    if (token === '{') return this._parseList(style, '}');
+    if (token[0] !== '\\' || token.length === 1) return this._parseChar(token, style, before);
+    return this._parseCommand(token.substring(1), style, before);
+};
+
+MathTypesetter.prototype._parseChar = function (ch, style, before) {
+    if (style.text) return [makeRun(ch, style, false)];
+    if (/[A-Za-z]/.test(ch)) return [makeRun(ch, style, true)];
+
+    var symbol = lookup(MATH_CHARS, ch);
+    if (symbol) return this._typeSymbol(symbol[0], symbol[1], style, before);
+    return [makeRun(ch, style, false)];
+};
+
+MathTypesetter.prototype._parseCommand = function (name, style, before) {
+    var symbol = lookup(MATH_SYMBOLS, name);
+    if (symbol) return this._typeSymbol(symbol[0], symbol[1], style, before);
+
+    // Lowercase Greek letters are italic, as Latin ones are
+    var letter = lookup(GREEK_LETTERS, name);
+    if (letter) return [makeRun(letter, style, letter !== letter.toUpperCase())];
+
+    var upright = Object.assign({}, style, { font: style.font === 'bold' ? 'bold' : 'normal' });
+    if (MATH_OPERATORS.indexOf(name) >= 0) return [makeRun(name + THIN_SPACE, upright, false)];
+    if (name === 'bmod' || name === 'mod')
+        return [makeRun(`${MEDIUM_SPACE}mod${MEDIUM_SPACE}`, upright, false)];
+
+    var space = lookup(MATH_SPACES, name);
+    if (space !== undefined) return space ? [makeRun(space, style, false)] : [];
+
+    var font = lookup(MATH_FONTS, name);
+    if (font) return this._parseArg(Object.assign({}, style, font));
+
+    if (name === 'mathbb') {
+        return this._parseArg(upright).map((run) => {
+            run.text = run.text.replace(/[A-Z]/g, (ch) => lookup(DOUBLE_STRUCK, ch) || ch);
+            return run;
+        });
+    }
+
+    // An accent is put on the last character of its argument
+    var accent = lookup(MATH_ACCENTS, name);
+    if (accent) {
+        var runs = this._parseArg(style);
+        if (runs.length > 0) runs[runs.length - 1].text += accent;
+        return runs;
+    }
+
+    if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+        var numerator = this._parseArg(style);
+        var denominator = this._parseArg(style);
+        return parenthesize(numerator, style).concat([makeRun('/', style, false)],
+                                                     parenthesize(denominator, style));
+    }
+
+    if (name === 'sqrt') {
+        // The index of the root, e.g. \sqrt[3]{x}, is a superscript before it
+        var index = [];
+        if (this._tokens[this._pos] === '[') {
+            this._pos++;
+            index = this._parseList(scriptStyle(style, true), ']');
+        }
+        return index.concat([makeRun('√', style, false)], parenthesize(this._parseArg(style), style));
+    }
+
+    if (MATH_IGNORED.indexOf(name) >= 0) {
+        // The empty delimiter of \left. and \right.
+        if ((name === 'left' || name === 'right') && this._tokens[this._pos] === '.') this._pos++;
+        return [];
+    }
+
+    // An escaped character, e.g. \{ or \%
+    if (!/[a-zA-Z]/.test(name)) return [makeRun(name, style, false)];
+    return [makeRun(`\\${name}`, upright, false)];
+};
+
+/* Type a symbol of a class (see MATH_SYMBOLS), which is spaced unless it is in
+ * a script; a binary operator is not spaced when it is unary, e.g. -1 */
+MathTypesetter.prototype._typeSymbol = function (text, symbolClass, style, before) {
+    if (style.scale === 1) {
+        var lastRun = before[before.length - 1];
+        var isUnary = !lastRun || /[\s([{]$/.test(lastRun.text);
+        if (symbolClass === 'rel' || (symbolClass === 'bin' && !isUnary))
+            text = MEDIUM_SPACE + text + MEDIUM_SPACE;
+        else if (symbolClass === 'punct')
+            text += THIN_SPACE;
+    }
+    return [makeRun(text, style, false)];
+};
+
+function makeRun (text, style, isLetter) {
+    return {
+        text: text,
+        bold: style.font === 'bold',
+        italic: style.font === 'italic' || (style.font === null && isLetter),
+        smallCaps: false,
+        color: null,
+        scale: style.scale,
+        shift: style.shift,
+    };
+}
+
+/* The style of a superscript or a subscript */
+function scriptStyle (style, isSuperscript) {
+    return Object.assign({}, style, {
+        scale: style.scale * 0.7,
+        shift: style.shift + (isSuperscript ? 0.4 : -0.2) * style.scale,
+    });
+}
+
+/* Put the runs in parentheses, unless they are a single term, e.g. 'n' or
+ * '2k', as the numerator of a fraction */
+function parenthesize (runs, style) {
+    var text = runs.map((run) => run.text).join('');
+    if (/^[\w.\u0370-\u03ff]*$/.test(text)) return runs;
+    return [makeRun('(', style, false)].concat(runs, [makeRun(')', style, false)]);
+}
+
+module.exports = MathTypesetter;
@@ -1,16 +1,39 @@
-function ParseError (message, pos, input) {
-    var error = `Error: ${message}`;
-    // If we have the input and a position, make the error a bit fancier
-    if (pos !== undefined && input !== undefined) {
-        error += ` at position ${pos}: \``;
+/*
+ * ParseError - the error thrown for an input that cannot be parsed.
+ *
+ * Besides the message, the error tells where the problem is and what went
+ * wrong there:
+ *      reason - The message without the position.
+ *      offset, line, column - The position of the problem in the input. Both
+ *          line and column count from 1. They are null if unknown.
+ *      expected - The atoms that would have been accepted at the position,
+ *          e.g. ['\\ENDIF', '\\STATE', 'text'].
+ *      found - The atom that was found instead, e.g. '\\ENDFOR', or null.
+ *      codeFrame - The lines of the input around the position, with a caret
+ *          under the column, or null if the position is unknown.
+ *
+ * The position is either an offset into the input, or a location given as
+ * { offset, line, column }.
+ **/
+function ParseError (message, pos, input, details) {
+    details = details || {};
+
+    this.name = 'ParseError';
+    this.reason = message;
+    this.expected = details.expected || [];
+    this.found = details.found !== undefined ? details.found : null;
+    this.offset = this.line = this.column = null;
+    this.codeFrame = null;
 
-        // Insert a combining underscore at the correct position
-        input = `${input.slice(0, pos)}\u21B1${input.slice(pos)}`;
+    var error = `Error: ${message}`;
+    if (pos !== undefined && pos !== null && input !== undefined) {
+        var location = typeof pos === 'number' ? locate(input, pos) : pos;
+        this.offset = location.offset;
+        this.line = location.line;
+        this.column = location.column;
+        this.codeFrame = codeFrame(input, location.line, location.column);
 
-        // Extract some context from the input and add it to the error
-        var begin = Math.max(0, pos - 15);
-        var end = pos + 15;
-        error += `${input.slice(begin, end)}\``;
+        error += ` at line ${location.line}, column ${location.column}`;
     }
 
     this.message = error;
@@ -18,4 +41,44 @@ function ParseError (message, pos, input) {
 ParseError.prototype = Object.create(Error.prototype);
 ParseError.prototype.constructor = ParseError;
 
+/* Find the line and column of an offset in the input */
+function locate (input, offset) {
+    var before = input.slice(0, offset).split('\n');
+    return {
+        offset: offset,
+        line: before.length,
+        column: before[before.length - 1].length + 1,
+    };
+}
+
+/*
+ * Show the line of the position and the two lines before it, with a caret
+ * under the column, e.g.
+ *
+ *        3 |     \IF{$x > 0$}
+ *        4 |         \STATE $y \gets x$
+ *      > 5 |     \ENDFOR
+ *          |     ^
+ **/
+function codeFrame (input, line, column) {
+    var lines = input.split('\n');
+    var first = Math.max(1, line - 2);
+    var last = Math.min(lines.length, line);
+    var width = String(last).length;
+
+    var frame = [];
+    for (var ln = first; ln <= last; ln++) {
+        var marker = ln === line ? '>' : ' ';
+        var text = lines[ln - 1].replace(/\s+$/, '');
+        frame.push(`${marker} ${String(ln).padStart(width)} | ${text}`);
+    }
+
+    // Keep the tabs before the column so that the caret lines up with it
+    var errorLine = lines[line - 1] || '';
+    var padding = errorLine.slice(0, column - 1).replace(/[^\t]/g, ' ');
+    frame.push(`  ${' '.repeat(width)} | ${padding}^`);
+
+    return frame.join('\n');
+}
+
 module.exports = ParseError;
@@ -21,18 +21,28 @@
  *     <ensure>        :== \ENSURE <open-text>
  *
  *     <block>         :== ( <comment> | <command> | <control> | <function> |
- *                           <statement> )[0..n]
+ *                           <statement> | <assertion> | <label> )[0..n]
  *
- *     <control>       :== <if> | <for> | <while> | <repeat> | <upon>
+ *     <control>       :== <if> | <for> | <while> | <loop> | <repeat> |
+ *                         <do-while> | <upon> | <switch> | <custom>
  *     <if>            :== \IF{<cond>} <block>
  *                         ( \ELIF{<cond>} <block> )[0..n]
  *                         ( \ELSE <block> )[0..1]
  *                         \ENDIF
  *
  *     <for>           :== \FOR{<cond>} <block> \ENDFOR
+ *                         (same for \FORALL and \FOREACH)
  *     <while>         :== \WHILE{<cond>} <block> \ENDWHILE
+ *     <loop>          :== \LOOP <block> \ENDLOOP
  *     <repeat>        :== \REPEAT <block> \UNTIL{<cond>}
+ *     <do-while>      :== \DO <block> \DOWHILE{<cond>}
  *     <upon>          :== \UPON{<cond>} <block> \EDNUPON
+ *     <switch>        :== \SWITCH{<cond>} ( <comment> | <label> )[0..n]
+ *                           ( \CASE{<cond>} <block> )[0..n]
+ *                           ( \DEFAULT <block> )[0..1]
+ *                         \ENDSWITCH
+ *     <custom>        :== \<begin>( {<cond>} )[0..n] <block> \<end>
+ *                         (defined by Parser.defineBlock)
  *
  *     <function>      :== \FUNCTION{<name>}{<params>} <block> \ENDFUNCTION
  *                         (same for <procedure>)
@@ -42,16 +52,22 @@
  *     <return>        :== \RETURN <open-text>
  *     <print>         :== \PRINT <open-text>
  *
+ *     <assertion>     :== \ASSERT <open-text> | \INVARIANT <open-text> |
+ *                         \ENSURE <open-text>
+ *     (\ENSURE is an assertion only in a nested block; at the top level of
+ *     <algorithmic>, it is a postcondition)
+ *
  *     <commands>      :== <break> | <continue>
  *     <break>         :== \BREAK
  *     <continue>      :== \CONTINUE
  *
  *     <comment>       :== \COMMENT{<close-text>}
+ *     (In tolerant mode, anything else in a <block> becomes an <error>)
  *
  *     <cond>          :== <close-text>
- *     <open-text>     :== ( <atom> | <call> ) <open-text> |
+ *     <open-text>     :== ( <atom> | <call> | <label> | <ref> ) <open-text> |
  *                         { <close-text> } | <empty>
- *     <close-text>    :== ( <atom> | <call> ) <close-text> |
+ *     <close-text>    :== ( <atom> | <call> | <label> | <ref> ) <close-text> |
  *                         { <close-text> } | <empty>
  *
  *     <atom>          :== <ordinary>[1..n] | <special> | <symbol>
@@ -59,6 +75,9 @@
  *     <name>          :== <ordinary>
  *
  *     <call>          :== \CALL{<name>}({<close-text>})
+ *     <label>         :== \label{<ordinary>[1..n]}
+ *     <ref>           :== \ref{<ordinary>[1..n]}
+ *     (A label names the line it is on, which a ref refers to)
  *     <special>       :== \\ | \{ | \} | \$ | \& | \# | \% | \_
  *     <cond-symbol>   :== \AND | \OR | \NOT | \TRUE | \FALSE | \TO | \DOWNTO
  *     <text-symbol>   :== \textbackslash
@@ -75,6 +94,11 @@
  *     <ordinary>      :== not any of \ { } $ & # % _
  *     <empty>         :==
  *
+ * Macros, e.g. \newcommand{\Cost}[1]{...} and \Cost{n}, are expanded by
+ * Lexer, so they are not part of the grammar. A Lexer that keeps them (see its
+ * `expandMacros` option) gives a <macro> atom for each, which can appear in
+ * place of an <environment>, an item of a <block> or an <atom>.
+ *
  * There are many well-known ways to parse a context-free grammar, like the
  * top-down approach LL(k) or the bottom-up approach like LR(k). Both methods
  * are usually implemented in a table-driven fashion, which is not suitable to
@@ -84,9 +108,19 @@
  * parser. The major benefit of a recursive descent parser is **simplity** for
  * the structure of resulting program closely mirrors that of the grammar. *
  *
+ * The input written for the algorithm2e package is parsed by
+ * Algorithm2eParser instead, into the same kind of tree.
+ *
+ * By default, the parser throws a ParseError at the first problem in the
+ * input. In tolerant mode (the `tolerant` option), it records the problem in
+ * `diagnostics` instead, skips to the next statement or to the keyword that
+ * closes the current block, and puts an 'error' node in place of what could
+ * not be parsed. A block whose closing keyword is missing is closed anyway.
  */
 var utils = require('./utils');
 var ParseError = require('./ParseError');
+var Lexer = require('./Lexer');
+var keywords = require('./keywords');
 
 var ParseNode = function (type, val) {
     this.type = type;
@@ -114,6 +148,50 @@ ParseNode.prototype.toString = function (level) {
     return res;
 };
 
+/*
+ * Convert the node (and its descendants) to plain objects that can be
+ * serialized to JSON. Every object has the following properties:
+ *      type - The type of the node, e.g. 'if', 'statement' or 'math'.
+ *      value - The value of the node, if any, e.g. the name of a statement.
+ *      start, end - The locations in the input where the node starts and
+ *          where it ends (exclusive), each given as { offset, line, column }.
+ *          Both line and column count from 1.
+ *      children - The child nodes; an empty array for atoms (leaf nodes).
+ * and, only if they apply to the node:
+ *      whitespace - Whether there is any whitespace before an atom, a call or
+ *          a text in braces.
+ *      displayMode - Whether a math atom is in display mode.
+ *      comments, trailingComments - The `%` comments before, or at the end
+ *          of, the node, each given as { text, inline }.
+ *      diagnostics - In tolerant mode, the ParseErrors found in the input
+ *          (only for the root).
+ *      keywords - The keywords that are redefined, e.g. by
+ *          \renewcommand{\algorithmicrequire}{...}, each given as a
+ *          'close-text' node by its name in the keyword table (only for the
+ *          root).
+ **/
+ParseNode.prototype.toJSON = function () {
+    var json = {
+        type: this.type,
+        value: this.value,
+        start: this.start,
+        end: this.end,
+        children: (this.children || []).map((child) => child.toJSON()),
+    };
+    var optionals = ['whitespace', 'displayMode', 'comments', 'trailingComments',
+        'diagnostics'];
+    for (var oi = 0; oi < optionals.length; oi++) {
+        var key = optionals[oi];
+        if (this[key] !== undefined) json[key] = this[key];
+    }
+    if (this.keywords !== undefined) {
+        json.keywords = {};
+        for (var name in this.keywords)
+            json.keywords[name] = this.keywords[name].toJSON();
+    }
+    return json;
+};
+
 ParseNode.prototype.addChild = function (childNode) {
     if (!childNode)
         throw new Error('Argument must not be null');
@@ -132,66 +210,326 @@ var AtomNode = function (type, value, whitespace, displayMode) {
 };
 AtomNode.prototype = ParseNode.prototype;
 
-var Parser = function (lexer) {
+var Parser = function (lexer, options) {
+    options = options || {};
     this._lexer = lexer;
+    this._tolerant = !!options.tolerant;
+    this._closers = []; // the keywords that close the blocks being parsed
+    this.diagnostics = [];
+};
+
+/* The input being parsed, e.g. for the code frames of the errors found in the
+ * parse tree later */
+Parser.prototype.input = function () {
+    return this._lexer.slice(0);
+};
+
+/*
+ * In tolerant mode, record a ParseError as a diagnostic; otherwise (or if it
+ * is not a ParseError), throw it.
+ */
+Parser.prototype._report = function (error) {
+    if (!this._tolerant || !(error instanceof ParseError)) throw error;
+    this.diagnostics.push(error);
+};
+
+/* Whether the next atom closes a block being parsed, or the input ends */
+Parser.prototype._atCloser = function () {
+    var atom = this._lexer.peek();
+    if (atom.type === 'EOF') return true;
+    if (atom.type !== 'func') return false;
+
+    var name = atom.text.toLowerCase();
+    return this._closers.some((closers) => closers.indexOf(name) >= 0);
+};
+
+/* Whether the next atom starts an item of a block, e.g. \STATE or \IF */
+Parser.prototype._atBlockItem = function () {
+    var atom = this._lexer.peek();
+    if (atom.type !== 'func') return false;
+
+    var name = atom.text.toLowerCase();
+    return BLOCK_ITEMS.indexOf(name) >= 0 || CUSTOM_BLOCKS[name] !== undefined;
+};
+
+/*
+ * Recover from an error in an item of a block that starts at `startAtom`:
+ * skip to the next item or to the keyword that closes the block, and return
+ * an 'error' node for the skipped input.
+ */
+Parser.prototype._recover = function (error, startAtom) {
+    var lexer = this._lexer;
+    // Skip at least one atom so that the same error doesn't occur again
+    if (lexer.peek() === startAtom) lexer.skip();
+    while (!this._atCloser() && !this._atBlockItem()) lexer.skip();
+
+    return this._errorNode(error, startAtom.start, lexer.get().end);
+};
+
+Parser.prototype._errorNode = function (error, start, end) {
+    var errorNode = new ParseNode('error', {
+        message: error.message,
+        source: this._lexer.slice(start.offset, end.offset),
+    });
+    errorNode.start = start;
+    errorNode.end = end;
+    return errorNode;
+};
+
+/*
+ * Expect the keyword that closes a block, e.g. \ENDIF, and move the comments
+ * before it to the end of the block. In tolerant mode, a missing keyword is
+ * reported and an 'error' node ends the block instead. Return whether the
+ * keyword is there.
+ */
+Parser.prototype._expectCloser = function (name, blockNode) {
+    var lexer = this._lexer;
+    this._closers.pop();
+
+    if (!this._tolerant) {
+        lexer.expect('func', name);
+    }
+    else if (lexer.accept('func', name) === null) {
+        var error = lexer.error(`Missing \\${name.toUpperCase()}`);
+        this.diagnostics.push(error);
+        var here = lexer.get().end;
+        blockNode.addChild(this._errorNode(error, here, here));
+        return false;
+    }
+
+    this._attachComments(blockNode, 'trailingComments');
+    return true;
+};
+
+/*
+ * Move the `%` comments before an atom (by default, the one that was just
+ * accepted) onto a node.
+ *
+ * The comments before the keyword that opens a construct (e.g. \IF) lead the
+ * node of that construct and are stored in `comments`; those before a keyword
+ * that closes a construct (e.g. \ENDIF) end the block inside it and are
+ * stored in `trailingComments`.
+ */
+Parser.prototype._attachComments = function (node, key, atom) {
+    var comments = (atom || this._lexer.get()).comments;
+    if (!comments || comments.length === 0) return;
+
+    key = key || 'comments';
+    node[key] = (node[key] || []).concat(comments);
+};
+
+/* A node starts with the atom that opens it, i.e. the one just accepted */
+Parser.prototype._beginNode = function (node, atom) {
+    atom = atom || this._lexer.get();
+    node.start = atom.start;
+    this._attachComments(node, 'comments', atom);
+    return node;
+};
+
+/* A node ends with the last atom that has been accepted */
+Parser.prototype._endNode = function (node) {
+    node.end = this._lexer.get().end;
+    return node;
+};
+
+/* A node that is not opened by an atom, e.g. a block, spans its children */
+Parser.prototype._spanChildren = function (node) {
+    var lastEnd = this._lexer.get().end;
+    node.start = node.children.length > 0 ? node.children[0].start : lastEnd;
+    node.end = lastEnd;
+    return node;
 };
 
 Parser.prototype.parse = function () {
     var root = new ParseNode('root');
 
+    var lexer = this._lexer;
     while (true) {
+        var macroNode = this._parseMacro();
+        if (macroNode) {
+            root.addChild(macroNode);
+            continue;
+        }
+
         var envName = this._acceptEnvironment();
-        if (envName === null) break;
+        if (envName === null) {
+            if (!this._tolerant || lexer.peek().type === 'EOF') break;
+            // Skip anything outside of environments
+            this._report(lexer.unexpected());
+            while (lexer.peek().type !== 'EOF' && !this._atEnvironment('begin'))
+                lexer.skip();
+            continue;
+        }
 
-        var envNode;
-        if (envName === 'algorithm')
-            envNode = this._parseAlgorithmInner();
-        else if (envName === 'algorithmic')
-            envNode = this._parseAlgorithmicInner();
-        else
-            throw new ParseError(`Unexpected environment ${envName}`);
+        var beginAtom = this._beginAtom;
+        var envNode = this._parseEnvironment(envName);
+        if (!envNode) {
+            this._report(lexer.error(`Unexpected environment ${envName}`, this._envNameAtom));
+            this._skipEnvironment(envName);
+            continue;
+        }
+        this._beginNode(envNode, beginAtom);
 
-        this._closeEnvironment(envName);
+        this._closeEnvironment(envName, envNode);
         root.addChild(envNode);
     }
-    this._lexer.expect('EOF');
+    lexer.expect('EOF');
+    this._attachComments(root, 'trailingComments');
+    root.start = { offset: 0, line: 1, column: 1 };
+    root.end = this._lexer.get().end;
+
+    var keywordNodes = this._parseKeywords();
+    if (Object.keys(keywordNodes).length > 0) root.keywords = keywordNodes;
+
+    if (this._tolerant) {
+        this.diagnostics = lexer.diagnostics.concat(this.diagnostics)
+            .sort((a, b) => a.offset - b.offset);
+        root.diagnostics = this.diagnostics;
+    }
     return root;
 };
 
+/*
+ * Parse the texts of the keywords that are redefined, e.g. by
+ * \renewcommand{\algorithmicrequire}{\textbf{Input:}}. The nodes of a text
+ * take the location of its definition.
+ */
+Parser.prototype._parseKeywords = function () {
+    var macros = this._lexer.macros();
+    var keywordNodes = {};
+    for (var name in keywords.KEYWORDS) {
+        var macro = macros[keywords.MACRO_PREFIX + name];
+        if (!macro || macro.predefined) continue;
+
+        var textNode;
+        try {
+            var parser = new Parser(new Lexer(macro.body, { macros: macros }));
+            textNode = parser._parseCloseText();
+            parser._lexer.expect('EOF');
+        }
+        catch (e) {
+            if (!(e instanceof ParseError)) throw e;
+            var input = this._lexer.slice(0);
+            throw new ParseError(`${e.reason} in the definition of \\${keywords.MACRO_PREFIX}${name}`,
+                                 macro.start, input);
+        }
+        relocate(textNode, macro.start, macro.end);
+        keywordNodes[name] = textNode;
+    }
+    return keywordNodes;
+};
+
+function relocate (node, start, end) {
+    node.start = start;
+    node.end = end;
+    (node.children || []).forEach((child) => relocate(child, start, end));
+}
+
+/*
+ * Parse the inside of an environment at the top level, or return null if the
+ * environment is not expected there
+ */
+Parser.prototype._parseEnvironment = function (envName) {
+    if (envName === 'algorithm') return this._parseAlgorithmInner();
+    if (envName === 'algorithmic') return this._parseAlgorithmicInner();
+    return null;
+};
+
+/* Whether the next atom is \begin (or \end) */
+Parser.prototype._atEnvironment = function (beginOrEnd) {
+    var atom = this._lexer.peek();
+    return atom.type === 'func' && atom.text.toLowerCase() === beginOrEnd;
+};
+
+/* Skip an environment that is not expected, up to its \end */
+Parser.prototype._skipEnvironment = function (envName) {
+    var lexer = this._lexer;
+    while (lexer.peek().type !== 'EOF' && !this._atEnvironment('end'))
+        lexer.skip();
+    this._closeEnvironment(envName, new ParseNode(envName));
+};
+
 Parser.prototype._acceptEnvironment = function () {
     var lexer = this._lexer;
     // \begin{XXXXX}
     if (!lexer.accept('func', 'begin')) return null;
+    // Keep \begin, where the node of the environment starts
+    this._beginAtom = lexer.get();
 
     lexer.expect('open');
     var envName = lexer.expect('ordinary');
+    this._envNameAtom = lexer.get();
     lexer.expect('close');
     return envName;
 };
 
-Parser.prototype._closeEnvironment = function (envName) {
+Parser.prototype._closeEnvironment = function (envName, envNode) {
     // \close{XXXXX}
     var lexer = this._lexer;
-    lexer.expect('func', 'end');
-    lexer.expect('open');
-    lexer.expect('ordinary', envName);
-    lexer.expect('close');
+    try {
+        lexer.expect('func', 'end');
+        this._attachComments(envNode, 'trailingComments');
+        lexer.expect('open');
+        lexer.expect('ordinary', envName);
+        lexer.expect('close');
+    }
+    catch (e) {
+        this._report(e);
+        // Mark the end of the environment, where its \end is missing, and
+        // skip to the next environment, or the end of the input
+        var fromAtom = lexer.peek();
+        this._skipToEnvironment();
+        var to = lexer.peek() === fromAtom ? fromAtom.start : lexer.get().end;
+        envNode.addChild(this._errorNode(e, fromAtom.start, to));
+    }
+    this._endNode(envNode);
+};
+
+/* Skip to the next \begin or \end of an environment, or the end of the input */
+Parser.prototype._skipToEnvironment = function () {
+    var lexer = this._lexer;
+    while (lexer.peek().type !== 'EOF' && !this._atEnvironment('begin') &&
+           !this._atEnvironment('end'))
+        lexer.skip();
 };
 
 Parser.prototype._parseAlgorithmInner = function () {
     var algNode = new ParseNode('algorithm');
     while (true) {
+        var macroNode = this._parseMacro();
+        if (macroNode) {
+            algNode.addChild(macroNode);
+            continue;
+        }
+
         var envName = this._acceptEnvironment();
         if (envName !== null) {
-            if (envName !== 'algorithmic')
-                throw new ParseError(`Unexpected environment ${envName}`);
+            if (envName !== 'algorithmic') {
+                this._report(this._lexer.error(`Unexpected environment ${envName}`, this._envNameAtom));
+                this._skipEnvironment(envName);
+                continue;
+            }
+            var beginAtom = this._beginAtom;
             var algmicNode = this._parseAlgorithmicInner();
-            this._closeEnvironment();
+            this._beginNode(algmicNode, beginAtom);
+            this._closeEnvironment('algorithmic', algmicNode);
             algNode.addChild(algmicNode);
             continue;
         }
 
-        var captionNode = this._parseCaption();
+        var startAtom = this._lexer.peek();
+        var captionNode;
+        try {
+            captionNode = this._parseCaption();
+        }
+        catch (e) {
+            // A caption that cannot be parsed, e.g. for an unclosed `{`, is
+            // skipped up to the environment after it
+            this._report(e);
+            if (this._lexer.peek() === startAtom) this._lexer.skip();
+            this._skipToEnvironment();
+            captionNode = this._errorNode(e, startAtom.start, this._lexer.get().end);
+        }
         if (captionNode) {
             algNode.addChild(captionNode);
             continue;
@@ -205,8 +543,17 @@ Parser.prototype._parseAlgorithmInner = function () {
 Parser.prototype._parseAlgorithmicInner = function () {
     var algmicNode = new ParseNode('algorithmic');
     var node;
+    // The blocks at the top level end at pre/post-conditions or at \end
+    this._closers.push(['end'].concat(IO_STATEMENTS));
     while (true) {
-        node = this._parseStatement(IO_STATEMENTS);
+        var startAtom = this._lexer.peek();
+        try {
+            node = this._parseStatement(IO_STATEMENTS);
+        }
+        catch (e) {
+            this._report(e);
+            node = this._recover(e, startAtom);
+        }
         if (node) {
             algmicNode.addChild(node);
             continue;
@@ -220,6 +567,7 @@ Parser.prototype._parseAlgorithmicInner = function () {
 
         break;
     }
+    this._closers.pop();
     return algmicNode;
 };
 
@@ -228,51 +576,51 @@ Parser.prototype._parseCaption = function () {
     if (!lexer.accept('func', 'caption')) return null;
 
     var captionNode = new ParseNode('caption');
+    this._beginNode(captionNode);
     lexer.expect('open');
     captionNode.addChild(this._parseCloseText());
     lexer.expect('close');
 
-    return captionNode;
+    return this._endNode(captionNode);
 };
 
 Parser.prototype._parseBlock = function () {
     var blockNode = new ParseNode('block');
 
     while (true) {
-        var controlNode = this._parseControl();
-        if (controlNode) {
-            blockNode.addChild(controlNode);
-            continue;
+        var startAtom = this._lexer.peek();
+        var numClosers = this._closers.length;
+        var itemNode;
+        try {
+            itemNode = this._parseBlockItem();
+            // Anything else than an item or a closing keyword is an error
+            if (!itemNode && this._tolerant && !this._atCloser())
+                throw this._lexer.unexpected();
         }
-
-        var functionNode = this._parseFunction();
-        if (functionNode) {
-            blockNode.addChild(functionNode);
-            continue;
-        }
-
-        var statementNode = this._parseStatement(STATEMENTS);
-        if (statementNode) {
-            blockNode.addChild(statementNode);
-            continue;
-        }
-
-        var commandNode = this._parseCommand(COMMANDS);
-        if (commandNode) {
-            blockNode.addChild(commandNode);
-            continue;
-        }
-
-        var commentNode = this._parseComment();
-        if (commentNode) {
-            blockNode.addChild(commentNode);
-            continue;
+        catch (e) {
+            this._report(e);
+            // Forget about the blocks that were left open by the error
+            this._closers.length = numClosers;
+            itemNode = this._recover(e, startAtom);
         }
+        if (!itemNode) break;
 
-        break;
+        // An item may be made up of several nodes (see Algorithm2eParser)
+        [].concat(itemNode).forEach((node) => blockNode.addChild(node));
     }
 
-    return blockNode;
+    return this._spanChildren(blockNode);
+};
+
+Parser.prototype._parseBlockItem = function () {
+    return this._parseControl() ||
+        this._parseFunction() ||
+        this._parseStatement(STATEMENTS) ||
+        this._parseAssertion() ||
+        this._parseCommand(COMMANDS) ||
+        this._parseComment() ||
+        this._parseReference('label') ||
+        this._parseMacro();
 };
 
 Parser.prototype._parseControl = function () {
@@ -281,6 +629,8 @@ Parser.prototype._parseControl = function () {
     if ((controlNode = this._parseLoop())) return controlNode;
     if ((controlNode = this._parseRepeat())) return controlNode;
     if ((controlNode = this._parseUpon())) return controlNode;
+    if ((controlNode = this._parseSwitch())) return controlNode;
+    if ((controlNode = this._parseCustom())) return controlNode;
 };
 
 Parser.prototype._parseFunction = function () {
@@ -289,6 +639,8 @@ Parser.prototype._parseFunction = function () {
 
     // \FUNCTION{funcName}{funcArgs}
     var funcType = this._lexer.get().text; // FUNCTION or PROCEDURE
+    var functionNode = new ParseNode('function');
+    this._beginNode(functionNode);
     lexer.expect('open');
     var funcName = lexer.expect('ordinary');
     lexer.expect('close');
@@ -296,31 +648,34 @@ Parser.prototype._parseFunction = function () {
     var argsNode = this._parseCloseText();
     lexer.expect('close');
     // <block>
+    this._closers.push([`end${funcType}`.toLowerCase()]);
     var blockNode = this._parseBlock();
     // \ENDFUNCTION
-    lexer.expect('func', `end${funcType}`);
+    this._expectCloser(`end${funcType}`, blockNode);
 
-    var functionNode = new ParseNode('function',
-                                     { type: funcType, name: funcName });
+    functionNode.value = { type: funcType, name: funcName };
     functionNode.addChild(argsNode);
     functionNode.addChild(blockNode);
-    return functionNode;
+    return this._endNode(functionNode);
 };
 
 Parser.prototype._parseIf = function () {
     if (!this._lexer.accept('func', 'if')) return null;
 
     var ifNode = new ParseNode('if');
+    this._beginNode(ifNode);
 
     // { <cond> } <block>
     this._lexer.expect('open');
     ifNode.addChild(this._parseCond());
     this._lexer.expect('close');
+    this._closers.push(['elif', 'elsif', 'elseif', 'else', 'endif']);
     ifNode.addChild(this._parseBlock());
 
     // ( \ELIF { <cond> } <block> )[0...n]
     var numElif = 0;
     while (this._lexer.accept('func', ['elif', 'elsif', 'elseif'])) {
+        this._attachComments(ifNode.children[ifNode.children.length - 1], 'trailingComments');
         this._lexer.expect('open');
         ifNode.addChild(this._parseCond());
         this._lexer.expect('close');
@@ -331,73 +686,249 @@ Parser.prototype._parseIf = function () {
     // ( \ELSE <block> )[0..1]
     var hasElse = false;
     if (this._lexer.accept('func', 'else')) {
+        this._attachComments(ifNode.children[ifNode.children.length - 1], 'trailingComments');
         hasElse = true;
         ifNode.addChild(this._parseBlock());
     }
 
     // \ENDIF
-    this._lexer.expect('func', 'endif');
+    this._expectCloser('endif', ifNode.children[ifNode.children.length - 1]);
 
     ifNode.value = { numElif: numElif, hasElse: hasElse };
-    return ifNode;
+    return this._endNode(ifNode);
 };
 
 Parser.prototype._parseLoop = function () {
-    if (!this._lexer.accept('func', ['FOR', 'FORALL', 'WHILE'])) return null;
+    if (!this._lexer.accept('func', ['FOR', 'FORALL', 'FOREACH', 'WHILE', 'LOOP'])) return null;
 
     var loopName = this._lexer.get().text.toLowerCase();
     var loopNode = new ParseNode('loop', loopName);
+    this._beginNode(loopNode);
 
-    // { <cond> } <block>
-    this._lexer.expect('open');
-    loopNode.addChild(this._parseCond());
-    this._lexer.expect('close');
-    loopNode.addChild(this._parseBlock());
+    // { <cond> } <block>, except for \LOOP, which has no condition
+    if (loopName !== 'loop') {
+        this._lexer.expect('open');
+        loopNode.addChild(this._parseCond());
+        this._lexer.expect('close');
+    }
+    var endLoop = keywords.END_OF_LOOP[loopName];
+    this._closers.push([endLoop]);
+    var blockNode = this._parseBlock();
+    loopNode.addChild(blockNode);
 
     // \ENDFOR
-    var endLoop = loopName !== 'forall' ? `end${loopName}` : 'endfor';
-    this._lexer.expect('func', endLoop);
+    this._expectCloser(endLoop, blockNode);
 
-    return loopNode;
+    return this._endNode(loopNode);
 };
 
 Parser.prototype._parseRepeat = function () {
-    if (!this._lexer.accept('func', ['REPEAT'])) return null;
+    if (!this._lexer.accept('func', ['REPEAT', 'DO'])) return null;
 
     var repeatName = this._lexer.get().text.toLowerCase();
     var repeatNode = new ParseNode('repeat', repeatName);
+    this._beginNode(repeatNode);
 
     // <block>
-    repeatNode.addChild(this._parseBlock());
-
-    // \UNTIL
-    this._lexer.expect('func', 'until');
+    var untilName = keywords.END_OF_LOOP[repeatName];
+    this._closers.push([untilName]);
+    var blockNode = this._parseBlock();
+    repeatNode.addChild(blockNode);
 
-    // {<cond>}
-    this._lexer.expect('open');
-    repeatNode.addChild(this._parseCond());
-    this._lexer.expect('close');
+    // \UNTIL or \DOWHILE
+    if (this._expectCloser(untilName, blockNode)) {
+        // {<cond>}
+        this._lexer.expect('open');
+        repeatNode.addChild(this._parseCond());
+        this._lexer.expect('close');
+    }
+    else {
+        repeatNode.addChild(this._spanChildren(new ParseNode('close-text')));
+    }
 
-    return repeatNode;
+    return this._endNode(repeatNode);
 };
 
 Parser.prototype._parseUpon = function () {
     if (!this._lexer.accept('func', 'upon')) return null;
 
     var uponNode = new ParseNode('upon');
+    this._beginNode(uponNode);
 
     // { <cond> } <block>
     this._lexer.expect('open');
     uponNode.addChild(this._parseCond());
     this._lexer.expect('close');
-    uponNode.addChild(this._parseBlock());
+    this._closers.push(['endupon']);
+    var blockNode = this._parseBlock();
+    uponNode.addChild(blockNode);
 
     // \ENDUPON
-    this._lexer.expect('func', 'endupon');
+    this._expectCloser('endupon', blockNode);
 
-    return uponNode;
+    return this._endNode(uponNode);
 };
 
+Parser.prototype._parseSwitch = function () {
+    var lexer = this._lexer;
+    if (!lexer.accept('func', 'switch')) return null;
+
+    var switchNode = new ParseNode('switch');
+    this._beginNode(switchNode);
+
+    // { <cond> }
+    lexer.expect('open');
+    switchNode.addChild(this._parseCond());
+    lexer.expect('close');
+
+    // The cases make up the block of the switch, after the comments and
+    // labels of the \SWITCH line
+    var bodyNode = new ParseNode('block');
+    var itemNode;
+    while ((itemNode = this._parseComment() || this._parseReference('label')))
+        bodyNode.addChild(itemNode);
+    this._closers.push(['case', 'default', 'endswitch']);
+
+    // ( \CASE { <cond> } <block> )[0..n]
+    while (lexer.accept('func', 'case')) {
+        var caseNode = new ParseNode('case');
+        this._beginNode(caseNode);
+        lexer.expect('open');
+        caseNode.addChild(this._parseCond());
+        lexer.expect('close');
+        caseNode.addChild(this._parseBlock());
+        bodyNode.addChild(this._endNode(caseNode));
+    }
+
+    // ( \DEFAULT <block> )[0..1]
+    if (lexer.accept('func', 'default')) {
+        var defaultNode = new ParseNode('default');
+        this._beginNode(defaultNode);
+        defaultNode.addChild(this._parseBlock());
+        bodyNode.addChild(this._endNode(defaultNode));
+    }
+    switchNode.addChild(this._spanChildren(bodyNode));
+
+    // \ENDSWITCH
+    this._expectCloser('endswitch', bodyNode);
+
+    return this._endNode(switchNode);
+};
+
+Parser.prototype._parseCustom = function () {
+    var lexer = this._lexer;
+    var beginNames = Object.keys(CUSTOM_BLOCKS);
+    if (beginNames.length === 0 || !lexer.accept('func', beginNames)) return null;
+
+    var custom = CUSTOM_BLOCKS[lexer.get().text.toLowerCase()];
+    var customNode = new ParseNode('custom', custom);
+    this._beginNode(customNode);
+
+    // ( { <cond> } )[0..n] <block>
+    for (var ai = 0; ai < custom.args; ai++) {
+        lexer.expect('open');
+        customNode.addChild(this._parseCond());
+        lexer.expect('close');
+    }
+    var endName = custom.end.toLowerCase();
+    this._closers.push([endName]);
+    var blockNode = this._parseBlock();
+    customNode.addChild(blockNode);
+
+    // \END...
+    this._expectCloser(endName, blockNode);
+
+    return this._endNode(customNode);
+};
+
+/*
+ * The block constructs defined by Parser.defineBlock, by the names of the
+ * commands that begin them, in lowercase
+ */
+var CUSTOM_BLOCKS = {};
+
+/*
+ * Define a block construct, which the renderers display like the built-in
+ * ones. For example,
+ *
+ *      Parser.defineBlock({ begin: 'PARFOR', end: 'ENDPARFOR', args: 1,
+ *                           keyword: 'for', suffix: 'in parallel do' });
+ *
+ * defines `\PARFOR{<cond>} <block> \ENDPARFOR`, which is displayed as
+ * `for <cond> in parallel do ... end for`. The definition is given by
+ *      begin, end - The names of the commands that begin and end the block,
+ *          which must differ.
+ *      args - The number of arguments, i.e. conditions in braces, after the
+ *          command that begins the block. Default value: 0.
+ *      keyword - The keyword before the arguments. Default value: the name
+ *          of the command that begins the block in lowercase.
+ *      suffix - The keyword after the arguments, e.g. 'do'. Default value: ''.
+ *      endKeyword - The keyword at the end of the block, or '' for none.
+ *          Default value: 'end ' followed by the keyword.
+ * A block can be redefined, but the built-in commands cannot.
+ */
+Parser.defineBlock = function (definition) {
+    var isCommandName = (name) => typeof name === 'string' && /^[a-zA-Z]+$/.test(name);
+    if (!definition || !isCommandName(definition.begin) || !isCommandName(definition.end))
+        throw new TypeError('A block needs the names of the commands that begin and end it');
+
+    var args = definition.args !== undefined ? definition.args : 0;
+    if (!(args >= 0 && args % 1 === 0))
+        throw new TypeError(`Invalid number of arguments \`${definition.args}\``);
+
+    var begin = definition.begin.toLowerCase();
+    var end = definition.end.toLowerCase();
+    if (begin === end)
+        throw new TypeError(`A block cannot begin and end with the same command \\${definition.begin}`);
+    [begin, end].forEach((name) => {
+        var isCustom = CUSTOM_BLOCKS[name] || Object.keys(CUSTOM_BLOCKS).some((beginName) =>
+            CUSTOM_BLOCKS[beginName].end.toLowerCase() === name);
+        if (!isCustom && isBuiltInCommand(name))
+            throw new TypeError(`\\${name.toUpperCase()} is a built-in command`);
+    });
+
+    var keyword = definition.keyword !== undefined ? definition.keyword : begin;
+    CUSTOM_BLOCKS[begin] = {
+        begin: definition.begin,
+        end: definition.end,
+        args: args,
+        keyword: keyword,
+        suffix: definition.suffix !== undefined ? definition.suffix : '',
+        endKeyword: definition.endKeyword !== undefined ?
+            definition.endKeyword : `end ${keyword}`,
+    };
+};
+
+/*
+ * Undefine the block construct that begins with a command, e.g. 'PARFOR', and
+ * return whether there was one; without a command, undefine all of them.
+ */
+Parser.undefineBlock = function (begin) {
+    if (begin === undefined) {
+        Object.keys(CUSTOM_BLOCKS).forEach((name) => {
+            delete CUSTOM_BLOCKS[name];
+        });
+        return true;
+    }
+    if (typeof begin !== 'string')
+        throw new TypeError('A block is undefined by the name of the command that begins it');
+
+    var name = begin.toLowerCase();
+    if (CUSTOM_BLOCKS[name] === undefined) return false;
+    delete CUSTOM_BLOCKS[name];
+    return true;
+};
+
+function isBuiltInCommand (name) {
+    var builtIns = ['begin', 'end', 'caption', 'call', 'label', 'ref', 'elif', 'elsif',
+        'elseif', 'else', 'endif', 'endfor', 'endwhile', 'until', 'endupon',
+        'case', 'default', 'endswitch', 'endloop', 'dowhile',
+        'endfunction', 'endprocedure'].concat(BLOCK_ITEMS, IO_STATEMENTS);
+    for (var atomType in ACCEPTED_TOKEN_BY_ATOM)
+        builtIns = builtIns.concat(ACCEPTED_TOKEN_BY_ATOM[atomType].tokenValues || []);
+    return builtIns.some((builtIn) => builtIn.toLowerCase() === name);
+}
+
 var IO_STATEMENTS = ['ensure', 'require', 'input', 'output'];
 var STATEMENTS = ['state', 'print', 'return'];
 Parser.prototype._parseStatement = function (acceptStatements) {
@@ -405,40 +936,68 @@ Parser.prototype._parseStatement = function (acceptStatements) {
 
     var stmtName = this._lexer.get().text.toLowerCase();
     var stmtNode = new ParseNode('statement', stmtName);
+    this._beginNode(stmtNode);
 
     stmtNode.addChild(this._parseOpenText());
 
-    return stmtNode;
+    return this._endNode(stmtNode);
+};
+
+/*
+ * \ENSURE is a postcondition at the top level of algorithmic, whose blocks
+ * end at it, and an assertion in the blocks nested in those.
+ */
+var ASSERTIONS = ['assert', 'invariant', 'ensure'];
+Parser.prototype._parseAssertion = function () {
+    var isNested = this._closers.length > 1;
+    var names = isNested ? ASSERTIONS : ASSERTIONS.filter((name) => name !== 'ensure');
+    if (!this._lexer.accept('func', names)) return null;
+
+    var name = this._lexer.get().text.toLowerCase();
+
+    var assertionNode = new ParseNode('assertion', name);
+    this._beginNode(assertionNode);
+
+    assertionNode.addChild(this._parseOpenText());
+
+    return this._endNode(assertionNode);
 };
 
 var COMMANDS = ['break', 'continue'];
+
+/* The keywords that start an item of a block */
+var BLOCK_ITEMS = ['if', 'for', 'forall', 'foreach', 'while', 'loop', 'repeat', 'do',
+    'upon', 'switch', 'function', 'procedure', 'comment', 'label'].concat(STATEMENTS, ASSERTIONS, COMMANDS);
 Parser.prototype._parseCommand = function (acceptCommands) {
     if (!this._lexer.accept('func', acceptCommands)) return null;
 
     var cmdName = this._lexer.get().text.toLowerCase();
     var cmdNode = new ParseNode('command', cmdName);
+    this._beginNode(cmdNode);
 
-    return cmdNode;
+    return this._endNode(cmdNode);
 };
 
 Parser.prototype._parseComment = function () {
     if (!this._lexer.accept('func', 'comment')) return null;
 
     var commentNode = new ParseNode('comment');
+    this._beginNode(commentNode);
 
     // { \text }
     this._lexer.expect('open');
     commentNode.addChild(this._parseCloseText());
     this._lexer.expect('close');
 
-    return commentNode;
+    return this._endNode(commentNode);
 };
 
 Parser.prototype._parseCall = function () {
     var lexer = this._lexer;
     if (!lexer.accept('func', 'call')) return null;
 
-    var anyWhitespace = lexer.get().whitespace;
+    var callAtom = lexer.get();
+    var anyWhitespace = callAtom.whitespace;
 
     // \CALL { <ordinary> } ({ <text> })[0..1]
     lexer.expect('open');
@@ -448,12 +1007,48 @@ Parser.prototype._parseCall = function () {
     var callNode = new ParseNode('call');
     callNode.whitespace = anyWhitespace;
     callNode.value = funcName;
+    this._beginNode(callNode, callAtom);
 
     lexer.expect('open');
     var argsNode = this._parseCloseText();
     callNode.addChild(argsNode);
     lexer.expect('close');
-    return callNode;
+    return this._endNode(callNode);
+};
+
+/*
+ * A definition or a call of a macro that is kept as it is, as the Lexer
+ * doesn't expand macros (the `expandMacros` option is false)
+ */
+Parser.prototype._parseMacro = function () {
+    // Macros are not expected in place of anything else
+    if (this._lexer.peek().type !== 'macro') return null;
+    this._lexer.skip();
+
+    var macroNode = new ParseNode('macro', this._lexer.get().text);
+    this._beginNode(macroNode);
+    return this._endNode(macroNode);
+};
+
+/* \label{<name>} or \ref{<name>} */
+Parser.prototype._parseReference = function (acceptCommands) {
+    var lexer = this._lexer;
+    if (!lexer.accept('func', acceptCommands)) return null;
+
+    var refAtom = lexer.get();
+    var refNode = new ParseNode(refAtom.text.toLowerCase());
+    refNode.whitespace = refAtom.whitespace;
+    this._beginNode(refNode);
+
+    // The name is taken as it is, e.g. `alg:partition`
+    lexer.expect('open');
+    lexer.expect('ordinary');
+    var nameStart = lexer.get().start;
+    while (lexer.accept('ordinary') !== null);
+    refNode.value = lexer.slice(nameStart.offset, lexer.get().end.offset);
+    lexer.expect('close');
+
+    return this._endNode(refNode);
 };
 
 Parser.prototype._parseCond =
@@ -471,7 +1066,8 @@ Parser.prototype._parseText = function (openOrClose) {
     var subTextNode;
     while (true) {
         // atom or call
-        subTextNode = this._parseAtom() || this._parseCall();
+        subTextNode = this._parseAtom() || this._parseCall() ||
+            this._parseReference(['label', 'ref']);
         if (subTextNode) {
             if (anyWhitespace) subTextNode.whitespace |= anyWhitespace;
             textNode.addChild(subTextNode);
@@ -480,13 +1076,16 @@ Parser.prototype._parseText = function (openOrClose) {
 
         // or close text
         if (this._lexer.accept('open')) {
+            var openAtom = this._lexer.get();
             subTextNode = this._parseCloseText();
+            this._beginNode(subTextNode, openAtom);
 
             anyWhitespace = this._lexer.get().whitespace;
             subTextNode.whitespace = anyWhitespace;
 
             textNode.addChild(subTextNode);
             this._lexer.expect('close');
+            this._endNode(subTextNode);
             anyWhitespace = this._lexer.get().whitespace;
             continue;
         }
@@ -494,7 +1093,7 @@ Parser.prototype._parseText = function (openOrClose) {
         break;
     }
 
-    return textNode;
+    return this._spanChildren(textNode);
 };
 
 /* The token accepted by atom of specific type */
@@ -530,9 +1129,11 @@ var ACCEPTED_TOKEN_BY_ATOM = {
         tokenType: 'func',
         tokenValues: ['textbackslash'],
     },
+    'macro': { tokenType: 'macro' },
 };
 
 Parser.prototype._parseAtom = function () {
+    var expectedMark = this._lexer.expectedMark();
     for (var atomType in ACCEPTED_TOKEN_BY_ATOM) {
         var acceptToken = ACCEPTED_TOKEN_BY_ATOM[atomType];
         var tokenText = this._lexer.accept(acceptToken.tokenType,
@@ -542,11 +1143,19 @@ Parser.prototype._parseAtom = function () {
         var currentAtom = this._lexer.get();
         var anyWhitespace = currentAtom.whitespace;
         var displayMode = currentAtom.displayMode; // for math: true = display, false = inline
-        if (atomType !== 'ordinary' && atomType !== 'math')
+        if (atomType !== 'ordinary' && atomType !== 'math' && atomType !== 'macro')
             tokenText = tokenText.toLowerCase();
-        return new AtomNode(atomType, tokenText, anyWhitespace, displayMode);
+        var atomNode = new AtomNode(atomType, tokenText, anyWhitespace, displayMode);
+        this._beginNode(atomNode);
+        return this._endNode(atomNode);
     }
+    // Report all kinds of atoms as one in errors
+    this._lexer.summarizeExpected(expectedMark, 'text');
     return null;
 };
 
+// For the parsers of other dialects, e.g. Algorithm2eParser
+Parser.ParseNode = ParseNode;
+Parser.AtomNode = AtomNode;
+
 module.exports = Parser;
@@ -1,6 +1,14 @@
 /*
 * */
 var utils = require('./utils');
+var ParseError = require('./ParseError');
+var Context = require('./Context');
+var keywords = require('./keywords');
+var locales = require('./locales');
+var styles = require('./styles');
+var TextRenderer = require('./TextRenderer');
+var mathjax = require('./mathjax');
+var mathBackends = require('./mathBackends');
 
 /*
  * TextStyle - used by TextEnvironment class to handle LaTeX text-style
@@ -112,7 +120,7 @@ TextStyle.prototype.updateByCommand = function (cmd) {
         return;
     }
 
-    throw new ParserError('Unrecognized `text-style` command');
+    throw new ParseError('Unrecognized `text-style` command');
 };
 
 TextStyle.prototype.toCSS = function () {
@@ -130,21 +138,24 @@ TextStyle.prototype.toCSS = function () {
 
 /*
  * TextEnvironment - renders the children nodes in a ParseNode of type
- * 'close-text' or 'open-text' to HTML.
+ * 'close-text' or 'open-text' to HTML. Labels and references are left to the
+ * renderer, which knows the current line.
  **/
-function TextEnvironment (nodes, textStyle) {
+function TextEnvironment (nodes, textStyle, renderer) {
     this._nodes = nodes;
     this._textStyle = textStyle;
+    this._renderer = renderer;
 }
 
-TextEnvironment.prototype._renderCloseText = function (node, backend) {
+TextEnvironment.prototype._renderCloseText = function (node) {
     var newTextStyle = new TextStyle(this._textStyle.fontSize());
-    var closeTextEnv = new TextEnvironment(node.children, newTextStyle);
+    var closeTextEnv = new TextEnvironment(node.children, newTextStyle,
+                                           this._renderer);
     if (node.whitespace) this._html.putText(' ');
-    this._html.putHTML(closeTextEnv.renderToHTML(backend));
+    this._html.putHTML(closeTextEnv.renderToHTML());
 };
 
-TextEnvironment.prototype.renderToHTML = function (backend) {
+TextEnvironment.prototype.renderToHTML = function () {
     this._html = new HTMLBuilder();
 
     var node;
@@ -160,31 +171,10 @@ TextEnvironment.prototype.renderToHTML = function (backend) {
                 this._html.putText(text);
                 break;
             case 'math':
-                if (typeof backend === 'undefined') {
-                    throw EvalError('No math backend found. Please setup KaTeX or MathJax.');
-                }
-                else if (backend.name === 'katex') {
-                    var katexOptions = { displayMode: !!node.displayMode };
-                    this._html.putHTML(backend.driver.renderToString(text, katexOptions));
-                }
-                else if (backend.name === 'mathjax') {
-                    // For MathJax, use appropriate delimiters based on display mode
-                    if (node.displayMode)
-                        this._html.putText(`$$${text}$$`);
-
-                    else
-                        this._html.putText(`$${text}$`);
-
-                }
-                else {
-                    throw new EvalError(`Unknown math backend ${backend}`);
-                }
+                this._html.putHTML(this._renderer._renderMath(text, node.displayMode));
                 break;
             case 'cond-symbol':
-                this._html
-                    .beginSpan('ps-keyword')
-                    .putText(text.toLowerCase())
-                    .endSpan();
+                this._renderer._putKeyword(this._html, text.toLowerCase());
                 break;
             case 'special':
                 if (text === '\\\\') {
@@ -224,14 +214,20 @@ TextEnvironment.prototype.renderToHTML = function (backend) {
                 // \CALL{funcName}{funcArgs}
                 // ==>
                 // funcName(funcArgs)
-                this._html.beginSpan('ps-funcname').putText(text).endSpan();
+                this._renderer._putCall(this._html, text);
                 this._html.write('(');
                 var argsTextNode = node.children[0];
-                this._renderCloseText(argsTextNode, backend);
+                this._renderCloseText(argsTextNode);
                 this._html.write(')');
                 break;
             case 'close-text':
-                this._renderCloseText(node, backend);
+                this._renderCloseText(node);
+                break;
+            case 'label':
+                this._renderer._putLabel(this._html, text);
+                break;
+            case 'ref':
+                this._renderer._putRef(this._html, text);
                 break;
             // There are two kinds of typestyle commands:
             //      command (e.g. \textrm{...}).
@@ -256,8 +252,9 @@ TextEnvironment.prototype.renderToHTML = function (backend) {
                 this._textStyle.updateByCommand(text);
                 this._html.beginSpan(null, this._textStyle.toCSS());
                 var textEnvForDclr = new TextEnvironment(this._nodes,
-                                                         this._textStyle);
-                this._html.putHTML(textEnvForDclr.renderToHTML(backend));
+                                                         this._textStyle,
+                                                         this._renderer);
+                this._html.putHTML(textEnvForDclr.renderToHTML());
                 this._html.endSpan();
                 break;
             case 'font-cmd':
@@ -268,8 +265,9 @@ TextEnvironment.prototype.renderToHTML = function (backend) {
                 innerTextStyle.updateByCommand(text);
                 this._html.beginSpan(null, innerTextStyle.toCSS());
                 var textEnvForCmd = new TextEnvironment(textNode.children,
-                                                        innerTextStyle);
-                this._html.putHTML(textEnvForCmd.renderToHTML(backend));
+                                                        innerTextStyle,
+                                                        this._renderer);
+                this._html.putHTML(textEnvForCmd.renderToHTML());
                 this._html.endSpan();
                 break;
             default:
@@ -286,8 +284,8 @@ function HTMLBuilder () {
     this._textBuf = [];
 }
 
-HTMLBuilder.prototype.beginDiv = function (className, style, extraStyle) {
-    this._beginTag('div', className, style, extraStyle);
+HTMLBuilder.prototype.beginDiv = function (className, style, extraStyle, attrs) {
+    this._beginTag('div', className, style, extraStyle, attrs);
     this._body.push('\n'); // make the generated HTML more human friendly
     return this;
 };
@@ -298,8 +296,8 @@ HTMLBuilder.prototype.endDiv = function () {
     return this;
 };
 
-HTMLBuilder.prototype.beginP = function (className, style, extraStyle) {
-    this._beginTag('p', className, style, extraStyle);
+HTMLBuilder.prototype.beginP = function (className, style, extraStyle, attrs) {
+    this._beginTag('p', className, style, extraStyle, attrs);
     this._body.push('\n'); // make the generated HTML more human friendly
     return this;
 };
@@ -311,9 +309,9 @@ HTMLBuilder.prototype.endP = function () {
     return this;
 };
 
-HTMLBuilder.prototype.beginSpan = function (className, style, extraStyle) {
+HTMLBuilder.prototype.beginSpan = function (className, style, extraStyle, attrs) {
     this._flushText();
-    return this._beginTag('span', className, style, extraStyle);
+    return this._beginTag('span', className, style, extraStyle, attrs);
 };
 
 HTMLBuilder.prototype.endSpan = function () {
@@ -321,6 +319,27 @@ HTMLBuilder.prototype.endSpan = function () {
     return this._endTag('span');
 };
 
+/* Begin a link, or the target of one, e.g. { href: '#ps-label-x' } */
+HTMLBuilder.prototype.beginAnchor = function (className, attrs) {
+    this._flushText();
+    return this._beginTag('a', className, null, null, attrs);
+};
+
+HTMLBuilder.prototype.endAnchor = function () {
+    this._flushText();
+    return this._endTag('a');
+};
+
+HTMLBuilder.prototype.beginButton = function (className, attrs) {
+    this._flushText();
+    return this._beginTag('button', className, null, null, Object.assign({ type: 'button' }, attrs));
+};
+
+HTMLBuilder.prototype.endButton = function () {
+    this._flushText();
+    return this._endTag('button');
+};
+
 HTMLBuilder.prototype.putHTML = function (html) {
     this._flushText();
     this._body.push(html);
@@ -364,8 +383,9 @@ HTMLBuilder.prototype._flushText = function () {
     style - CSS style that applies directly on the tag. This parameter can be
             either a string, e.g., 'color:red', or an object, e.g.
             { color: 'red', margin-left: '1em'}
+    attrs - other attributes of the tag, e.g. { id: 'ps-label-x' }
 */
-HTMLBuilder.prototype._beginTag = function (tag, className, style, extraStyle) {
+HTMLBuilder.prototype._beginTag = function (tag, className, style, extraStyle, attrs) {
     var spanHTML = `<${tag}`;
     if (className) spanHTML += ` class="${className}"`;
     if (style) {
@@ -383,6 +403,8 @@ HTMLBuilder.prototype._beginTag = function (tag, className, style, extraStyle) {
         if (extraStyle) styleCode += extraStyle;
         spanHTML += ` style="${styleCode}"`;
     }
+    for (var attr in attrs)
+        spanHTML += ` ${attr}="${this._escapeHtml(attrs[attr])}"`;
     spanHTML += '>';
     this._body.push(spanHTML);
     return this;
@@ -417,27 +439,96 @@ HTMLBuilder.prototype._escapeHtml = function (string) {
  *          etc. The unit must be in 'em'. Default value: '1.2em'.
  *      commentDelimiter  - The delimiters used to start and end a comment region.
  *          Note that only line comments are supported. Default value: '//'.
+ *      flushComments - Whether the comments are flushed to the end of their
+ *          lines, i.e. to the right (or to the left from right to left), as
+ *          those of algpseudocode. Default value: false.
  *      lineNumber - Whether line numbering is enabled. Default value: false.
  *      lineNumberPunc - The punctuation that follows line number. Default
  *          value: ':'.
  *      noEnd - Whether block ending, like `end if`, end procedure`, etc., are
  *          showned. Default value: false.
- *      captionCount - Set the caption counter to this new value.
- *      titlePrefix - The prefix in the title of the algorithm. Default value: 'Algorithm'.
+ *      captionCount - Set the caption counter of the context to this new value.
+ *      titlePrefix - The prefix in the title of the algorithm. Default value:
+ *          that of the locale, e.g. 'Algorithm'.
+ *      locale - The language of the keywords: the code of a bundled locale,
+ *          e.g. 'de', or a custom locale (see locales.js). A right-to-left
+ *          locale, e.g. 'ar', also lays out the algorithm from right to left.
+ *          Default value: 'en'.
+ *      context - The Context shared with the other algorithms rendered
+ *          together, e.g. for the numbers of captions and the labels they
+ *          refer to. Default value: a new Context.
+ *      keywords - The keywords that differ from those of the locale, by the
+ *          names of the keyword table, e.g. { endif: 'end' }. An empty
+ *          keyword is left out. Default value: {}.
+ *      statementTerminator - The text after every statement, e.g. ';'.
+ *          Default value: ''.
+ *      style - The style that gives the default values of the other options:
+ *          the name of a bundled or defined style, e.g. 'clrs', or the
+ *          options themselves (see styles.js). Default value: 'algorithmic'.
+ *      accessible - Whether the HTML has the semantics that screen readers
+ *          need: the lines of an algorithmic are the items of a list, at the
+ *          levels of their blocks (`aria-level`); the line numbers and the
+ *          delimiters of comments are announced by the labels of the locale
+ *          instead; and math includes MathML. Default value: false.
+ *      description - Whether to add a plain-text version of the algorithms,
+ *          which is visually hidden, as the description of the root element
+ *          for screen readers. Default value: false.
+ *      interactive - Whether every code line that opens a block, e.g. that of
+ *          \FUNCTION or \IF, has a toggle that folds the block into a
+ *          one-line placeholder. The toggles work once the DOM element is
+ *          enabled by folding.js, as render() does. Default value: false.
+ *      fragments - Whether the code lines are the fragments of a slide of
+ *          reveal.js, which are shown one by one: true, or the name of the
+ *          style of the fragments, e.g. 'fade-up'. Default value: false.
+ *      mathBackend - What renders the math: a backend, or the name of a
+ *          bundled one, i.e. 'katex', 'mathjax', 'temml', 'unicode' or 'tex'
+ *          (see mathBackends.js). Default value: the backend of the first
+ *          engine that is available, i.e. KaTeX, MathJax or Temml, or else
+ *          'unicode'.
+ *      katexOptions - The options of KaTeX, e.g. { throwOnError: false }, which
+ *          are passed to it as they are, but for `displayMode`. Its `macros`
+ *          are shared by all the math of the input, which \gdef adds to;
+ *          they are also the macros of Temml. In accessible mode, the output
+ *          includes MathML. Default value: {}.
+ *      mathjaxOutput - The output of MathJax when it typesets the math
+ *          outside of a page (see mathjax.js): 'chtml' or 'svg'. The
+ *          renderings may use either, in any order. Default value: 'chtml'.
+ *      functionURLs - The URLs of the functions that are defined elsewhere,
+ *          by their names, e.g. { Merge: 'sorting.html#merge' }, which their
+ *          calls link to unless the context defines them. Default value: {}.
  *
  **/
 function RendererOptions (options) {
-    options = options || {};
+    options = styles.applyStyle(options);
     this.indentSize =
         options.indentSize ? this._parseEmVal(options.indentSize) : 1.2;
     this.commentDelimiter  = options.commentDelimiter !== undefined ? options.commentDelimiter : ' // ';
+    this.flushComments = options.flushComments !== undefined ? options.flushComments : false;
     this.lineNumberPunc = options.lineNumberPunc !== undefined ? options.lineNumberPunc : ':';
     this.lineNumber = options.lineNumber !== undefined ? options.lineNumber : false;
     this.noEnd = options.noEnd !== undefined ? options.noEnd : false;
     this.scopeLines = options.scopeLines !== undefined ? options.scopeLines : false;
+    this.locale = locales.resolveLocale(options.locale, options.keywords);
+    this.statementTerminator = options.statementTerminator !== undefined ? options.statementTerminator : '';
+    this.titlePrefix = options.titlePrefix !== undefined ? options.titlePrefix : this.locale.titlePrefix;
+    this.context = options.context !== undefined ? options.context : new Context();
     if (options.captionCount !== undefined)
-        Renderer.captionCount = options.captionCount;
-    this.titlePrefix = options.titlePrefix !== undefined ? options.titlePrefix : 'Algorithm';
+        this.context.resetCaptionCount(options.captionCount);
+    this.accessible = options.accessible !== undefined ? options.accessible : false;
+    this.description = options.description !== undefined ? options.description : false;
+    this.interactive = options.interactive !== undefined ? options.interactive : false;
+    this.fragments = options.fragments !== undefined ? options.fragments : false;
+    if (typeof this.fragments !== 'boolean' && typeof this.fragments !== 'string')
+        throw new TypeError('The fragments option must be a boolean or the style of the fragments');
+    this.mathjaxOutput = options.mathjaxOutput !== undefined ? options.mathjaxOutput : 'chtml';
+    mathjax.checkOutput(this.mathjaxOutput);
+    this.mathBackend = options.mathBackend;
+    this.katexOptions = options.katexOptions !== undefined ? options.katexOptions : {};
+    if (!this.katexOptions || typeof this.katexOptions !== 'object')
+        throw new TypeError('The KaTeX options must be an object');
+    this.functionURLs = options.functionURLs !== undefined ? options.functionURLs : {};
+    if (!this.functionURLs || typeof this.functionURLs !== 'object')
+        throw new TypeError('The functionURLs option must be an object');
 }
 
 RendererOptions.prototype._parseEmVal = function (emVal) {
@@ -456,47 +547,60 @@ RendererOptions.prototype._parseEmVal = function (emVal) {
  **/
 function Renderer (parser, options) {
     this._root = parser.parse();
+    this.diagnostics = parser.diagnostics;
+    this._rawOptions = options; // for the plain-text description
     this._options = new RendererOptions(options);
     this._openLine = false;
     this._blockLevel = 0;
     this._textLevel = -1;
     this._globalTextStyle = new TextStyle();
-    this.backend = undefined;
-
-    try {
-        if (typeof katex === 'undefined')
-            katex = require('katex');
-    }
-    catch (_) { /* ignore */ }
-
-    try {
-        if (typeof MathJax === 'undefined')
-            MathJax = require('mathjax');
-    }
-    catch (_) { /* ignore */ }
-
-    if (typeof katex !== 'undefined') {
-        this.backend = {
-            'name' : 'katex',
-            'driver' : katex,
-        };
-    }
-    else if (typeof MathJax !== 'undefined') {
-        this.backend = {
-            'name' : 'mathjax',
-            'driver' : MathJax,
-        };
-    }
+    this._captionNumber = null; // the number of the caption being built
+    this._captionId = null; // the id of the caption being built, if any
+    this._inAlgorithmic = false;
+    this._keywordHTML = {}; // the HTML of the keywords that are redefined
+    this.backend = mathBackends.resolveMathBackend(this._options.mathBackend, this._options);
 }
 
-/*  The global counter for the numbering of the algorithm environment */
-Renderer.captionCount = 0;
-
 Renderer.prototype.toMarkup = function () {
     var html = this._html = new HTMLBuilder();
+    this._pendingRefs = [];
+    this._pendingCalls = [];
+
+    this._hasMath = false;
+    // A copy, so that \gdef in the math doesn't change the option
+    this._mathMacros = Object.assign({}, this._options.katexOptions.macros);
+
     this._buildTree(this._root);
     delete this._html;
-    return html.toMarkup();
+
+    var markup = this._resolvePendingCalls(this._resolvePendingRefs(html.toMarkup()));
+    // The math may need the CSS of its backend, e.g. MathJax outside of a page
+    if (this._hasMath && this.backend.styleSheet) markup = this.backend.styleSheet() + markup;
+    return markup;
+};
+
+Renderer.prototype._renderMath = function (tex, displayMode) {
+    this._hasMath = true;
+    return this.backend.renderMath(tex, {
+        displayMode: !!displayMode,
+        accessible: this._options.accessible,
+        macros: this._mathMacros,
+    });
+};
+
+/* Whether the math is left as TeX for the backend to typeset once the HTML is
+ * in the page, e.g. by MathJax */
+Renderer.prototype.defersMath = function () {
+    return !!this.backend.defersMath && this.backend.defersMath();
+};
+
+/*
+ * Load the engine of the math backend, if it is loaded asynchronously, e.g.
+ * MathJax outside of a page, and return the promise of it; the promise is
+ * resolved right away otherwise.
+ **/
+Renderer.prototype.loadMath = function () {
+    return this.backend.load ? this.backend.load() : Promise.resolve();
 };
 
 Renderer.prototype.toDOM = function () {
@@ -506,10 +610,15 @@ Renderer.prototype.toDOM = function () {
     return div.firstChild;
 };
 
-Renderer.prototype._beginGroup = function (name, extraClass, style) {
+Renderer.prototype._beginGroup = function (name, extraClass, style, attrs) {
     this._closeLineIfAny();
     this._html.beginDiv(`ps-${name}${extraClass ? ` ${extraClass}` : ''}`,
-                        style);
+                        style, null, attrs);
+};
+
+/* The side where lines start, i.e. that of the indentation and line numbers */
+Renderer.prototype._startSide = function () {
+    return this._options.locale.direction === 'rtl' ? 'right' : 'left';
 };
 
 Renderer.prototype._endGroup = function (name) {
@@ -528,10 +637,36 @@ Renderer.prototype._beginBlock = function () {
     if (this._options.scopeLines)
         blockIndent /= 2;
 
-    this._beginGroup('block', null, {
-        'margin-left': `${blockIndent}em`,
-    });
+    // In interactive mode, the code line that opens a block, e.g. that of
+    // \FOR, has the toggle that folds it (see folding.js)
+    var blockId = null;
+    if (this._options.interactive && this._openLine && this._blockLevel > 0) {
+        blockId = this._options.context.nextId('block');
+        this._putBlockToggle(blockId);
+    }
+
+    // In accessible mode, the lines in blocks are the items of one list
+    var attrs = this._options.accessible ? { role: 'presentation' } : {};
+    if (blockId) attrs.id = blockId;
+    this._beginGroup('block', blockId ? 'ps-foldable' : null, {
+        [`margin-${this._startSide()}`]: `${blockIndent}em`,
+    }, attrs);
     this._blockLevel++;
+
+    // The line that is shown instead of the lines of a collapsed block
+    if (blockId) {
+        this._html.beginP('ps-line ps-fold-placeholder', null, null, { 'aria-hidden': 'true' })
+            .putText('…')
+            .endP();
+    }
+};
+
+Renderer.prototype._putBlockToggle = function (blockId) {
+    this._html.beginButton('ps-toggle', {
+        'aria-expanded': 'true',
+        'aria-controls': blockId,
+        'aria-label': this._options.locale.labels.block,
+    }).endButton();
 };
 
 Renderer.prototype._endBlock = function () {
@@ -540,7 +675,12 @@ Renderer.prototype._endBlock = function () {
     this._blockLevel--;
 };
 
-Renderer.prototype._newLine = function () {
+/*
+ * Open a new line; a line of code takes the next line number, unless it is
+ * `unnumbered`, e.g. the line of an error, so that the numbers stay those of
+ * the algorithm in the source.
+ **/
+Renderer.prototype._newLine = function (extraClass, attrs, unnumbered) {
     this._closeLineIfAny();
 
     this._openLine = true;
@@ -551,9 +691,16 @@ Renderer.prototype._newLine = function () {
     var indentSize = this._options.indentSize;
     // if this line is for code (e.g. \STATE)
     if (this._blockLevel > 0) {
-        this._numLOC++;
+        if (!unnumbered) this._numLOC++;
 
-        this._html.beginP('ps-line ps-code', this._globalTextStyle.toCSS());
+        var lineClass = 'ps-line ps-code';
+        // Reveal.js shows the fragments of a slide one by one, in the order
+        // they are in, i.e. that of the line numbers
+        var fragments = this._options.fragments;
+        if (fragments) lineClass += typeof fragments === 'string' ? ` fragment ${fragments}` : ' fragment';
+        if (extraClass) lineClass += ` ${extraClass}`;
+
+        this._html.beginP(lineClass, this._globalTextStyle.toCSS(), null, this._lineAttrs(attrs));
 
         // We need to consider the indent width for linenumbers and scopelines
         // With scope lines: margin is halved (indentSize/2) but CSS adds padding (0.6em) + border (0.1em)
@@ -562,24 +709,45 @@ Renderer.prototype._newLine = function () {
 
         // We add this width if we need to pad the line (e.g., with linenumber).
         // We don't need to handle scope lines here, as they do not add any extra text in the line.
-        if (this._options.lineNumber) {
+        if (this._options.lineNumber && !unnumbered) {
+            var accessible = this._options.accessible;
             this._html
                 .beginSpan('ps-linenum', {
-                    'left': `${-((this._blockLevel - 1) * (extraIndentSize))}em`,
-                })
+                    [this._startSide()]: `${-((this._blockLevel - 1) * (extraIndentSize))}em`,
+                }, null, accessible ? { 'aria-hidden': 'true' } : null)
                 .putText(this._numLOC + this._options.lineNumberPunc)
                 .endSpan();
+            if (accessible)
+                this._putScreenReaderText(this._html, `${this._options.locale.labels.line} ${this._numLOC}: `);
         }
     }
     // if this line is for pre-conditions (e.g. \REQUIRE)
     else {
-        this._html.beginP('ps-line', {
+        this._html.beginP(`ps-line${extraClass ? ` ${extraClass}` : ''}`, {
             'text-indent': `${-indentSize}em`,
-            'padding-left': `${indentSize}em`,
-        }, this._globalTextStyle.toCSS());
+            [`padding-${this._startSide()}`]: `${indentSize}em`,
+        }, this._globalTextStyle.toCSS(), this._lineAttrs(attrs));
     }
 };
 
+/*
+ * The attributes of a line: in accessible mode, a line of an algorithmic is
+ * an item of a list, at the level of its block (pre/post-conditions are at
+ * the level of the top block)
+ **/
+Renderer.prototype._lineAttrs = function (attrs) {
+    if (!this._options.accessible || !this._inAlgorithmic) return attrs;
+    return Object.assign({
+        role: 'listitem',
+        'aria-level': String(Math.max(this._blockLevel, 1)),
+    }, attrs);
+};
+
+/* Put a text that is visually hidden, only for screen readers */
+Renderer.prototype._putScreenReaderText = function (html, text) {
+    html.beginSpan('ps-sr-only').putText(text).endSpan();
+};
+
 Renderer.prototype._closeLineIfAny = function () {
     if (!this._openLine) return;
 
@@ -592,25 +760,176 @@ Renderer.prototype._typeKeyword = function (keyword) {
     this._html.beginSpan('ps-keyword').putText(keyword).endSpan();
 };
 
+/*
+ * Type a keyword of the keyword table, e.g. 'endif' for 'end if', together
+ * with the text before and after it, e.g. ' ' after 'if'.
+ **/
+Renderer.prototype._typeKeywordOf = function (name, before, after) {
+    this._putKeyword(this._html, name, before, after);
+};
+
+Renderer.prototype._putKeyword = function (html, name, before, after, extraClass) {
+    // An empty keyword is left out, together with the spaces around it
+    if (this._isEmptyKeyword(name)) return;
+
+    html.beginSpan(extraClass ? `ps-keyword ${extraClass}` : 'ps-keyword');
+    if (before) html.putText(before);
+    this._putKeywordText(html, name);
+    if (after) html.putText(after);
+    html.endSpan();
+};
+
+Renderer.prototype._isEmptyKeyword = function (name) {
+    var isRedefined = this._root.keywords && this._root.keywords[name];
+    return !isRedefined && keywords.keywordText(name, this._options.locale.keywords) === '';
+};
+
+/* End a line of code that is a statement, unless it is empty, e.g. with ';' */
+Renderer.prototype._endStatement = function (isEmpty) {
+    var terminator = this._options.statementTerminator;
+    if (terminator && !isEmpty && this._blockLevel > 0) this._html.putText(terminator);
+};
+
+Renderer.prototype._putKeywordText = function (html, name) {
+    // A keyword that is redefined is rendered from its text, only once as
+    // rendering a text consumes its nodes
+    var textNode = this._root.keywords && this._root.keywords[name];
+    if (textNode) {
+        if (this._keywordHTML[name] === undefined) {
+            var textEnv = new TextEnvironment(textNode.children, new TextStyle(), this);
+            this._keywordHTML[name] = textEnv.renderToHTML();
+        }
+        html.putHTML(this._keywordHTML[name]);
+        return;
+    }
+
+    var keyword = this._options.locale.keywords[name];
+    if (!Array.isArray(keyword)) {
+        html.putText(keyword);
+        return;
+    }
+    keyword.forEach((part, pi) => {
+        if (pi > 0) html.putText(' ');
+        this._putKeywordText(html, part);
+    });
+};
+
+/* Type the name of a function where it is defined, with the anchor that its
+ * calls link to */
 Renderer.prototype._typeFuncName = function (funcName) {
-    this._html.beginSpan('ps-funcname').putText(funcName).endSpan();
+    var func = this._options.context.defineFunction(funcName);
+    this._html.beginSpan('ps-funcname', null, null, func ? { id: func.id } : null)
+        .putText(funcName).endSpan();
 };
 
 Renderer.prototype._typeText = function (text) {
     this._html.write(text);
 };
 
+/*
+ * Put the anchor of a label, which takes the number of the current line, or
+ * that of the algorithm in a caption.
+ **/
+Renderer.prototype._putLabel = function (html, name) {
+    var number = this._captionNumber !== null ? this._captionNumber : this._numLOC;
+    var label = this._options.context.defineLabel(name, number);
+    html.beginAnchor('ps-label', { id: label.id }).endAnchor();
+};
+
+/*
+ * Put a link to the line of a label. A label that is defined later in the
+ * same render is filled in once the whole tree is built; one that is still
+ * not defined then is shown as `??`, as LaTeX does.
+ **/
+Renderer.prototype._putRef = function (html, name) {
+    var context = this._options.context;
+    html.beginAnchor('ps-ref', { href: `#${context.labelId(name)}`, 'data-ref': name });
+    var label = context.lookupLabel(name);
+    if (label) {
+        html.putText(String(label.number));
+    }
+    else {
+        html.putHTML(pendingRefMark(this._pendingRefs.length));
+        this._pendingRefs.push(name);
+    }
+    html.endAnchor();
+};
+
+function pendingRefMark (index) {
+    return `<!--ps-ref:${index}-->`;
+}
+
+Renderer.prototype._resolvePendingRefs = function (markup) {
+    var context = this._options.context;
+    return markup.replace(/<!--ps-ref:(\d+)-->/g, (mark, index) => {
+        var label = context.lookupLabel(this._pendingRefs[index]);
+        return label ? String(label.number) : '??';
+    });
+};
+
+/*
+ * Put the name of a function where it is called, as a link to its definition:
+ * the one in the context, which may come later in the same render, or else the
+ * URL of the `functionURLs` option. Until a function is defined anywhere, the
+ * link has no target, which renderClass fills in if a later algorithm defines
+ * the function.
+ **/
+Renderer.prototype._putCall = function (html, name) {
+    html.putHTML(pendingCallMark(this._pendingCalls.length));
+    this._pendingCalls.push(name);
+    html.putText(name).endAnchor();
+};
+
+function pendingCallMark (index) {
+    return `<!--ps-call:${index}-->`;
+}
+
+Renderer.prototype._resolvePendingCalls = function (markup) {
+    var context = this._options.context;
+    var urls = this._options.functionURLs;
+    return markup.replace(/<!--ps-call:(\d+)-->/g, (mark, index) => {
+        var name = this._pendingCalls[index];
+        var func = context.lookupFunction(name);
+        var attrs = {};
+        if (func) attrs.href = `#${func.id}`;
+        else if (Object.prototype.hasOwnProperty.call(urls, name)) attrs.href = urls[name];
+        attrs['data-call'] = name;
+        return new HTMLBuilder().beginAnchor('ps-funcname ps-call', attrs).toMarkup();
+    });
+};
+
+/*
+ * Put the plain text of the algorithms (see TextRenderer), visually hidden,
+ * as their description for screen readers. It is rendered with a copy of the
+ * context, so that the captions are not counted twice.
+ **/
+Renderer.prototype._putDescription = function (rootNode, id) {
+    var options = Object.assign({}, this._rawOptions, {
+        context: this._options.context.clone(),
+        captionCount: undefined,
+        color: false,
+    });
+    var text = new TextRenderer({ parse: () => rootNode }, options).toText();
+
+    this._html.beginDiv('ps-description ps-sr-only', null, null, { id: id });
+    text.split('\n').forEach((line) => {
+        if (line.trim()) this._html.beginP().putText(line.trim()).endP();
+    });
+    this._html.endDiv();
+};
+
 Renderer.prototype._buildTreeForAllChildren = function (node) {
     var children = node.children;
     for (var ci = 0; ci < children.length; ci++)
         this._buildTree(children[ci]);
 };
 
-// The comment nodes at the beginning of blockNode are comments for controls
-// Thus they should be rendered out of block
+// The comment (and label) nodes at the beginning of blockNode are comments
+// for controls. Thus they should be rendered out of block
 Renderer.prototype._buildCommentsFromBlock = function (blockNode) {
     var children = blockNode.children;
-    while (children.length > 0 && children[0].type === 'comment') {
+    while (children.length > 0 &&
+           (children[0].type === 'comment' || children[0].type === 'label')) {
         var commentNode = children.shift();
         this._buildTree(commentNode);
     }
@@ -622,7 +941,19 @@ Renderer.prototype._buildTree = function (node) {
         // The hierarchicy of build tree: Group (Block) > Line > Text
         // ----------------- Groups -------------------------------------
         case 'root':
-            this._beginGroup('root');
+            var rootClass = null;
+            var rootAttrs = {};
+            if (this._options.locale.direction === 'rtl') {
+                rootClass = 'ps-rtl';
+                rootAttrs.dir = 'rtl';
+            }
+            var descriptionId = null;
+            if (this._options.description) {
+                descriptionId = this._options.context.nextId('description');
+                rootAttrs['aria-describedby'] = descriptionId;
+            }
+            this._beginGroup('root', rootClass, null, rootAttrs);
+            if (descriptionId) this._putDescription(node, descriptionId);
             this._buildTreeForAllChildren(node);
             this._endGroup();
             break;
@@ -633,12 +964,21 @@ Renderer.prototype._buildTree = function (node) {
                 child = node.children[ci];
                 if (child.type !== 'caption') continue;
                 lastCaptionNode = child;
-                Renderer.captionCount++;
             }
             // Then, build the header for algorithm
             if (lastCaptionNode) {
-                this._beginGroup('algorithm', 'with-caption');
+                // In accessible mode, the algorithm is a figure named by its
+                // caption
+                var captionId = null;
+                var figureAttrs = null;
+                if (this._options.accessible) {
+                    captionId = this._options.context.nextId('caption');
+                    figureAttrs = { role: 'figure', 'aria-labelledby': captionId };
+                }
+                this._beginGroup('algorithm', 'with-caption', null, figureAttrs);
+                this._captionId = captionId;
                 this._buildTree(lastCaptionNode);
+                this._captionId = null;
             }
             else {
                 this._beginGroup('algorithm');
@@ -656,14 +996,13 @@ Renderer.prototype._buildTree = function (node) {
             var divClasses = this._options.lineNumber ? ' with-linenum ' : '';
             divClasses += this._options.scopeLines ? ' with-scopelines ' : '';
 
-            if (divClasses) {
-                this._beginGroup('algorithmic', divClasses);
-                this._numLOC = 0;
-            }
-            else {
-                this._beginGroup('algorithmic');
-            }
+            // In accessible mode, the lines are the items of a list
+            this._beginGroup('algorithmic', divClasses, null,
+                             this._options.accessible ? { role: 'list' } : null);
+            this._numLOC = 0;
+            this._inAlgorithmic = true;
             this._buildTreeForAllChildren(node);
+            this._inAlgorithmic = false;
             this._endGroup();
             break;
         case 'block':
@@ -686,7 +1025,7 @@ Renderer.prototype._buildTree = function (node) {
             textNode = node.children[0];
             var blockNode = node.children[1];
             this._newLine();
-            this._typeKeyword(`${funcType} `);
+            this._typeKeywordOf(funcType, '', ' ');
             this._typeFuncName(defFuncName);
             this._typeText('(');
             this._buildTree(textNode);
@@ -697,7 +1036,7 @@ Renderer.prototype._buildTree = function (node) {
 
             if (!this._options.noEnd) {
                 this._newLine();
-                this._typeKeyword(`end ${funcType}`);
+                this._typeKeywordOf(`end${funcType}`);
             }
             break;
         case 'if':
@@ -709,10 +1048,10 @@ Renderer.prototype._buildTree = function (node) {
             //      <span class="ps-keyword">then</span>
             // </p>
             this._newLine();
-            this._typeKeyword('if ');
+            this._typeKeywordOf('if', '', ' ');
             ifCond = node.children[0];
             this._buildTree(ifCond);
-            this._typeKeyword(' then');
+            this._typeKeywordOf('then', ' ');
             // <block>
             var ifBlock = node.children[1];
             this._buildCommentsFromBlock(ifBlock);
@@ -729,10 +1068,10 @@ Renderer.prototype._buildTree = function (node) {
                 //      <span class="ps-keyword">then</span>
                 // </p>
                 this._newLine();
-                this._typeKeyword('else if ');
+                this._typeKeywordOf('elsif', '', ' ');
                 var elifCond = node.children[2 + 2 * ei];
                 this._buildTree(elifCond);
-                this._typeKeyword(' then');
+                this._typeKeywordOf('then', ' ');
 
                 // <block>
                 var elifBlock = node.children[2 + 2 * ei + 1];
@@ -749,7 +1088,7 @@ Renderer.prototype._buildTree = function (node) {
                 //      <span class="ps-keyword">else</span>
                 // </p>
                 this._newLine();
-                this._typeKeyword('else');
+                this._typeKeywordOf('else');
 
                 // <block>
                 var elseBlock = node.children[node.children.length - 1];
@@ -760,7 +1099,7 @@ Renderer.prototype._buildTree = function (node) {
             if (!this._options.noEnd) {
                 // ENDIF
                 this._newLine();
-                this._typeKeyword('end if');
+                this._typeKeywordOf('endif');
             }
             break;
         case 'loop':
@@ -771,42 +1110,43 @@ Renderer.prototype._buildTree = function (node) {
             //      ...
             //      <span class="ps-keyword">do</span>
             // </p>
+            // or \LOOP, which has no condition
             this._newLine();
             var loopType = node.value;
-            var displayLoopName = {
-                'for': 'for',
-                'forall': 'for all',
-                'while': 'while',
-            };
-            this._typeKeyword(`${displayLoopName[loopType]} `);
-            var loopCond = node.children[0];
-            this._buildTree(loopCond);
-            this._typeKeyword(' do');
+            if (loopType !== 'loop') {
+                this._typeKeywordOf(loopType, '', ' ');
+                var loopCond = node.children[0];
+                this._buildTree(loopCond);
+                this._typeKeywordOf('dosuffix', ' ');
+            }
+            else {
+                this._typeKeywordOf(loopType);
+            }
 
             // <block>
-            var block = node.children[1];
+            var block = node.children[node.children.length - 1];
             this._buildCommentsFromBlock(block);
             this._buildTree(block);
 
             if (!this._options.noEnd) {
-                // \ENDFOR or \ENDWHILE
+                // \ENDFOR, \ENDWHILE or \ENDLOOP
                 // ==>
                 // <p class="ps-line">
                 //      <span class="ps-keyword">end for</span>
                 // </p>
                 this._newLine();
-                var endLoopName = loopType === 'while' ? 'end while' : 'end for';
-                this._typeKeyword(endLoopName);
+                this._typeKeywordOf(keywords.END_OF_LOOP[loopType]);
             }
             break;
         case 'repeat':
-            // \REPEAT
+            // \REPEAT or \DO
             // ==>
             // <p class="ps-line">
             //     <span class="ps-keyword">repeat</span>
             // </p>
             this._newLine();
-            this._typeKeyword('repeat');
+            var repeatType = node.value;
+            this._typeKeywordOf(repeatType);
 
             // block
             var repeatBlock = node.children[0];
@@ -814,13 +1154,13 @@ Renderer.prototype._buildTree = function (node) {
             this._buildTree(repeatBlock);
 
 
-            // \UNTIL{<cond>}
+            // \UNTIL{<cond>} or \DOWHILE{<cond>}
             // ==>
             // <p class="ps-line">
             //     <span class="ps-keyword">until</span>
             // </p>
             this._newLine();
-            this._typeKeyword('until ');
+            this._typeKeywordOf(keywords.END_OF_LOOP[repeatType], '', ' ');
             var repeatCond = node.children[1];
             this._buildTree(repeatCond);
 
@@ -832,7 +1172,7 @@ Renderer.prototype._buildTree = function (node) {
             //      <span class="ps-keyword">upon</span>
             // </p>
             this._newLine();
-            this._typeKeyword('upon ');
+            this._typeKeywordOf('upon', '', ' ');
             uponCond = node.children[0];
             this._buildTree(uponCond);
             // <block>
@@ -843,68 +1183,177 @@ Renderer.prototype._buildTree = function (node) {
             if (!this._options.noEnd) {
                 // ENDUPON
                 this._newLine();
-                this._typeKeyword('end upon');
+                this._typeKeywordOf('endupon');
+            }
+            break;
+        case 'switch':
+            // \SWITCH { <cond> }
+            // ==>
+            // <p class="ps-line">
+            //      <span class="ps-keyword">switch</span>
+            //      ...
+            //      <span class="ps-keyword">do</span>
+            // </p>
+            this._newLine();
+            this._typeKeywordOf('switch', '', ' ');
+            this._buildTree(node.children[0]);
+            this._typeKeywordOf('dosuffix', ' ');
+            // <block> of cases
+            var switchBlock = node.children[1];
+            this._buildCommentsFromBlock(switchBlock);
+            this._buildTree(switchBlock);
+
+            if (!this._options.noEnd) {
+                // ENDSWITCH
+                this._newLine();
+                this._typeKeywordOf('endswitch');
+            }
+            break;
+        case 'case':
+            // \CASE { <cond> } <block>
+            // ==>
+            // <p class="ps-line">
+            //      <span class="ps-keyword">case</span>
+            //      ...
+            //      <span class="ps-keyword">do</span>
+            // </p>
+            // <div class="ps-block"> ... </div>
+            this._newLine();
+            this._typeKeywordOf('case', '', ' ');
+            this._buildTree(node.children[0]);
+            this._typeKeywordOf('dosuffix', ' ');
+            var caseBlock = node.children[1];
+            this._buildCommentsFromBlock(caseBlock);
+            this._buildTree(caseBlock);
+            break;
+        case 'default':
+            // \DEFAULT <block>
+            this._newLine();
+            this._typeKeywordOf('default');
+            this._typeKeywordOf('dosuffix', ' ');
+            var defaultBlock = node.children[0];
+            this._buildCommentsFromBlock(defaultBlock);
+            this._buildTree(defaultBlock);
+            break;
+        case 'custom':
+            // A block defined by Parser.defineBlock, e.g.
+            // \PARFOR{<cond>} <block> \ENDPARFOR
+            // ==>
+            // <p class="ps-line">
+            //      <span class="ps-keyword">for</span>
+            //      ...
+            //      <span class="ps-keyword">in parallel do</span>
+            // </p>
+            var custom = node.value;
+            this._newLine();
+            this._typeKeyword(custom.args > 0 ? `${custom.keyword} ` : custom.keyword);
+            for (ci = 0; ci < custom.args; ci++) {
+                if (ci > 0) this._typeText(', ');
+                this._buildTree(node.children[ci]);
+            }
+            if (custom.suffix) this._typeKeyword(` ${custom.suffix}`);
+
+            // <block>
+            var customBlock = node.children[custom.args];
+            this._buildCommentsFromBlock(customBlock);
+            this._buildTree(customBlock);
+
+            if (!this._options.noEnd && custom.endKeyword) {
+                this._newLine();
+                this._typeKeyword(custom.endKeyword);
             }
             break;
         // ------------------- Lines -------------------
         case 'command':
-            var cmdName = node.value;
-            var displayCmdName = {
-                'break': 'break',
-                'continue': 'continue',
-            }[cmdName];
-
+            // commands: \BREAK, \CONTINUE
             this._newLine();
-            if (displayCmdName) this._typeKeyword(displayCmdName);
+            this._typeKeywordOf(node.value);
+            this._endStatement(false);
             break;
         case 'caption':
-            this._newLine();
-            //             this._typeKeyword(`${this._options.titlePrefix
-            //             } ${Renderer.captionCount} `);
-            this._typeKeyword(`${this._options.titlePrefix} `);
+            this._newLine(null, this._captionId ? { id: this._captionId } : null);
+            this._captionNumber = this._options.context.nextCaptionNumber();
+            this._typeKeyword(`${this._options.titlePrefix} ${this._captionNumber}: `);
             textNode = node.children[0];
             this._buildTree(textNode);
+            this._captionNumber = null;
             break;
         case 'comment':
             textNode = node.children[0];
-            this._html.beginSpan('ps-comment');
-            this._html.putText(this._options.commentDelimiter);
+            // A standalone comment of algorithm2e, i.e. \tcc, starts its line
+            // without the space before the delimiter, as does a flushed
+            // comment, which is apart from its line anyway
+            var delimiter = this._options.commentDelimiter;
+            var flushComment = this._options.flushComments;
+            if (node.value === 'standalone' || flushComment) delimiter = delimiter.replace(/^\s+/, '');
+            this._html.beginSpan(flushComment ? 'ps-comment ps-flushed' : 'ps-comment');
+            if (this._options.accessible) {
+                // The delimiter, e.g. `//` or `▷`, is announced as a word
+                this._html.beginSpan(null, null, null, { 'aria-hidden': 'true' })
+                    .putText(delimiter).endSpan();
+                this._putScreenReaderText(this._html, ` ${this._options.locale.labels.comment}: `);
+            }
+            else {
+                this._html.putText(delimiter);
+            }
             this._buildTree(textNode);
             this._html.endSpan();
             break;
         case 'statement':
             // statements: \STATE, \ENSURE, \PRINT, \RETURN, etc.
             var stmtName = node.value;
-            var displayStmtName = {
-                'state': '',
-                'ensure': 'Ensure: ',
-                'require': 'Require: ',
-                'input': 'Input: ',
-                'output': 'Output: ',
-                'print': 'print ',
-                'return': 'return ',
-            }[stmtName];
-
             this._newLine();
-            if (displayStmtName) this._typeKeyword(displayStmtName);
+            if (stmtName !== 'state') this._typeKeywordOf(stmtName, '', ' ');
             textNode = node.children[0];
+            var isEmptyStatement = stmtName === 'state' && textNode.children.length === 0;
             this._buildTree(textNode);
+            this._endStatement(isEmptyStatement);
+            break;
+        case 'assertion':
+            // \ASSERT, \INVARIANT or \ENSURE (in a nested block)
+            // ==>
+            // <p class="ps-line ps-assertion">
+            //      <span class="ps-keyword ps-assert">assert</span>
+            //      ...
+            // </p>
+            var assertionName = node.value;
+            this._newLine('ps-assertion');
+            this._putKeyword(this._html, assertionName, '', ' ', `ps-${assertionName}`);
+            this._buildTree(node.children[0]);
+            this._endStatement(false);
+            break;
+        case 'label':
+            // A label on its own names the line before it
+            this._putLabel(this._html, node.value);
+            break;
+        case 'error':
+            // The input that could not be parsed (in tolerant mode) is shown
+            // as it is, followed by the error, on a line without a number
+            this._newLine('ps-error', null, true);
+            var errorSource = node.value.source.replace(/\s+/g, ' ').trim();
+            if (errorSource) {
+                this._html.beginSpan('ps-error-source').putText(errorSource).endSpan();
+                this._html.putText(' ');
+            }
+            this._html.beginSpan('ps-error-message').putText(node.value.message).endSpan();
             break;
         // ------------------- Text -------------------
         case 'open-text':
             var openTextEnv = new TextEnvironment(node.children,
-                                                  this._globalTextStyle);
-            this._html.putHTML(openTextEnv.renderToHTML(this.backend));
+                                                  this._globalTextStyle, this);
+            this._html.putHTML(openTextEnv.renderToHTML());
             break;
         case 'close-text':
             var outerFontSize = this._globalTextStyle.fontSize();
             var newTextStyle = new TextStyle(outerFontSize);
-            var closeTextEnv = new TextEnvironment(node.children, newTextStyle);
-            this._html.putHTML(closeTextEnv.renderToHTML(this.backend));
+            var closeTextEnv = new TextEnvironment(node.children, newTextStyle, this);
+            this._html.putHTML(closeTextEnv.renderToHTML());
             break;
         default:
             throw new ParseError(`Unexpected ParseNode of type ${node.type}`);
     }
 };
 
+Renderer.RendererOptions = RendererOptions;
+
 module.exports = Renderer;
@@ -0,0 +1,20 @@
+/*
+ * RuntimeError - the error thrown when pseudocode cannot be run by the
+ * Interpreter, e.g. for an undefined variable, an index out of the bounds of
+ * an array, or a statement that is not an assignment or a call.
+ *
+ * The position of the problem is told as by ParseError, by `reason`, `offset`,
+ * `line`, `column` and `codeFrame`. Besides, the error has the following:
+ *      trace - The steps run before the error (see Interpreter).
+ **/
+var ParseError = require('./ParseError');
+
+function RuntimeError (message, pos, input, trace) {
+    ParseError.call(this, message, pos, input);
+    this.name = 'RuntimeError';
+    this.trace = trace || [];
+}
+RuntimeError.prototype = Object.create(Error.prototype);
+RuntimeError.prototype.constructor = RuntimeError;
+
+module.exports = RuntimeError;
@@ -0,0 +1,359 @@
+/*
+ * SVGRenderer - Converts a parse tree to a standalone SVG image
+ *
+ * The image is meant for places that take SVG but not HTML and CSS, e.g.
+ * slides, design tools and wikis. It is drawn with the attributes of SVG
+ * elements only, so that it looks the same without pseudocode.css.
+ *
+ * The lines are built as by TextRenderer, whose line model SVGRenderer shares,
+ * and laid out as by Renderer, with the same RendererOptions: each line is a
+ * <text> at the indentation of its blocks, its flushed comment is another at
+ * the right edge, and the rules of an algorithm and
+ * the scope lines are <line>s. There's no browser to measure the text, so the
+ * width of the image is estimated from the glyphs of a serif font.
+ *
+ * Math is typeset as SVG text from its TeX source, by MathTypesetter.
+ **/
+var TextRenderer = require('./TextRenderer');
+var Renderer = require('./Renderer');
+var MathTypesetter = require('./MathTypesetter');
+
+var RendererOptions = Renderer.RendererOptions;
+
+var DEFAULT_FONT_FAMILY = 'KaTeX_Main, \'Times New Roman\', Times, serif';
+
+// The layout, in em, after pseudocode.css
+var LINE_HEIGHT = 1.2;
+var BASELINE = 0.9; // from the top of a line
+var PADDING = 0.5; // around the image
+var RULE_GAP = 0.2; // between the rules of an algorithm and its lines
+var LINE_NUMBER_SIZE = 0.8;
+var LINE_NUMBER_GAP = 0.32; // between a line number and its line
+var SCOPE_PADDING = 0.6; // between a scope line and its block
+var SCOPE_WIDTH = 0.1;
+var COMMENT_GAP = 1; // between a line and its flushed comment, at least
+// The rules of an algorithm, in pixels: the top one, and those below the
+// caption and at the bottom
+var TOP_RULE_WIDTH = 3;
+var RULE_WIDTH = 2;
+var ERROR_COLOR = '#c00';
+
+/*
+ * SVGRendererOptions - represents options that SVGRenderer accepts.
+ *
+ * The options are the same as those of RendererOptions, plus the following:
+ *      fontSize - The size of the text, in pixels. Default value: 16.
+ *      fontFamily - The font of the text. Default value:
+ *          "KaTeX_Main, 'Times New Roman', Times, serif".
+ *      background - The color of the background, or 'none' for a transparent
+ *          background. Default value: 'white'.
+ *
+ **/
+function SVGRendererOptions (options) {
+    RendererOptions.call(this, options);
+    options = options || {};
+    this.fontSize = options.fontSize !== undefined ? options.fontSize : 16;
+    this.fontFamily = options.fontFamily !== undefined ? options.fontFamily : DEFAULT_FONT_FAMILY;
+    this.background = options.background !== undefined ? options.background : 'white';
+}
+SVGRendererOptions.prototype = Object.create(RendererOptions.prototype);
+SVGRendererOptions.prototype.constructor = SVGRendererOptions;
+
+function SVGRenderer (parser, options) {
+    TextRenderer.call(this, parser, options);
+    this._options = new SVGRendererOptions(options);
+    this._algorithms = []; // the first and the last line of each algorithm
+}
+SVGRenderer.prototype = Object.create(TextRenderer.prototype);
+SVGRenderer.prototype.constructor = SVGRenderer;
+
+SVGRenderer.prototype.toSVG = function () {
+    this._lines = [];
+    this._line = null;
+    this._algorithms = [];
+    this._buildTree(this._root);
+    this._resolveRefs();
+    return this._layout();
+};
+
+/* Build the lines as TextRenderer does, and mark those that the rules of an
+ * algorithm go around */
+SVGRenderer.prototype._buildTree = function (node) {
+    var firstLine = this._lines.length;
+    TextRenderer.prototype._buildTree.call(this, node);
+    if (node.type === 'caption')
+        this._line.caption = true;
+    else if (node.type === 'algorithm' && this._lines.length > firstLine)
+        this._algorithms.push({ first: firstLine, last: this._lines.length - 1 });
+};
+
+SVGRenderer.prototype._layout = function () {
+    var options = this._options;
+    var em = options.fontSize;
+    var isRTL = options.locale.direction === 'rtl';
+
+    var firstLines = {};
+    var lastLines = {};
+    this._algorithms.forEach((algorithm) => {
+        firstLines[algorithm.first] = true;
+        lastLines[algorithm.last] = true;
+    });
+
+    // Place the lines from top to bottom, between the rules
+    var rules = [];
+    var y = PADDING * em;
+    var width = 0;
+    var boxes = this._lines.map((line, li) => {
+        if (firstLines[li]) {
+            rules.push({ y: y + TOP_RULE_WIDTH / 2, width: TOP_RULE_WIDTH });
+            y += TOP_RULE_WIDTH + RULE_GAP * em;
+        }
+
+        // A flushed comment is a <text> of its own, at the end of the line
+        var commentStart = line.commentStart !== undefined ? line.commentStart : line.segments.length;
+        var box = {
+            line: line,
+            x: this._lineX(line),
+            top: y,
+            runs: this._lineRuns(line.segments.slice(0, commentStart)),
+            commentRuns: this._lineRuns(line.segments.slice(commentStart)),
+        };
+        var textWidth = runsWidth(box.runs, em);
+        if (box.commentRuns.length > 0)
+            textWidth += COMMENT_GAP * em + runsWidth(box.commentRuns, em);
+        width = Math.max(width, box.x + textWidth);
+        y += LINE_HEIGHT * em;
+
+        if (line.caption) {
+            rules.push({ y: y + RULE_WIDTH / 2, width: RULE_WIDTH });
+            y += RULE_WIDTH + RULE_GAP * em;
+        }
+        if (lastLines[li]) {
+            y += RULE_GAP * em;
+            rules.push({ y: y + RULE_WIDTH / 2, width: RULE_WIDTH });
+            y += RULE_WIDTH;
+        }
+        return box;
+    });
+    width = Math.ceil(width + PADDING * em);
+    var height = Math.ceil(y + PADDING * em);
+
+    // A right-to-left layout is the mirror image of a left-to-right one
+    var mirror = (x) => formatNumber(isRTL ? width - x : x);
+
+    var svg = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+            `viewBox="0 0 ${width} ${height}" font-family="${escapeXML(options.fontFamily)}" ` +
+            `font-size="${formatNumber(em)}" fill="black">`,
+    ];
+    if (options.background !== 'none')
+        svg.push(`<rect width="100%" height="100%" fill="${escapeXML(options.background)}"/>`);
+
+    rules.forEach((rule) => {
+        svg.push(`<line x1="${formatNumber(PADDING * em)}" y1="${formatNumber(rule.y)}" ` +
+                 `x2="${formatNumber(width - PADDING * em)}" y2="${formatNumber(rule.y)}" ` +
+                 `stroke="black" stroke-width="${rule.width}"/>`);
+    });
+
+    if (options.scopeLines) {
+        this._scopeLines(boxes).forEach((scopeLine) => {
+            svg.push(`<line x1="${mirror(scopeLine.x)}" y1="${formatNumber(scopeLine.top)}" ` +
+                     `x2="${mirror(scopeLine.x)}" y2="${formatNumber(scopeLine.bottom)}" ` +
+                     `stroke="black" stroke-width="${formatNumber(SCOPE_WIDTH * em)}"/>`);
+        });
+    }
+
+    boxes.forEach((box) => {
+        var line = box.line;
+        var baseline = formatNumber(box.top + BASELINE * em);
+
+        // The line numbers are lined up to the right of a gutter, whichever
+        // block the line is in, as in Renderer
+        if (options.lineNumber && line.code && line.number !== null) {
+            var numberX = this._codeX(0) - LINE_NUMBER_GAP * em;
+            svg.push(`<text x="${mirror(numberX)}" y="${baseline}" ` +
+                     `font-size="${formatNumber(LINE_NUMBER_SIZE * em)}" ` +
+                     `text-anchor="${isRTL ? 'start' : 'end'}">` +
+                     `${escapeXML(line.number + options.lineNumberPunc)}</text>`);
+        }
+
+        var direction = isRTL ? ' direction="rtl"' : '';
+        if (box.runs.length > 0) {
+            svg.push(`<text x="${mirror(box.x)}" y="${baseline}"${direction} ` +
+                     `xml:space="preserve">${serializeRuns(box.runs, em)}</text>`);
+        }
+        if (box.commentRuns.length > 0) {
+            svg.push(`<text x="${mirror(width - PADDING * em)}" y="${baseline}"${direction} ` +
+                     `text-anchor="end" xml:space="preserve">${serializeRuns(box.commentRuns, em)}</text>`);
+        }
+    });
+
+    svg.push('</svg>');
+    return svg.join('\n');
+};
+
+/* The x of the start of a line: a line of code is indented by its blocks */
+SVGRenderer.prototype._lineX = function (line) {
+    return line.code ? this._codeX(line.level) : PADDING * this._options.fontSize;
+};
+
+/* The x of the start of the lines of code at a level of blocks */
+SVGRenderer.prototype._codeX = function (level) {
+    var x = PADDING * this._options.fontSize;
+    for (var li = 0; li <= level; li++)
+        x += this._blockIndent(li);
+    return x;
+};
+
+/* The indentation of a block, as in Renderer; level 0 is the top block of an
+ * algorithmic, which has no scope line */
+SVGRenderer.prototype._blockIndent = function (level) {
+    var options = this._options;
+    var indent = options.indentSize + (options.lineNumber && level === 0 ? 0.6 : 0);
+    if (options.scopeLines)
+        indent = indent / 2 + SCOPE_PADDING + (level > 0 ? SCOPE_WIDTH : 0);
+    return indent * options.fontSize;
+};
+
+/*
+ * The scope lines of the blocks as { x, top, bottom }. The scope line of a
+ * block runs along the consecutive lines of code that are at its level or
+ * deeper; any other line, e.g. `else`, ends it.
+ **/
+SVGRenderer.prototype._scopeLines = function (boxes) {
+    var options = this._options;
+    var em = options.fontSize;
+    var scopeLines = [];
+    var openLines = []; // the scope lines that go on, by their levels (from 1)
+
+    boxes.forEach((box) => {
+        var level = box.line.code ? box.line.level : 0;
+        while (openLines.length > level)
+            scopeLines.push(openLines.pop());
+        while (openLines.length < level) {
+            var blockLevel = openLines.length + 1;
+            var indent = options.indentSize / 2 * em;
+            openLines.push({
+                x: this._codeX(blockLevel - 1) + indent + SCOPE_WIDTH / 2 * em,
+                top: box.top,
+            });
+        }
+        openLines.forEach((scopeLine) => {
+            scopeLine.bottom = box.top + LINE_HEIGHT * em;
+        });
+    });
+    return scopeLines.concat(openLines);
+};
+
+/* The runs of text of the segments of a line, which are the <tspan>s of its
+ * <text> */
+SVGRenderer.prototype._lineRuns = function (segments) {
+    var runs = [];
+    segments.forEach((segment) => {
+        if (segment.tex !== undefined) {
+            runs = runs.concat(new MathTypesetter(segment.tex).typeset());
+            return;
+        }
+        if (segment.text === '') return;
+        // The font of text commands, e.g. \texttt, is that of TextRenderer
+        var font = segment.font || {};
+        var run = {
+            text: segment.text,
+            bold: segment.type === 'keyword' || font.weight === 'bold',
+            italic: font.style === 'italic',
+            smallCaps: segment.type === 'funcname' || font.variant === 'small-caps',
+            color: segment.type === 'error' ? ERROR_COLOR : null,
+            scale: 1,
+            shift: 0,
+        };
+        if (font.weight === 'lighter') run.weight = 'lighter';
+        if (font.style === 'oblique') run.oblique = true;
+        if (font.family) run.family = font.family;
+        runs.push(run);
+    });
+
+    // Consecutive runs that look the same share one <tspan>
+    var merged = [];
+    runs.forEach((run) => {
+        var lastRun = merged[merged.length - 1];
+        if (lastRun && RUN_STYLES.every((name) => lastRun[name] === run[name]))
+            lastRun.text += run.text;
+        else
+            merged.push(run);
+    });
+    return merged;
+};
+
+var RUN_STYLES = ['bold', 'weight', 'italic', 'oblique', 'smallCaps', 'family', 'color', 'scale', 'shift'];
+
+function serializeRuns (runs, em) {
+    var offset = 0; // the offset of the baseline, in pixels
+    return runs.map((run) => {
+        var attrs = '';
+        if (run.bold) attrs += ' font-weight="bold"';
+        else if (run.weight) attrs += ` font-weight="${run.weight}"`;
+        if (run.italic) attrs += ' font-style="italic"';
+        else if (run.oblique) attrs += ' font-style="oblique"';
+        if (run.smallCaps) attrs += ' font-variant="small-caps"';
+        if (run.family) attrs += ` font-family="${run.family}"`;
+        if (run.color) attrs += ` fill="${run.color}"`;
+        if (run.scale !== 1) attrs += ` font-size="${formatNumber(run.scale * em)}"`;
+
+        // Scripts are raised or lowered relative to the run before them
+        var runOffset = Number(formatNumber(-run.shift * em));
+        if (runOffset !== offset) attrs += ` dy="${formatNumber(runOffset - offset)}"`;
+        offset = runOffset;
+
+        return `<tspan${attrs}>${escapeXML(run.text)}</tspan>`;
+    }).join('');
+}
+
+/* The estimated width of runs, in pixels */
+function runsWidth (runs, em) {
+    var width = 0;
+    runs.forEach((run) => {
+        width += estimateWidth(run.text, run.bold, run.family) * run.scale * em;
+    });
+    return width;
+}
+
+function formatNumber (number) {
+    return String(Math.round(number * 100) / 100);
+}
+
+var XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+function escapeXML (text) {
+    return String(text).replace(/[&<>"']/g, (ch) => XML_ENTITIES[ch]);
+}
+
+/* The widths of the spaces of Unicode, in em */
+var SPACE_WIDTHS = { '\u2003': 1, '\u2004': 0.33, '\u2005': 0.25, '\u2009': 0.17 };
+
+/* An estimate of the width of text in a serif font, or a generic family, in em */
+function estimateWidth (text, bold, family) {
+    // Every glyph of a monospace font is about as wide as a digit
+    if (family === 'monospace') return Array.from(text).length * 0.6;
+    var width = 0;
+    Array.from(text).forEach((ch) => {
+        width += glyphWidth(ch);
+    });
+    return bold ? width * 1.08 : width;
+}
+
+function glyphWidth (ch) {
+    if (Object.prototype.hasOwnProperty.call(SPACE_WIDTHS, ch)) return SPACE_WIDTHS[ch];
+    if (/[\s\u00a0]/.test(ch)) return 0.25;
+    if (/[.,;:!'|ijlI]/.test(ch)) return 0.28;
+    if (/[()[\]{}/\-`"frt]/.test(ch)) return 0.36;
+    if (/[mwMW@%]/.test(ch)) return 0.9;
+    if (/[A-Z]/.test(ch)) return 0.68;
+    if (/[\x21-\x7e]/.test(ch)) return 0.5;
+    if (/[\u0300-\u036f\u20d0-\u20ff]/.test(ch)) return 0; // combining marks
+    if (/[\u2e80-\u9fff\uac00-\ud7af]/.test(ch)) return 1;
+    return 0.8;
+}
+
+SVGRenderer.SVGRendererOptions = SVGRendererOptions;
+
+module.exports = SVGRenderer;
@@ -0,0 +1,66 @@
+/*
+ * StepController - moves a highlight across the code lines of the DOM element
+ * of rendered algorithms, one line at a time, e.g. to walk through an
+ * algorithm in a lecture.
+ *
+ * The lines are those that are numbered, in their order (the order of
+ * `_numLOC` in Renderer); the lines of the algorithms of an element are
+ * counted one after another. The highlighted line has the class
+ * `ps-highlight` and `aria-current="step"`. A line in a collapsed block (see
+ * folding.js) is shown by expanding the blocks it is in.
+ **/
+var folding = require('./folding');
+
+function StepController (elem) {
+    if (!elem || typeof elem.querySelectorAll !== 'function')
+        throw new ReferenceError('A DOM element is required');
+
+    this.element = elem;
+    this.lines = [].slice.call(elem.querySelectorAll('.ps-line.ps-code:not(.ps-error)'));
+    this.current = 0; // the number of the highlighted line, or 0 if none
+}
+
+/* Highlight the line of a number, from 1, and return the line */
+StepController.prototype.highlight = function (line) {
+    if (!(line >= 1 && line <= this.lines.length) || Math.floor(line) !== line)
+        throw new RangeError(`No line ${line}; expected a number from 1 to ${this.lines.length}`);
+
+    this._unhighlight();
+    this.current = line;
+    var lineElem = this.lines[line - 1];
+    lineElem.classList.add('ps-highlight');
+    lineElem.setAttribute('aria-current', 'step');
+
+    for (var parent = lineElem.parentElement; parent && parent !== this.element; parent = parent.parentElement)
+        if (parent.classList.contains('ps-collapsed')) folding.setCollapsed(parent, false);
+    return lineElem;
+};
+
+/* Highlight the next line, or the first one at first, and return it; at the
+ * last line, there's no next one, and null is returned */
+StepController.prototype.next = function () {
+    if (this.current >= this.lines.length) return null;
+    return this.highlight(this.current + 1);
+};
+
+/* Highlight the previous line and return it; at the first line, or before
+ * any, there's no previous one, and null is returned */
+StepController.prototype.prev = function () {
+    if (this.current <= 1) return null;
+    return this.highlight(this.current - 1);
+};
+
+/* Remove the highlight, so that next() starts from the first line again */
+StepController.prototype.reset = function () {
+    this._unhighlight();
+    this.current = 0;
+};
+
+StepController.prototype._unhighlight = function () {
+    if (this.current === 0) return;
+    var lineElem = this.lines[this.current - 1];
+    lineElem.classList.remove('ps-highlight');
+    lineElem.removeAttribute('aria-current');
+};
+
+module.exports = StepController;
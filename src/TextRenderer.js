@@ -0,0 +1,701 @@
+/*
+ * TextRenderer - Converts a parse tree to plain text
+ *
+ * The output is meant for places where HTML is of no use, e.g. terminals,
+ * commit messages or code review comments. Keywords, function names and
+ * comments can optionally be highlighted with ANSI escape codes.
+ *
+ * Like Renderer, TextRenderer works with lines: each line remembers its
+ * indentation level, its line number (if any) and a list of segments, which
+ * are pieces of text typed as keyword, function name, comment, math or plain
+ * text, with the font that text commands like \textbf give them, if any.
+ * The lines are serialized to a string only at the very end.
+ **/
+var utils = require('./utils');
+var ParseError = require('./ParseError');
+var Context = require('./Context');
+var keywords = require('./keywords');
+var locales = require('./locales');
+var styles = require('./styles');
+
+/* The ANSI SGR sequences used to highlight each type of segment */
+var ANSI_STYLES = {
+    keyword: '\u001b[1m',
+    funcname: '\u001b[36m',
+    comment: '\u001b[2m',
+    math: '\u001b[3m',
+    error: '\u001b[31m',
+};
+var ANSI_RESET = '\u001b[0m';
+
+/*
+ * The fonts of the segments by the font commands and declarations, as changes
+ * to the font: its weight ('bold' or 'lighter'), style ('italic' or
+ * 'oblique'), variant ('small-caps') and generic family ('monospace' or
+ * 'sans-serif'), where null is the default. A segment in the default font has
+ * no font.
+ **/
+var FONT_CHANGES = {
+    normalfont: { family: null },
+    rmfamily: { family: null },
+    sffamily: { family: 'sans-serif' },
+    ttfamily: { family: 'monospace' },
+    bfseries: { weight: 'bold' },
+    mdseries: { weight: null },
+    lfseries: { weight: 'lighter' },
+    upshape: { style: null, variant: null },
+    itshape: { style: 'italic', variant: null },
+    scshape: { style: null, variant: 'small-caps' },
+    slshape: { style: 'oblique', variant: null },
+    textnormal: { family: null },
+    textrm: { family: null },
+    textsf: { family: 'sans-serif' },
+    texttt: { family: 'monospace' },
+    textbf: { weight: 'bold' },
+    textmd: { weight: null },
+    textlf: { weight: 'lighter' },
+    textup: { style: null, variant: null },
+    textit: { style: 'italic', variant: null },
+    textsc: { style: null, variant: 'small-caps' },
+    textsl: { style: 'oblique', variant: null },
+};
+
+/* The font after a font command, or null for the default one */
+function changeFont (font, command) {
+    var change = FONT_CHANGES[command];
+    if (!change) return font;
+
+    var changed = Object.assign({}, font, change);
+    Object.keys(changed).forEach((name) => {
+        if (changed[name] === null) delete changed[name];
+    });
+    return Object.keys(changed).length > 0 ? changed : null;
+}
+
+/* The text of segments, without highlights */
+function plainText (segments) {
+    return segments.map((segment) => segment.text).join('');
+}
+
+function isSameFont (font, otherFont) {
+    var names = ['weight', 'style', 'variant', 'family'];
+    return names.every((name) => (font && font[name]) === (otherFont && otherFont[name]));
+}
+
+/* The ANSI SGR sequence of a font, for the text that has no other highlight */
+function ansiFontStyle (font) {
+    if (!font) return undefined;
+    var style = '';
+    if (font.weight === 'bold') style += ANSI_STYLES.keyword;
+    if (font.style) style += '\u001b[3m';
+    return style || undefined;
+}
+
+/*
+ * TextRendererOptions - represents options that TextRenderer accepts.
+ *
+ * The options are the same as those of RendererOptions, with the exception
+ * of the following:
+ *      indentSize - The number of spaces for each level of indentation. For
+ *          compatibility with RendererOptions, a value in 'em' is also
+ *          accepted and rounded to two spaces per 'em'. Default value: 4.
+ *      color - Whether keywords, function names and comments are highlighted
+ *          with ANSI escape codes, as is bold and italic text. Default value:
+ *          false.
+ *      flushComments - Whether the comments end where the widest line does.
+ *          Default value: false.
+ *
+ **/
+function TextRendererOptions (options) {
+    options = styles.applyStyle(options);
+    this.indentSize =
+        options.indentSize !== undefined ? this._parseIndentSize(options.indentSize) : 4;
+    this.commentDelimiter = options.commentDelimiter !== undefined ? options.commentDelimiter : ' // ';
+    this.flushComments = options.flushComments !== undefined ? options.flushComments : false;
+    this.lineNumberPunc = options.lineNumberPunc !== undefined ? options.lineNumberPunc : ':';
+    this.lineNumber = options.lineNumber !== undefined ? options.lineNumber : false;
+    this.noEnd = options.noEnd !== undefined ? options.noEnd : false;
+    this.locale = locales.resolveLocale(options.locale, options.keywords);
+    this.statementTerminator = options.statementTerminator !== undefined ? options.statementTerminator : '';
+    this.titlePrefix = options.titlePrefix !== undefined ? options.titlePrefix : this.locale.titlePrefix;
+    this.color = options.color !== undefined ? options.color : false;
+    this.context = options.context !== undefined ? options.context : new Context();
+    if (options.captionCount !== undefined)
+        this.context.resetCaptionCount(options.captionCount);
+}
+
+TextRendererOptions.prototype._parseIndentSize = function (indentSize) {
+    if (!utils.isString(indentSize))
+        return Math.max(0, Math.round(indentSize));
+
+    indentSize = indentSize.trim();
+    if (indentSize.indexOf('em') !== indentSize.length - 2)
+        throw new TypeError('Unit error; expected `em` suffix');
+
+    return Math.max(0, Math.round(Number(indentSize.substring(0, indentSize.length - 2)) * 2));
+};
+
+function TextRenderer (parser, options) {
+    this._root = parser.parse();
+    this._options = new TextRendererOptions(options);
+    this._lines = [];
+    this._line = null;
+    this._blockLevel = 0;
+    this._numLOC = 0;
+    this._inComment = false;
+    this._inKeyword = false;
+    this._font = null; // the font of the text being built (see FONT_CHANGES)
+    this._captionNumber = null; // the number of the caption being built
+}
+
+TextRenderer.prototype.toText = function () {
+    this._lines = [];
+    this._line = null;
+    this._buildTree(this._root);
+    this._resolveRefs();
+
+    // The width of the gutter is decided by the widest line number
+    var numWidth = 0;
+    if (this._options.lineNumber) {
+        var punc = this._options.lineNumberPunc;
+        this._lines.forEach((line) => {
+            if (line.number === null) return;
+            numWidth = Math.max(numWidth, `${line.number}${punc}`.length + 1);
+        });
+    }
+
+    // The flushed comments end where the widest line does, a space after
+    // their code at least
+    var width = 0;
+    if (this._options.flushComments) {
+        this._lines.forEach((line) => {
+            var split = this._splitLine(line, numWidth);
+            var commentWidth = split.comment.replace(/\s+$/, '').length;
+            width = Math.max(width, split.code.replace(/\s+$/, '').length + (commentWidth > 0 ? commentWidth + 1 : 0));
+        });
+    }
+
+    return this._lines
+        .map((line) => this._serializeLine(line, numWidth, width))
+        .join('\n')
+        // Keep the padding of the first line number
+        .replace(/^\n+|\s+$/g, '');
+};
+
+/* Fill in the references, now that all the labels are defined */
+TextRenderer.prototype._resolveRefs = function () {
+    var context = this._options.context;
+    this._lines.forEach((line) => {
+        line.segments.forEach((segment) => {
+            if (segment.ref === undefined) return;
+            var label = context.lookupLabel(segment.ref);
+            segment.text = label ? String(label.number) : '??';
+        });
+    });
+};
+
+/* The text before the segments of a line: its number and indentation */
+TextRenderer.prototype._linePrefix = function (line, numWidth) {
+    var text = '';
+
+    // Only lines of code are numbered; a code line continued by `\\` keeps
+    // the padding so that it lines up with the line above it.
+    if (line.code && numWidth > 0) {
+        var num = line.number !== null ? line.number + this._options.lineNumberPunc : '';
+        text += `${' '.repeat(numWidth - num.length - 1)}${num} `;
+    }
+
+    return text + ' '.repeat(line.level * this._options.indentSize);
+};
+
+/* The plain text of a line, as its code and its flushed comment, if any */
+TextRenderer.prototype._splitLine = function (line, numWidth) {
+    var commentStart = line.commentStart !== undefined ? line.commentStart : line.segments.length;
+    return {
+        code: this._linePrefix(line, numWidth) + plainText(line.segments.slice(0, commentStart)),
+        comment: plainText(line.segments.slice(commentStart)),
+    };
+};
+
+/* Serialize a line, whose flushed comment, if any, ends at `width` */
+TextRenderer.prototype._serializeLine = function (line, numWidth, width) {
+    var text = this._linePrefix(line, numWidth);
+    if (line.commentStart === undefined)
+        return (text + this._serializeSegments(line.segments)).replace(/\s+$/, '');
+
+    var split = this._splitLine(line, numWidth);
+    var padding = width - split.code.length - split.comment.replace(/\s+$/, '').length;
+    text += this._serializeSegments(line.segments.slice(0, line.commentStart));
+    text += ' '.repeat(Math.max(0, padding));
+    text += this._serializeSegments(line.segments.slice(line.commentStart));
+    return text.replace(/\s+$/, '');
+};
+
+TextRenderer.prototype._serializeSegments = function (segments) {
+    // Consecutive segments of the same type and font share one escape
+    // sequence
+    var runs = [];
+    segments.forEach((segment) => {
+        var lastRun = runs[runs.length - 1];
+        if (lastRun && lastRun.type === segment.type && isSameFont(lastRun.font, segment.font))
+            lastRun.text += segment.text;
+        else
+            runs.push({ type: segment.type, text: segment.text, font: segment.font });
+    });
+
+    var color = this._options.color;
+    return runs.map((run) => {
+        var style = ANSI_STYLES[run.type] || ansiFontStyle(run.font);
+        if (!color || !style || run.text === '') return run.text;
+        return style + run.text + ANSI_RESET;
+    }).join('');
+};
+
+/* Open a new line, numbered if it is code and not `unnumbered` (see Renderer) */
+TextRenderer.prototype._newLine = function (unnumbered) {
+    var isCode = this._blockLevel > 0;
+    this._line = {
+        code: isCode,
+        level: isCode ? this._blockLevel - 1 : 0,
+        number: isCode && !unnumbered ? ++this._numLOC : null,
+        segments: [],
+    };
+    this._lines.push(this._line);
+};
+
+/* Continue the current line on a new line, e.g. for `\\` in text */
+TextRenderer.prototype._breakLine = function () {
+    var lastLine = this._line;
+    this._line = {
+        code: lastLine.code,
+        level: lastLine.level,
+        number: null,
+        segments: [],
+    };
+    this._lines.push(this._line);
+};
+
+TextRenderer.prototype._blankLine = function () {
+    if (this._lines.length === 0) return;
+    this._lines.push({ code: false, level: 0, number: null, segments: [] });
+};
+
+TextRenderer.prototype._put = function (type, text) {
+    // Text may be typed before any line is opened, e.g. a comment that
+    // directly follows `\begin{algorithmic}`
+    if (!this._line) this._newLine();
+    if (this._inKeyword) type = 'keyword';
+    if (this._inComment) type = 'comment';
+    var segment = { type: type, text: text };
+    if (this._font) segment.font = this._font;
+    this._line.segments.push(segment);
+};
+
+/* Type the whitespace between two atoms; like HTML, runs of whitespace
+ * collapse into one and whitespace at the start of a line is dropped */
+TextRenderer.prototype._typeSpace = function () {
+    var segments = this._line ? this._line.segments : [];
+    if (segments.length === 0) return;
+    if (/\s$/.test(segments[segments.length - 1].text)) return;
+    this._put('text', ' ');
+};
+
+/* A label takes the number of the current line, or that of the algorithm in
+ * a caption */
+TextRenderer.prototype._defineLabel = function (name) {
+    var number = this._captionNumber !== null ? this._captionNumber : this._numLOC;
+    this._options.context.defineLabel(name, number);
+};
+
+TextRenderer.prototype._typeRef = function (name) {
+    this._put('text', '??');
+    this._line.segments[this._line.segments.length - 1].ref = name;
+};
+
+/* Type math as its source; the segment keeps the TeX for SVGRenderer, which
+ * typesets it, even if it is typed as a comment */
+TextRenderer.prototype._typeMath = function (tex, displayMode) {
+    this._put('math', displayMode ? `$$${tex}$$` : `$${tex}$`);
+    var segment = this._line.segments[this._line.segments.length - 1];
+    segment.tex = tex;
+    segment.displayMode = !!displayMode;
+};
+
+TextRenderer.prototype._typeKeyword = function (keyword) {
+    this._put('keyword', keyword);
+};
+
+/*
+ * Type a keyword of the keyword table, e.g. 'endif' for 'end if', together
+ * with the text before and after it, e.g. ' ' after 'if'.
+ **/
+TextRenderer.prototype._typeKeywordOf = function (name, before, after) {
+    // An empty keyword is left out, together with the spaces around it
+    var isRedefined = this._root.keywords && this._root.keywords[name];
+    if (!isRedefined && keywords.keywordText(name, this._options.locale.keywords) === '') return;
+
+    if (before) this._typeKeyword(before);
+    this._typeKeywordText(name);
+    if (after) this._typeKeyword(after);
+};
+
+TextRenderer.prototype._typeKeywordText = function (name) {
+    // A keyword that is redefined is typed from its text
+    var textNode = this._root.keywords && this._root.keywords[name];
+    if (textNode) {
+        var inKeyword = this._inKeyword;
+        this._inKeyword = true;
+        this._buildText(textNode.children, null);
+        this._inKeyword = inKeyword;
+        return;
+    }
+
+    var keyword = this._options.locale.keywords[name];
+    if (!Array.isArray(keyword)) {
+        this._typeKeyword(keyword);
+        return;
+    }
+    keyword.forEach((part, pi) => {
+        if (pi > 0) this._typeKeyword(' ');
+        this._typeKeywordText(part);
+    });
+};
+
+/* End a line of code that is a statement, unless it is empty, e.g. with ';' */
+TextRenderer.prototype._endStatement = function (isEmpty) {
+    var terminator = this._options.statementTerminator;
+    if (terminator && !isEmpty && this._blockLevel > 0) this._typeText(terminator);
+};
+
+TextRenderer.prototype._typeFuncName = function (funcName) {
+    this._put('funcname', funcName);
+};
+
+TextRenderer.prototype._typeText = function (text) {
+    this._put('text', text);
+};
+
+TextRenderer.prototype._buildTreeForAllChildren = function (node) {
+    var children = node.children;
+    for (var ci = 0; ci < children.length; ci++)
+        this._buildTree(children[ci]);
+};
+
+// The comment (and label) nodes at the beginning of blockNode are comments
+// for controls. Unlike Renderer, the parse tree is left untouched, so the
+// block is built from the first child that is not such a comment.
+TextRenderer.prototype._buildBlock = function (blockNode) {
+    var children = blockNode.children;
+    var ci = 0;
+    for (; ci < children.length &&
+           (children[ci].type === 'comment' || children[ci].type === 'label'); ci++)
+        this._buildTree(children[ci]);
+
+    this._blockLevel++;
+    for (; ci < children.length; ci++)
+        this._buildTree(children[ci]);
+    this._blockLevel--;
+};
+
+TextRenderer.prototype._buildTree = function (node) {
+    var ci; var child; var textNode;
+    switch (node.type) {
+        // ----------------- Groups -------------------------------------
+        case 'root':
+            // Separate the environments with a blank line
+            for (ci = 0; ci < node.children.length; ci++) {
+                this._blankLine();
+                this._buildTree(node.children[ci]);
+            }
+            break;
+        case 'algorithm':
+            // Like Renderer, only the last caption is displayed
+            var lastCaptionNode;
+            for (ci = 0; ci < node.children.length; ci++) {
+                child = node.children[ci];
+                if (child.type === 'caption') lastCaptionNode = child;
+            }
+            if (lastCaptionNode) this._buildTree(lastCaptionNode);
+            for (ci = 0; ci < node.children.length; ci++) {
+                child = node.children[ci];
+                if (child.type === 'caption') continue;
+                this._buildTree(child);
+            }
+            break;
+        case 'algorithmic':
+            this._line = null;
+            this._numLOC = 0;
+            this._buildTreeForAllChildren(node);
+            break;
+        case 'block':
+            this._blockLevel++;
+            this._buildTreeForAllChildren(node);
+            this._blockLevel--;
+            break;
+        // ----------------- Mixture (Groups + Lines) -------------------
+        case 'function':
+            var funcType = node.value.type.toLowerCase();
+            this._newLine();
+            this._typeKeywordOf(funcType, '', ' ');
+            this._typeFuncName(node.value.name);
+            this._typeText('(');
+            this._buildTree(node.children[0]);
+            this._typeText(')');
+            this._buildBlock(node.children[1]);
+            if (!this._options.noEnd) {
+                this._newLine();
+                this._typeKeywordOf(`end${funcType}`);
+            }
+            break;
+        case 'if':
+            this._newLine();
+            this._typeKeywordOf('if', '', ' ');
+            this._buildTree(node.children[0]);
+            this._typeKeywordOf('then', ' ');
+            this._buildBlock(node.children[1]);
+
+            for (var ei = 0; ei < node.value.numElif; ei++) {
+                this._newLine();
+                this._typeKeywordOf('elsif', '', ' ');
+                this._buildTree(node.children[2 + 2 * ei]);
+                this._typeKeywordOf('then', ' ');
+                this._buildBlock(node.children[2 + 2 * ei + 1]);
+            }
+
+            if (node.value.hasElse) {
+                this._newLine();
+                this._typeKeywordOf('else');
+                this._buildBlock(node.children[node.children.length - 1]);
+            }
+
+            if (!this._options.noEnd) {
+                this._newLine();
+                this._typeKeywordOf('endif');
+            }
+            break;
+        case 'loop':
+            var loopType = node.value;
+            this._newLine();
+            if (loopType !== 'loop') {
+                this._typeKeywordOf(loopType, '', ' ');
+                this._buildTree(node.children[0]);
+                this._typeKeywordOf('dosuffix', ' ');
+            }
+            else {
+                this._typeKeywordOf(loopType);
+            }
+            this._buildBlock(node.children[node.children.length - 1]);
+            if (!this._options.noEnd) {
+                this._newLine();
+                this._typeKeywordOf(keywords.END_OF_LOOP[loopType]);
+            }
+            break;
+        case 'repeat':
+            this._newLine();
+            this._typeKeywordOf(node.value);
+            this._buildBlock(node.children[0]);
+            this._newLine();
+            this._typeKeywordOf(keywords.END_OF_LOOP[node.value], '', ' ');
+            this._buildTree(node.children[1]);
+            break;
+        case 'upon':
+            this._newLine();
+            this._typeKeywordOf('upon', '', ' ');
+            this._buildTree(node.children[0]);
+            this._buildBlock(node.children[1]);
+            if (!this._options.noEnd) {
+                this._newLine();
+                this._typeKeywordOf('endupon');
+            }
+            break;
+        case 'switch':
+            this._newLine();
+            this._typeKeywordOf('switch', '', ' ');
+            this._buildTree(node.children[0]);
+            this._typeKeywordOf('dosuffix', ' ');
+            this._buildBlock(node.children[1]);
+            if (!this._options.noEnd) {
+                this._newLine();
+                this._typeKeywordOf('endswitch');
+            }
+            break;
+        case 'case':
+            this._newLine();
+            this._typeKeywordOf('case', '', ' ');
+            this._buildTree(node.children[0]);
+            this._typeKeywordOf('dosuffix', ' ');
+            this._buildBlock(node.children[1]);
+            break;
+        case 'default':
+            this._newLine();
+            this._typeKeywordOf('default');
+            this._typeKeywordOf('dosuffix', ' ');
+            this._buildBlock(node.children[0]);
+            break;
+        case 'custom':
+            // A block defined by Parser.defineBlock
+            var custom = node.value;
+            this._newLine();
+            this._typeKeyword(custom.args > 0 ? `${custom.keyword} ` : custom.keyword);
+            for (ci = 0; ci < custom.args; ci++) {
+                if (ci > 0) this._typeText(', ');
+                this._buildTree(node.children[ci]);
+            }
+            if (custom.suffix) this._typeKeyword(` ${custom.suffix}`);
+            this._buildBlock(node.children[custom.args]);
+            if (!this._options.noEnd && custom.endKeyword) {
+                this._newLine();
+                this._typeKeyword(custom.endKeyword);
+            }
+            break;
+        // ------------------- Lines -------------------
+        case 'command':
+            this._newLine();
+            this._typeKeywordOf(node.value);
+            this._endStatement(false);
+            break;
+        case 'caption':
+            this._newLine();
+            this._captionNumber = this._options.context.nextCaptionNumber();
+            this._typeKeyword(`${this._options.titlePrefix} ${this._captionNumber}: `);
+            this._buildTree(node.children[0]);
+            this._captionNumber = null;
+            break;
+        case 'comment':
+            textNode = node.children[0];
+            // A standalone comment of algorithm2e, i.e. \tcc, starts its line
+            // without the space before the delimiter, as does a flushed
+            // comment, which is apart from its line anyway
+            var delimiter = this._options.commentDelimiter;
+            var flushComment = this._options.flushComments;
+            if (node.value === 'standalone' || flushComment) delimiter = delimiter.replace(/^\s+/, '');
+            this._put('comment', delimiter);
+            // The first comment of a line is flushed with whatever follows it
+            if (flushComment && this._line.commentStart === undefined)
+                this._line.commentStart = this._line.segments.length - 1;
+            this._inComment = true;
+            this._buildTree(textNode);
+            this._inComment = false;
+            break;
+        case 'statement':
+            this._newLine();
+            if (node.value !== 'state') this._typeKeywordOf(node.value, '', ' ');
+            this._buildTree(node.children[0]);
+            this._endStatement(node.value === 'state' && node.children[0].children.length === 0);
+            break;
+        case 'assertion':
+            this._newLine();
+            this._typeKeywordOf(node.value, '', ' ');
+            this._buildTree(node.children[0]);
+            this._endStatement(false);
+            break;
+        case 'label':
+            // A label on its own names the line before it
+            this._defineLabel(node.value);
+            break;
+        case 'error':
+            // The input that could not be parsed (in tolerant mode) is shown
+            // as it is, followed by the error, on a line without a number
+            this._newLine(true);
+            var errorSource = node.value.source.replace(/\s+/g, ' ').trim();
+            if (errorSource) this._typeText(`${errorSource} `);
+            this._put('error', `<-- ${node.value.message}`);
+            break;
+        // ------------------- Text -------------------
+        case 'open-text':
+        case 'close-text':
+            this._buildText(node.children, null);
+            break;
+        default:
+            throw new ParseError(`Unexpected ParseNode of type ${node.type}`);
+    }
+};
+
+/*
+ * Type the children of a text node. The fonts of the font commands and
+ * declarations are kept in the segments, to the end of their group, and
+ * \uppercase and \lowercase are carried over as `textCase`; sizing
+ * declarations have no meaning in plain text and are dropped.
+ **/
+TextRenderer.prototype._buildText = function (nodes, textCase) {
+    var outerFont = this._font;
+    for (var ni = 0; ni < nodes.length; ni++) {
+        var node = nodes[ni];
+        var text = node.value;
+
+        if (node.whitespace) this._typeSpace();
+
+        switch (node.type) {
+            case 'ordinary':
+                this._typeText(this._applyCase(text, textCase));
+                break;
+            case 'math':
+                this._typeMath(text, node.displayMode);
+                break;
+            case 'cond-symbol':
+                this._typeKeywordOf(text.toLowerCase());
+                break;
+            case 'special':
+                if (text === '\\\\') {
+                    this._breakLine();
+                    break;
+                }
+                this._typeText(text.substring(1));
+                break;
+            case 'text-symbol':
+                this._typeText({ 'textbackslash': '\\' }[text]);
+                break;
+            case 'quote-symbol':
+                this._typeText({
+                    '`': '‘',
+                    '``': '“',
+                    '\'': '’',
+                    '\'\'': '”',
+                }[text]);
+                break;
+            case 'call':
+                this._typeFuncName(text);
+                this._typeText('(');
+                this._buildText(node.children[0].children, textCase);
+                this._typeText(')');
+                break;
+            case 'close-text':
+                this._buildText(node.children, textCase);
+                break;
+            case 'label':
+                this._defineLabel(text);
+                break;
+            case 'ref':
+                this._typeRef(text);
+                break;
+            case 'font-dclr':
+                this._font = changeFont(this._font, text);
+                break;
+            case 'sizing-dclr':
+                break;
+            case 'font-cmd':
+                // The argument of a font command is the close-text that follows
+                var argNode = nodes[ni + 1];
+                if (!argNode || argNode.type !== 'close-text') break;
+                ni++;
+                if (argNode.whitespace) this._typeSpace();
+                var innerCase = text === 'uppercase' || text === 'lowercase' ? text : textCase;
+                var font = this._font;
+                this._font = changeFont(font, text);
+                this._buildText(argNode.children, innerCase);
+                this._font = font;
+                break;
+            default:
+                throw new ParseError(`Unexpected ParseNode of type ${node.type}`);
+        }
+    }
+    this._font = outerFont;
+};
+
+TextRenderer.prototype._applyCase = function (text, textCase) {
+    if (textCase === 'uppercase') return text.toUpperCase();
+    if (textCase === 'lowercase') return text.toLowerCase();
+    return text;
+};
+
+module.exports = TextRenderer;
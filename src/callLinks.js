@@ -0,0 +1,46 @@
+/*
+ * The links of the calls by \CALL to the definitions of their functions (see
+ * the `functionURLs` option of RendererOptions), in the DOM of a page.
+ *
+ * A call is a link of the class `ps-call`, whose `data-call` is the name of
+ * the function, to the id of the name where the function is defined, which
+ * may be in another algorithm of the page, or to a URL elsewhere.
+ **/
+
+/* The name of the function that a link of a call points to in the page */
+function definitionOf (link) {
+    var href = link.getAttribute('href');
+    if (!href || href[0] !== '#') return null;
+    return link.ownerDocument.getElementById(href.substring(1));
+}
+
+/*
+ * Highlight the definition of a function, i.e. give its name the class
+ * `ps-call-target`, while a link of a call to it in an element is hovered or
+ * focused.
+ **/
+function highlightDefinitions (elem) {
+    var highlighted = null;
+
+    var unhighlight = () => {
+        if (highlighted) highlighted.classList.remove('ps-call-target');
+        highlighted = null;
+    };
+    var highlight = (event) => {
+        unhighlight();
+        var link = event.target.closest('a.ps-call');
+        if (!link || !elem.contains(link)) return;
+
+        highlighted = definitionOf(link);
+        if (highlighted) highlighted.classList.add('ps-call-target');
+    };
+
+    elem.addEventListener('mouseover', highlight);
+    elem.addEventListener('focusin', highlight);
+    elem.addEventListener('mouseout', unhighlight);
+    elem.addEventListener('focusout', unhighlight);
+}
+
+module.exports = {
+    highlightDefinitions: highlightDefinitions,
+};
@@ -0,0 +1,113 @@
+/*
+ * Folding the blocks of algorithms rendered in interactive mode (see the
+ * `interactive` option of RendererOptions), in the DOM of a page.
+ *
+ * The code line that opens a foldable block has a toggle, i.e. a button of the
+ * class `ps-toggle`, and the block, of the class `ps-foldable`, begins with a
+ * placeholder line, which is the only one shown while the block is collapsed,
+ * i.e. of the class `ps-collapsed`.
+ **/
+
+function isFoldable (elem) {
+    return elem.classList.contains('ps-block') && elem.classList.contains('ps-foldable');
+}
+
+/* The toggle of a foldable block, which is in the line right before it */
+function toggleOf (block) {
+    var line = block.previousElementSibling;
+    return line ? line.querySelector('.ps-toggle') : null;
+}
+
+/* The foldable block of a toggle */
+function blockOf (toggle) {
+    var line = toggle.closest('.ps-line');
+    var block = line && line.nextElementSibling;
+    return block && isFoldable(block) ? block : null;
+}
+
+/* Collapse or expand a foldable block */
+function setCollapsed (block, collapsed) {
+    if (collapsed) block.classList.add('ps-collapsed');
+    else block.classList.remove('ps-collapsed');
+
+    var toggle = toggleOf(block);
+    if (toggle) toggle.setAttribute('aria-expanded', String(!collapsed));
+}
+
+/*
+ * The foldable blocks of an element, which may be one itself, with their
+ * depths, i.e. the numbers of the foldable blocks of the element they are in,
+ * as [{ block, depth }].
+ **/
+function foldableBlocks (elem) {
+    var blocks = [].slice.call(elem.querySelectorAll('.ps-block.ps-foldable'));
+    if (isFoldable(elem)) blocks.unshift(elem);
+
+    return blocks.map((block) => {
+        var depth = 0;
+        for (var parent = block; parent !== elem; parent = parent.parentElement)
+            if (isFoldable(parent.parentElement)) depth++;
+        return { block: block, depth: depth };
+    });
+}
+
+/*
+ * Collapse the foldable blocks of an element, e.g. the one that render()
+ * returns or a block, that are in at least `depth` foldable blocks of it, and
+ * expand the others. By default, the depth is 0, i.e. all the blocks are
+ * collapsed; at depth 1, the bodies of the functions of an algorithm are shown,
+ * but not the blocks in them.
+ **/
+function collapseBlocks (elem, depth) {
+    if (depth === undefined) depth = 0;
+    foldableBlocks(elem).forEach((entry) => {
+        setCollapsed(entry.block, entry.depth >= depth);
+    });
+}
+
+/* Expand all the foldable blocks of an element, which may be one itself */
+function expandBlocks (elem) {
+    foldableBlocks(elem).forEach((entry) => {
+        setCollapsed(entry.block, false);
+    });
+}
+
+/*
+ * Make the toggles of an element, e.g. that of renderToString put in a page,
+ * fold their blocks: by a click, or by Enter and Space on a focused toggle. The
+ * arrow keys collapse (toward the start of the line) or expand (toward its end)
+ * the block of a focused toggle. A click on the placeholder of a collapsed
+ * block expands it.
+ **/
+function enableFolding (elem) {
+    elem.addEventListener('click', (event) => {
+        var target = event.target.closest('.ps-toggle, .ps-fold-placeholder');
+        if (!target || !elem.contains(target)) return;
+
+        if (target.classList.contains('ps-toggle')) {
+            var block = blockOf(target);
+            if (block) setCollapsed(block, !block.classList.contains('ps-collapsed'));
+        }
+        else {
+            setCollapsed(target.parentElement, false);
+        }
+    });
+
+    elem.addEventListener('keydown', (event) => {
+        if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+        var toggle = event.target.closest('.ps-toggle');
+        var block = toggle && elem.contains(toggle) ? blockOf(toggle) : null;
+        if (!block) return;
+
+        var isRTL = getComputedStyle(toggle).direction === 'rtl';
+        setCollapsed(block, (event.key === 'ArrowLeft') !== isRTL);
+        event.preventDefault();
+    });
+}
+
+module.exports = {
+    setCollapsed: setCollapsed,
+    collapseBlocks: collapseBlocks,
+    expandBlocks: expandBlocks,
+    enableFolding: enableFolding,
+};
@@ -0,0 +1,99 @@
+/*
+ * The keywords of pseudocode as they are displayed, e.g. 'if' and 'then' for
+ * \IF. They are named after the macros of the algorithmic package that hold
+ * them, e.g. `require` for \algorithmicrequire, and can be redefined in the
+ * same way, e.g. `\renewcommand{\algorithmicrequire}{\textbf{Input:}}`.
+ *
+ * A keyword given as an array is made up of other keywords separated by
+ * spaces, e.g. 'end if', so that it follows their redefinitions.
+ **/
+var KEYWORDS = {
+    // pre- and post-conditions
+    require: 'Require:',
+    ensure: 'Ensure:',
+    input: 'Input:',
+    output: 'Output:',
+    // blocks
+    end: 'end',
+    if: 'if',
+    then: 'then',
+    else: 'else',
+    elsif: ['else', 'if'],
+    endif: ['end', 'if'],
+    for: 'for',
+    forall: 'for all',
+    foreach: 'for each',
+    do: 'do',
+    // the `do` after the conditions of \FOR, \WHILE and \SWITCH, apart from
+    // the `do` of \DO, so that a style can leave out only the former
+    dosuffix: ['do'],
+    endfor: ['end', 'for'],
+    while: 'while',
+    endwhile: ['end', 'while'],
+    loop: 'loop',
+    endloop: ['end', 'loop'],
+    repeat: 'repeat',
+    until: 'until',
+    dowhile: ['while'],
+    upon: 'upon',
+    endupon: ['end', 'upon'],
+    switch: 'switch',
+    case: 'case',
+    default: 'default',
+    endswitch: ['end', 'switch'],
+    function: 'function',
+    endfunction: ['end', 'function'],
+    procedure: 'procedure',
+    endprocedure: ['end', 'procedure'],
+    // assertions
+    assert: 'assert',
+    invariant: 'invariant',
+    // statements and commands
+    print: 'print',
+    return: 'return',
+    break: 'break',
+    continue: 'continue',
+    // symbols in conditions
+    and: 'and',
+    or: 'or',
+    not: 'not',
+    true: 'true',
+    false: 'false',
+    to: 'to',
+    downto: 'downto',
+};
+
+/*
+ * The keywords that close the loops, by the names of the loops. They are
+ * also the names of the commands that close them, e.g. \ENDFOR.
+ **/
+var END_OF_LOOP = {
+    for: 'endfor',
+    forall: 'endfor',
+    foreach: 'endfor',
+    while: 'endwhile',
+    loop: 'endloop',
+    repeat: 'until',
+    do: 'dowhile',
+};
+
+/* The prefix of the macros that hold the keywords */
+var MACRO_PREFIX = 'algorithmic';
+
+/*
+ * The text of a keyword in a keyword table, by default the English one, e.g.
+ * 'end if' for `endif`
+ **/
+function keywordText (name, table) {
+    table = table || KEYWORDS;
+    var keyword = table[name];
+    if (Array.isArray(keyword)) return keyword.map((part) => keywordText(part, table)).join(' ');
+    return keyword;
+}
+
+module.exports = {
+    KEYWORDS: KEYWORDS,
+    END_OF_LOOP: END_OF_LOOP,
+    MACRO_PREFIX: MACRO_PREFIX,
+    keywordText: keywordText,
+};
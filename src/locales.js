@@ -0,0 +1,276 @@
+/*
+ * The keywords of pseudocode in other languages than English.
+ *
+ * A locale is given by
+ *      keywords - The keywords in the language, by the names of the keyword
+ *          table (see keywords.js). The keywords that are not given are
+ *          English. A compound keyword, e.g. `endif`, is made up of its parts
+ *          unless it is given, e.g. as a single word.
+ *      titlePrefix - The prefix in the title of an algorithm, e.g.
+ *          'Algorithmus'. Default value: 'Algorithm'.
+ *      direction - The direction of the text, 'ltr' or 'rtl'.
+ *          Default value: 'ltr'.
+ *      labels - The words that screen readers announce in the accessible
+ *          mode of Renderer, by their names: `line` before a line number and
+ *          `comment` before a comment; and `block`, the name of the toggle of
+ *          a block in interactive mode. Default value: those in English.
+ **/
+var keywords = require('./keywords');
+
+var LOCALES = {
+    en: {
+        titlePrefix: 'Algorithm',
+        labels: { line: 'Line', comment: 'Comment', block: 'Block' },
+        keywords: {},
+    },
+    de: {
+        titlePrefix: 'Algorithmus',
+        labels: { line: 'Zeile', comment: 'Kommentar', block: 'Block' },
+        keywords: {
+            require: 'Vorbedingung:',
+            ensure: 'Nachbedingung:',
+            input: 'Eingabe:',
+            output: 'Ausgabe:',
+            end: 'ende',
+            if: 'falls',
+            then: 'dann',
+            else: 'sonst',
+            for: 'für',
+            forall: 'für alle',
+            foreach: 'für jedes',
+            do: 'tue',
+            while: 'solange',
+            loop: 'schleife',
+            repeat: 'wiederhole',
+            until: 'bis',
+            upon: 'bei',
+            switch: 'wähle',
+            case: 'fall',
+            default: 'sonst',
+            function: 'Funktion',
+            procedure: 'Prozedur',
+            assert: 'prüfe',
+            invariant: 'Invariante',
+            print: 'gib aus',
+            return: 'gib zurück',
+            break: 'abbrechen',
+            continue: 'weiter',
+            and: 'und',
+            or: 'oder',
+            not: 'nicht',
+            true: 'wahr',
+            false: 'falsch',
+            to: 'bis',
+            downto: 'abwärts bis',
+        },
+    },
+    fr: {
+        titlePrefix: 'Algorithme',
+        labels: { line: 'Ligne', comment: 'Commentaire', block: 'Bloc' },
+        keywords: {
+            require: 'Précondition :',
+            ensure: 'Postcondition :',
+            input: 'Entrée :',
+            output: 'Sortie :',
+            end: 'fin',
+            if: 'si',
+            then: 'alors',
+            else: 'sinon',
+            for: 'pour',
+            forall: 'pour tout',
+            foreach: 'pour chaque',
+            do: 'faire',
+            while: 'tant que',
+            loop: 'boucler',
+            repeat: 'répéter',
+            until: 'jusqu\'à',
+            upon: 'lors de',
+            switch: 'selon',
+            case: 'cas',
+            default: 'par défaut',
+            function: 'fonction',
+            procedure: 'procédure',
+            assert: 'vérifier',
+            invariant: 'invariant',
+            print: 'afficher',
+            return: 'retourner',
+            break: 'sortir',
+            continue: 'continuer',
+            and: 'et',
+            or: 'ou',
+            not: 'non',
+            true: 'vrai',
+            false: 'faux',
+            to: 'à',
+            downto: 'en descendant à',
+        },
+    },
+    es: {
+        titlePrefix: 'Algoritmo',
+        labels: { line: 'Línea', comment: 'Comentario', block: 'Bloque' },
+        keywords: {
+            require: 'Requiere:',
+            ensure: 'Asegura:',
+            input: 'Entrada:',
+            output: 'Salida:',
+            end: 'fin',
+            if: 'si',
+            then: 'entonces',
+            else: 'sino',
+            for: 'para',
+            forall: 'para todo',
+            foreach: 'para cada',
+            do: 'hacer',
+            while: 'mientras',
+            loop: 'bucle',
+            repeat: 'repetir',
+            until: 'hasta que',
+            upon: 'al recibir',
+            switch: 'según',
+            case: 'caso',
+            default: 'en otro caso',
+            function: 'función',
+            procedure: 'procedimiento',
+            assert: 'afirmar',
+            invariant: 'invariante',
+            print: 'imprimir',
+            return: 'devolver',
+            break: 'salir',
+            continue: 'continuar',
+            and: 'y',
+            or: 'o',
+            not: 'no',
+            true: 'verdadero',
+            false: 'falso',
+            to: 'hasta',
+            downto: 'bajando hasta',
+        },
+    },
+    zh: {
+        titlePrefix: '算法',
+        labels: { line: '行', comment: '注释', block: '代码块' },
+        // Chinese words are not separated by spaces, so the compound
+        // keywords are given as whole words
+        keywords: {
+            require: '前置条件：',
+            ensure: '后置条件：',
+            input: '输入：',
+            output: '输出：',
+            end: '结束',
+            if: '如果',
+            then: '那么',
+            else: '否则',
+            elsif: '否则如果',
+            endif: '结束如果',
+            for: '对于',
+            forall: '对于所有',
+            foreach: '对于每个',
+            do: '执行',
+            endfor: '结束循环',
+            while: '当',
+            endwhile: '结束循环',
+            loop: '循环',
+            endloop: '结束循环',
+            repeat: '重复',
+            until: '直到',
+            upon: '当收到',
+            endupon: '结束',
+            switch: '选择',
+            case: '情况',
+            default: '默认',
+            endswitch: '结束选择',
+            function: '函数',
+            endfunction: '结束函数',
+            procedure: '过程',
+            endprocedure: '结束过程',
+            assert: '断言',
+            invariant: '不变式',
+            print: '打印',
+            return: '返回',
+            break: '跳出',
+            continue: '继续',
+            and: '且',
+            or: '或',
+            not: '非',
+            true: '真',
+            false: '假',
+            to: '到',
+            downto: '递减到',
+        },
+    },
+    ar: {
+        titlePrefix: 'خوارزمية',
+        labels: { line: 'سطر', comment: 'تعليق', block: 'كتلة' },
+        direction: 'rtl',
+        keywords: {
+            require: 'المتطلبات:',
+            ensure: 'الضمانات:',
+            input: 'المدخلات:',
+            output: 'المخرجات:',
+            end: 'نهاية',
+            if: 'إذا',
+            then: 'عندئذ',
+            else: 'وإلا',
+            for: 'من أجل',
+            forall: 'لكل',
+            foreach: 'لكل',
+            do: 'نفذ',
+            while: 'طالما',
+            loop: 'كرر دائمًا',
+            repeat: 'كرر',
+            until: 'حتى',
+            upon: 'عند',
+            switch: 'اختر',
+            case: 'حالة',
+            default: 'غير ذلك',
+            function: 'دالة',
+            procedure: 'إجراء',
+            assert: 'تحقق',
+            invariant: 'ثابت',
+            print: 'اطبع',
+            return: 'أرجع',
+            break: 'اخرج',
+            continue: 'تابع',
+            and: 'و',
+            or: 'أو',
+            not: 'ليس',
+            true: 'صحيح',
+            false: 'خطأ',
+            to: 'إلى',
+            downto: 'تنازليًا إلى',
+        },
+    },
+};
+
+var DEFAULT_LABELS = LOCALES.en.labels;
+
+/*
+ * Resolve the `locale` option, i.e. the code of a bundled locale, e.g. 'de',
+ * or a custom locale, into { keywords, titlePrefix, direction, labels }, where
+ * `keywords` is a complete keyword table. The keywords given by `overrides`,
+ * e.g. those of the `keywords` option, take precedence over the locale.
+ **/
+function resolveLocale (locale, overrides) {
+    if (locale === undefined || locale === null) locale = 'en';
+    if (typeof locale === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(LOCALES, locale))
+            throw new TypeError(`Unknown locale \`${locale}\`; expected one of ${Object.keys(LOCALES).join(', ')}`);
+        locale = LOCALES[locale];
+    }
+
+    var direction = locale.direction !== undefined ? locale.direction : 'ltr';
+    if (direction !== 'ltr' && direction !== 'rtl')
+        throw new TypeError(`Invalid direction \`${direction}\`; expected 'ltr' or 'rtl'`);
+
+    return {
+        keywords: Object.assign({}, keywords.KEYWORDS, locale.keywords, overrides),
+        titlePrefix: locale.titlePrefix !== undefined ? locale.titlePrefix : 'Algorithm',
+        direction: direction,
+        labels: Object.assign({}, DEFAULT_LABELS, locale.labels),
+    };
+}
+
+module.exports = {
+    LOCALES: LOCALES,
+    resolveLocale: resolveLocale,
+};
@@ -0,0 +1,219 @@
+/*
+ * The math backends, which render the TeX of the math of algorithms to HTML.
+ *
+ * A backend is an object with the following:
+ *      name - The name of the backend, e.g. 'katex'.
+ *      renderMath(tex, options) - Render TeX to HTML, where the options are
+ *          { displayMode, accessible, macros }; `accessible` is whether the
+ *          HTML is to be read by screen readers (see RendererOptions), and
+ *          `macros` is the table of the macros of TeX that all the math of
+ *          the input shares, which \gdef adds to.
+ *      typesetElement(elem) - Optional. Typeset the math of an element once it
+ *          is in the page, for a backend whose renderMath leaves the TeX as it
+ *          is, e.g. that of the MathJax of the page.
+ *      defersMath() - Optional. Whether renderMath leaves the TeX to
+ *          typesetElement, which it may do only until the engine is loaded.
+ *      load() - Optional. Load the engine, and return the promise of it.
+ *      styleSheet() - Optional. The HTML of the CSS that the math rendered so
+ *          far needs, which is put before the HTML of the algorithms.
+ *
+ * The bundled backends are made by the functions below, from the engines
+ * themselves, e.g. `katex(require('katex'))`, or by their names, e.g. 'katex',
+ * from the global variable of the engine or else its package of Node.js. The
+ * 'unicode' and 'tex' backends need no engine: they show the approximation of
+ * the math in Unicode, or its TeX, as text.
+ **/
+var MathTypesetter = require('./MathTypesetter');
+var mathjax = require('./mathjax');
+
+var HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+function escapeHTML (text) {
+    return String(text).replace(/[&<>"']/g, (ch) => HTML_ENTITIES[ch]);
+}
+
+/* The options of KaTeX, e.g. { throwOnError: false }, are passed to
+ * renderToString as they are, but for the display mode and the macros */
+function katexBackend (katex, katexOptions) {
+    return {
+        name: 'katex',
+        driver: katex,
+        renderMath: function (tex, options) {
+            var renderOptions = Object.assign({}, katexOptions, { displayMode: !!options.displayMode });
+            if (options.macros) renderOptions.macros = options.macros;
+            // The MathML is what screen readers read
+            if (options.accessible && renderOptions.output !== 'mathml') renderOptions.output = 'htmlAndMathml';
+            return katex.renderToString(tex, renderOptions);
+        },
+    };
+}
+
+/*
+ * In a page, the math is left as TeX, in its delimiters, for the MathJax of the
+ * page to typeset once the HTML is in place. Outside of a page, e.g. in
+ * Node.js, it is typeset right away with the `output` of the options, once
+ * MathJax is loaded by load() (see mathjax.js).
+ **/
+function mathjaxBackend (MathJax, options) {
+    var output = options && options.output !== undefined ? options.output : 'chtml';
+    mathjax.checkOutput(output);
+
+    var isOutsidePage = () => typeof document === 'undefined';
+    var typesetter = () => (isOutsidePage() ? mathjax.typesetter(output) : null);
+
+    return {
+        name: 'mathjax',
+        driver: MathJax,
+        renderMath: function (tex, options) {
+            var typeset = typesetter();
+            if (typeset) return typeset(tex, options.displayMode);
+            return escapeHTML(options.displayMode ? `$$${tex}$$` : `$${tex}$`);
+        },
+        typesetElement: function (elem) {
+            try {
+                // MathJax 3.x
+                MathJax.typeset([elem]);
+            }
+            catch (_) {
+                // MathJax 2.x
+                MathJax.Hub.Queue(['Typeset', MathJax.Hub, elem]);
+            }
+        },
+        defersMath: () => !typesetter(),
+        load: () => (isOutsidePage() ? mathjax.load(output).then(() => undefined) : Promise.resolve()),
+        styleSheet: () => mathjax.styleSheet(output),
+    };
+}
+
+/* Temml renders MathML, which screen readers read as it is */
+function temmlBackend (temml) {
+    return {
+        name: 'temml',
+        driver: temml,
+        renderMath: function (tex, options) {
+            return temml.renderToString(tex, {
+                displayMode: !!options.displayMode,
+                macros: options.macros,
+            });
+        },
+    };
+}
+
+/* The approximation of the math in Unicode text, as by MathTypesetter */
+function unicodeBackend () {
+    return {
+        name: 'unicode',
+        renderMath: function (tex, options) {
+            var html = new MathTypesetter(tex).typeset().map((run) => {
+                var style = [];
+                if (run.italic) style.push('font-style:italic');
+                if (run.bold) style.push('font-weight:bold');
+                if (run.scale !== 1) {
+                    // The shift of a run is in the em of the math, whereas the
+                    // vertical-align of a span is in its own, scaled em
+                    style.push(`font-size:${formatNumber(run.scale)}em`);
+                    style.push(`vertical-align:${formatNumber(run.shift / run.scale)}em`);
+                }
+                var text = escapeHTML(run.text);
+                return style.length ? `<span style="${style.join(';')}">${text}</span>` : text;
+            }).join('');
+            return makeFallback('ps-math-unicode', tex, options.displayMode, html);
+        },
+    };
+}
+
+/* The TeX of the math as it is, in the style of code */
+function texBackend () {
+    return {
+        name: 'tex',
+        renderMath: function (tex, options) {
+            var delimited = options.displayMode ? `$$${tex}$$` : `$${tex}$`;
+            return makeFallback('ps-math-tex', tex, options.displayMode, escapeHTML(delimited));
+        },
+    };
+}
+
+/* The span of the math of a backend without an engine, which screen readers
+ * read as its TeX */
+function makeFallback (className, tex, displayMode, html) {
+    var classes = `ps-math ${className}${displayMode ? ' ps-math-display' : ''}`;
+    return `<span class="${classes}" title="${escapeHTML(tex)}">${html}</span>`;
+}
+
+function formatNumber (number) {
+    return String(Math.round(number * 1000) / 1000);
+}
+
+function requireEngine (load) {
+    try {
+        return load();
+    }
+    catch (_) {
+        return null;
+    }
+}
+
+/* The engines by the names of their backends: the global variable of the page,
+ * or else the package of Node.js, or null if it is not available */
+var ENGINES = {
+    katex: () => (typeof katex !== 'undefined' ? katex : requireEngine(() => require('katex'))),
+    mathjax: () => (typeof MathJax !== 'undefined' ? MathJax : requireEngine(() => require('mathjax'))),
+    temml: () => (typeof temml !== 'undefined' ? temml : requireEngine(() => require('temml'))),
+};
+
+var ENGINE_NAMES = { katex: 'KaTeX', mathjax: 'MathJax', temml: 'Temml' };
+
+var BACKENDS = {
+    katex: katexBackend,
+    mathjax: mathjaxBackend,
+    temml: temmlBackend,
+    unicode: unicodeBackend,
+    tex: texBackend,
+};
+
+/*
+ * Resolve the `mathBackend` option, i.e. a backend or the name of a bundled
+ * one, into a backend. Without the option, it is that of the first engine that
+ * is available: KaTeX, MathJax or Temml; or else the 'unicode' backend. The
+ * `katexOptions` and `mathjaxOutput` of the options are those of the KaTeX and
+ * MathJax backends by name.
+ **/
+function resolveMathBackend (backend, options) {
+    options = options || {};
+    var engineOptions = {
+        katex: options.katexOptions,
+        mathjax: { output: options.mathjaxOutput },
+    };
+    if (backend === undefined || backend === null) {
+        for (var engineName in ENGINES) {
+            var engine = ENGINES[engineName]();
+            if (engine) return BACKENDS[engineName](engine, engineOptions[engineName]);
+        }
+        return unicodeBackend();
+    }
+
+    if (typeof backend !== 'string') {
+        if (typeof backend !== 'object' || typeof backend.renderMath !== 'function')
+            throw new TypeError('A math backend needs a renderMath function');
+        return backend;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(BACKENDS, backend))
+        throw new TypeError(`Unknown math backend \`${backend}\`; expected one of ${Object.keys(BACKENDS).join(', ')}`);
+    if (!Object.prototype.hasOwnProperty.call(ENGINES, backend))
+        return BACKENDS[backend]();
+
+    var driver = ENGINES[backend]();
+    if (!driver)
+        throw new EvalError(`The math backend \`${backend}\` needs ${ENGINE_NAMES[backend]}; please set it up`);
+    return BACKENDS[backend](driver, engineOptions[backend]);
+}
+
+module.exports = {
+    katex: katexBackend,
+    mathjax: mathjaxBackend,
+    temml: temmlBackend,
+    unicode: unicodeBackend,
+    tex: texBackend,
+    resolveMathBackend: resolveMathBackend,
+};
@@ -0,0 +1,106 @@
+/*
+ * Typesetting math with MathJax 3 outside of a page, e.g. in Node.js, where
+ * there's no MathJax of the page to typeset it once the HTML is in place.
+ *
+ * MathJax is loaded asynchronously, once for all renderings, by load(); from
+ * then on, typesetter() typesets TeX synchronously. The output of MathJax is
+ * either 'chtml' (HTML with CSS) or 'svg'. MathJax is loaded with both, and
+ * each output has a MathJax document of its own, with the TeX input and the
+ * output, which keeps the CSS of the math it has typeset. A load that fails
+ * is not kept, so that a later one may try again.
+ **/
+
+var OUTPUTS = ['chtml', 'svg'];
+
+// Where the fonts of the CHTML output are loaded from by the page
+var FONT_URL = 'https://cdn.jsdelivr.net/npm/mathjax@3/es5/output/chtml/fonts/woff-v2';
+
+var loading = null; // the promise of the MathJax being loaded
+var loaded = null; // the MathJax once it is loaded
+var documents = {}; // the MathJax documents by their outputs
+
+function checkOutput (output) {
+    if (OUTPUTS.indexOf(output) < 0)
+        throw new TypeError(`Unknown MathJax output \`${output}\`; expected one of ${OUTPUTS.join(', ')}`);
+}
+
+/*
+ * Load MathJax, from the mathjax package of Node.js, for an output, and return
+ * the promise of it. The promise is rejected if MathJax 3 is not installed.
+ **/
+function load (output) {
+    checkOutput(output);
+    if (!loading) {
+        var mathjaxPackage;
+        try {
+            mathjaxPackage = require('mathjax');
+        }
+        catch (_) { /* handled below */ }
+
+        if (!mathjaxPackage || typeof mathjaxPackage.init !== 'function')
+            return Promise.reject(new Error('MathJax 3 is needed to typeset math; install the mathjax package'));
+
+        loading = mathjaxPackage.init({
+            loader: { load: ['input/tex'].concat(OUTPUTS.map((name) => `output/${name}`)) },
+            chtml: { fontURL: FONT_URL },
+            startup: { typeset: false },
+        }).then((MathJax) => {
+            loaded = MathJax;
+            return MathJax;
+        }, (e) => {
+            loading = null;
+            throw e;
+        });
+    }
+
+    return loading;
+}
+
+/* The MathJax document of an output, which is made the first time it is
+ * needed, once MathJax is loaded */
+function documentOf (output) {
+    if (!documents[output]) {
+        var OutputJax = output === 'svg' ? loaded._.output.svg_ts.SVG : loaded._.output.chtml_ts.CHTML;
+        documents[output] = loaded._.mathjax.mathjax.document('', {
+            InputJax: new loaded._.input.tex_ts.TeX(loaded.config.tex),
+            OutputJax: new OutputJax(loaded.config[output]),
+        });
+    }
+    return documents[output];
+}
+
+/*
+ * The function that typesets TeX with MathJax to HTML of an output, as
+ * `typeset(tex, displayMode)`, or null if MathJax is not loaded (yet).
+ **/
+function typesetter (output) {
+    checkOutput(output);
+    if (!loaded) return null;
+
+    var mathDocument = documentOf(output);
+    var adaptor = loaded.startup.adaptor;
+    return function (tex, displayMode) {
+        return adaptor.outerHTML(mathDocument.convert(tex, { display: !!displayMode }));
+    };
+}
+
+/*
+ * The <style> element of the CSS that the math typeset so far needs. The CHTML
+ * output adds the CSS of the characters as they are typeset, so the style sheet
+ * is to be taken after the math.
+ **/
+function styleSheet (output) {
+    checkOutput(output);
+    if (!loaded) return '';
+
+    var mathDocument = documentOf(output);
+    return loaded.startup.adaptor.outerHTML(mathDocument.outputJax.styleSheet(mathDocument));
+}
+
+module.exports = {
+    OUTPUTS: OUTPUTS,
+    checkOutput: checkOutput,
+    load: load,
+    typesetter: typesetter,
+    styleSheet: styleSheet,
+};
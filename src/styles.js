@@ -0,0 +1,100 @@
+/*
+ * The styles of pseudocode, which mimic the LaTeX packages for algorithms.
+ *
+ * A style is a preset of options (see RendererOptions), e.g. `noEnd` and the
+ * `keywords` that differ from the default ones. The options that are given
+ * explicitly take precedence over those of the style.
+ **/
+
+var STYLES = {
+    // The algorithmic package, i.e. the default options
+    algorithmic: {},
+    // The algpseudocode package (of algorithmicx), whose `▷` comments are
+    // flushed right; its keywords and layout are those of algorithmic
+    algpseudocode: {
+        commentDelimiter: ' ▷ ',
+        flushComments: true,
+    },
+    // The algorithm2e package, with the vlined blocks
+    algorithm2e: {
+        statementTerminator: ';',
+        scopeLines: true,
+        keywords: {
+            require: 'Data:',
+            ensure: 'Result:',
+            endif: 'end',
+            endfor: 'end',
+            endwhile: 'end',
+            endloop: 'end',
+            endupon: 'end',
+            endswitch: 'end',
+            endfunction: 'end',
+            endprocedure: 'end',
+            forall: 'forall',
+            foreach: 'foreach',
+            default: 'otherwise',
+            function: 'Function',
+            procedure: 'Procedure',
+        },
+    },
+    // The conventions of Introduction to Algorithms (CLRS), as in clrscode
+    clrs: {
+        lineNumber: true,
+        noEnd: true,
+        commentDelimiter: ' ▷ ',
+        keywords: {
+            then: '',
+            dosuffix: '',
+            elsif: 'elseif',
+            function: '',
+            procedure: '',
+            true: 'TRUE',
+            false: 'FALSE',
+        },
+    },
+};
+
+/*
+ * Define a style, or redefine it, by its name and its options, e.g.
+ *
+ *      defineStyle('journal', { lineNumber: true, keywords: { endif: 'fi' } });
+ **/
+function defineStyle (name, style) {
+    if (typeof name !== 'string' || !name)
+        throw new TypeError('A style needs a name');
+    if (!style || typeof style !== 'object')
+        throw new TypeError(`The style \`${name}\` needs options`);
+    STYLES[name] = style;
+}
+
+/* The options of the `style` option, i.e. the name of a style or its options */
+function resolveStyle (style) {
+    if (style === undefined || style === null) return STYLES.algorithmic;
+    if (typeof style !== 'string') return style;
+    if (!Object.prototype.hasOwnProperty.call(STYLES, style))
+        throw new TypeError(`Unknown style \`${style}\`; expected one of ${Object.keys(STYLES).join(', ')}`);
+    return STYLES[style];
+}
+
+/*
+ * Fill in the options that are not given with those of the style. The
+ * `keywords` of both are merged, so that a keyword can be changed without
+ * losing the others of the style.
+ **/
+function applyStyle (options) {
+    options = options || {};
+    var style = resolveStyle(options.style);
+    var styled = Object.assign({}, style);
+    for (var name in options)
+        if (options[name] !== undefined) styled[name] = options[name];
+    if (style.keywords && options.keywords)
+        styled.keywords = Object.assign({}, style.keywords, options.keywords);
+    return styled;
+}
+
+module.exports = {
+    STYLES: STYLES,
+    defineStyle: defineStyle,
+    resolveStyle: resolveStyle,
+    applyStyle: applyStyle,
+};
@@ -0,0 +1,49 @@
+/*
+ * The tests of the accessible mode and of the plain-text description.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithm}
+\caption{Max}
+\begin{algorithmic}
+\IF{$x$} \STATE $y$ \COMMENT{c} \ENDIF
+\end{algorithmic}
+\end{algorithm}`;
+
+test('marks up the lines as the items of a list', () => {
+    var html = pseudocode.renderToString(SOURCE, { accessible: true, lineNumber: true, mathBackend: 'tex' });
+    assert.match(html, /<div class="ps-algorithm with-caption" role="figure" aria-labelledby="ps-caption-1">/);
+    assert.match(html, /<p class="ps-line" [^>]* id="ps-caption-1">/);
+    assert.match(html, /<div class="ps-algorithmic {2}with-linenum " role="list">/);
+    assert.match(html, /<div class="ps-block" [^>]* role="presentation">/);
+    assert.strictEqual(html.match(/role="listitem"/g).length, 3);
+    assert.match(html, /<p class="ps-line ps-code" role="listitem" aria-level="2">/);
+});
+
+test('announces line numbers and comments by the labels of the locale', () => {
+    var html = pseudocode.renderToString(SOURCE, { accessible: true, lineNumber: true, mathBackend: 'tex' });
+    assert.match(html, /<span class="ps-linenum" [^>]* aria-hidden="true">1:<\/span><span class="ps-sr-only">Line 1: <\/span>/);
+    assert.match(html, /<span aria-hidden="true"> &#x2F;&#x2F; <\/span><span class="ps-sr-only"> Comment: <\/span>c/);
+
+    var german = pseudocode.renderToString(SOURCE, { accessible: true, lineNumber: true, locale: 'de', mathBackend: 'tex' });
+    assert.match(german, /<span class="ps-sr-only">Zeile 1: <\/span>/);
+});
+
+test('includes the MathML of KaTeX', () => {
+    var html = pseudocode.renderToString(SOURCE, { accessible: true, mathBackend: 'katex' });
+    assert.match(html, /<span class="katex-mathml"><math xmlns="http:\/\/www.w3.org\/1998\/Math\/MathML">/);
+});
+
+test('describes the algorithm as plain text', () => {
+    var html = pseudocode.renderToString(SOURCE, { description: true, mathBackend: 'tex' });
+    assert.match(html, /^<div class="ps-root" aria-describedby="ps-description-1">\n/);
+    assert.match(html, /<div class="ps-description ps-sr-only" id="ps-description-1">/);
+    assert.match(html, /<p>\nif \$x\$ then<\/p>\n<p>\n\$y\$ &#x2F;&#x2F; c<\/p>/);
+});
+
+test('leaves out the semantics by default', () => {
+    var html = pseudocode.renderToString(SOURCE, { mathBackend: 'tex' });
+    assert.doesNotMatch(html, /role=|aria-|ps-sr-only/);
+});
@@ -0,0 +1,71 @@
+/*
+ * The tests of the input written for the algorithm2e package.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithm2e}
+\SetKwFunction{Fact}{Factorial}
+\SetKwProg{Fn}{Function}{:}{end}
+\caption{Factorial}
+\KwData{$n \geq 0$}
+\KwResult{$n!$}
+\Fn{\Fact{$n$}}{
+    \tcc{the base case}
+    \eIf{$n = 0$}{\KwRet{$1$}\;}{\KwRet{$n \cdot$ \Fact{$n - 1$}}\; \tcp*[r]{recursion}}
+}
+\end{algorithm2e}`;
+
+test('reads algorithm2e into the same tree as algorithmic', () => {
+    assert.strictEqual(pseudocode.renderToText(SOURCE), [
+        'Algorithm 1: Factorial',
+        'Require: $n \\geq 0$',
+        'Ensure: $n!$',
+        'function Factorial($n$)',
+        '    // the base case',
+        '    if $n = 0$ then',
+        '        return $1$',
+        '    else',
+        '        return $n \\cdot$ Factorial($n - 1$) // recursion',
+        '    end if',
+        'end function',
+    ].join('\n'));
+});
+
+test('looks like algorithm2e with its style', () => {
+    var lines = pseudocode.renderToText(SOURCE, { style: 'algorithm2e' }).split('\n');
+    assert.deepStrictEqual(lines.slice(1, 5), [
+        'Data: $n \\geq 0$',
+        'Result: $n!$',
+        'Function Factorial($n$)',
+        '    // the base case',
+    ]);
+    assert.strictEqual(lines[8], '        return $n \\cdot$ Factorial($n - 1$); // recursion');
+
+    var html = pseudocode.renderToString(SOURCE, { style: 'algorithm2e', mathBackend: 'tex' });
+    assert.match(html, /<p class="ps-line ps-code">\n<span class="ps-comment">&#x2F;&#x2F; the base case<\/span><\/p>/);
+    assert.match(html, /<span class="ps-comment"> &#x2F;&#x2F; recursion<\/span>/);
+});
+
+test('keeps the space before a comment of algorithmic on a line of its own', () => {
+    var source = String.raw`\begin{algorithmic}\STATE \COMMENT{c}\end{algorithmic}`;
+    assert.strictEqual(pseudocode.renderToString(source), [
+        '<div class="ps-root">',
+        '<div class="ps-algorithmic">',
+        '<div class="ps-block" style="margin-left:1.2em;">',
+        '<p class="ps-line ps-code">',
+        '<span class="ps-comment"> &#x2F;&#x2F; c</span></p>',
+        '</div>',
+        '</div>',
+        '</div>',
+    ].join('\n'));
+});
+
+test('formats algorithm2e in the algorithmic syntax', () => {
+    var formatted = pseudocode.format(SOURCE);
+    assert.ok(formatted.indexOf('\\FUNCTION{Factorial}{$n$}\n    \\STATE \\COMMENT{the base case}\n') >= 0, formatted);
+    assert.ok(formatted.indexOf('\\RETURN $n \\cdot$ \\CALL{Factorial}{$n - 1$} \\COMMENT{recursion}') >= 0, formatted);
+    assert.throws(() => pseudocode.parse('\\begin{algorithmic}\\STATE $x$\\end{algorithmic}', { dialect: 'algorithm2e' }),
+                  pseudocode.ParseError);
+});
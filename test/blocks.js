@@ -0,0 +1,61 @@
+/*
+ * The tests of the custom blocks of defineBlock.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var PARFOR = String.raw`\begin{algorithmic}
+\PARFOR{$i \gets 1$ \TO $n$} \STATE $x$ \ENDPARFOR
+\end{algorithmic}`;
+
+test.afterEach(() => {
+    pseudocode.undefineBlock();
+});
+
+test('renders a custom block like the built-in ones', () => {
+    pseudocode.defineBlock({ begin: 'PARFOR', end: 'ENDPARFOR', args: 1, keyword: 'for', suffix: 'in parallel do' });
+    assert.strictEqual(pseudocode.renderToText(PARFOR),
+                       'for $i \\gets 1$ to $n$ in parallel do\n    $x$\nend for');
+
+    var html = pseudocode.renderToString(PARFOR, { mathBackend: 'tex' });
+    assert.match(html, /<span class="ps-keyword"> in parallel do<\/span><\/p>\n<div class="ps-block"/);
+    assert.match(html, /<span class="ps-keyword">end for<\/span>/);
+    assert.strictEqual(pseudocode.format(PARFOR), [
+        '\\begin{algorithmic}',
+        '\\PARFOR{$i \\gets 1$ \\TO $n$}',
+        '    \\STATE $x$',
+        '\\ENDPARFOR',
+        '\\end{algorithmic}',
+        '',
+    ].join('\n'));
+});
+
+test('takes several arguments and an empty end keyword', () => {
+    pseudocode.defineBlock({ begin: 'PFOR', end: 'ENDPFOR', args: 2, endKeyword: '' });
+    var text = pseudocode.renderToText(String.raw`\begin{algorithmic}
+\PFOR{a}{b} \STATE $x$ \ENDPFOR
+\end{algorithmic}`);
+    assert.strictEqual(text, 'pfor a, b\n    $x$');
+});
+
+test('undefines blocks', () => {
+    var source = String.raw`\begin{algorithmic}\ATOMIC \STATE $x$ \ENDATOMIC\end{algorithmic}`;
+    pseudocode.defineBlock({ begin: 'ATOMIC', end: 'ENDATOMIC' });
+    assert.strictEqual(pseudocode.renderToText(source), 'atomic\n    $x$\nend atomic');
+    assert.strictEqual(pseudocode.undefineBlock('atomic'), true);
+    assert.strictEqual(pseudocode.undefineBlock('ATOMIC'), false);
+    assert.throws(() => pseudocode.parse(source), pseudocode.ParseError);
+
+    pseudocode.defineBlock({ begin: 'ATOMIC', end: 'ENDATOMIC' });
+    assert.strictEqual(pseudocode.undefineBlock(), true);
+    assert.throws(() => pseudocode.parse(source), pseudocode.ParseError);
+});
+
+test('rejects invalid blocks', () => {
+    assert.throws(() => pseudocode.defineBlock({ begin: 'SYNC', end: 'sync' }),
+                  /cannot begin and end with the same command/);
+    assert.throws(() => pseudocode.defineBlock({ begin: 'IF', end: 'ENDSYNC' }), /built-in command/);
+    assert.throws(() => pseudocode.defineBlock({ begin: 'SYNC' }), TypeError);
+    assert.throws(() => pseudocode.defineBlock({ begin: 'SYNC', end: 'ENDSYNC', args: -1 }), TypeError);
+});
@@ -0,0 +1,52 @@
+/*
+ * The tests of the links of calls by \CALL to the definitions of their
+ * functions.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var setUpDOM = require('./helpers/dom').setUpDOM;
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithmic}
+\FUNCTION{Max}{$a$} \RETURN \CALL{Max}{$a$} + \CALL{Merge}{$a$} + \CALL{Sort}{$a$} \ENDFUNCTION
+\FUNCTION{Max}{$b$} \ENDFUNCTION
+\end{algorithmic}`;
+
+var CALLER = String.raw`\begin{algorithmic}\STATE \CALL{Partition}{$A$}\end{algorithmic}`;
+var DEFINITION = String.raw`\begin{algorithmic}\PROCEDURE{Partition}{$A$} \ENDPROCEDURE\end{algorithmic}`;
+
+test('links the calls to the first definitions of their functions, or to their URLs', () => {
+    var html = pseudocode.renderToString(SOURCE, { mathBackend: 'tex', functionURLs: { Merge: 'merge.html#ps-func-Merge' } });
+    assert.ok(html.indexOf('<span class="ps-funcname" id="ps-func-Max">Max</span>') >= 0, html);
+    assert.ok(html.indexOf('<span class="ps-funcname">Max</span>(<span class="ps-math ps-math-tex" title="b">') >= 0, html);
+    assert.ok(html.indexOf('<a class="ps-funcname ps-call" href="#ps-func-Max" data-call="Max">Max</a>') >= 0, html);
+    assert.ok(html.indexOf('<a class="ps-funcname ps-call" href="merge.html#ps-func-Merge" data-call="Merge">') >= 0,
+              html);
+    assert.ok(html.indexOf('<a class="ps-funcname ps-call" data-call="Sort">Sort</a>') >= 0, html);
+    assert.throws(() => pseudocode.renderToString(SOURCE, { functionURLs: 'merge.html' }), TypeError);
+});
+
+test('links the calls to the functions of the same context', () => {
+    var context = new pseudocode.Context({ idPrefix: 'doc-' });
+    pseudocode.renderToString(DEFINITION, { mathBackend: 'tex', context: context });
+    var html = pseudocode.renderToString(CALLER, {
+        mathBackend: 'tex',
+        context: context,
+        functionURLs: { Partition: 'elsewhere.html' },
+    });
+    assert.ok(html.indexOf('<a class="ps-funcname ps-call" href="#doc-func-Partition" data-call="Partition">') >= 0,
+              html);
+});
+
+test('links the calls of renderClass to the functions of later elements', () => {
+    var doc = setUpDOM(`<pre class="pseudocode">${CALLER}</pre><pre class="pseudocode">${DEFINITION}</pre>`);
+    pseudocode.renderClass('pseudocode', { mathBackend: 'tex' });
+    var link = doc.querySelector('a.ps-call');
+    assert.strictEqual(link.getAttribute('href'), '#ps-func-Partition');
+
+    var definition = doc.getElementById('ps-func-Partition');
+    link.dispatchEvent(new doc.defaultView.MouseEvent('mouseover', { bubbles: true }));
+    assert.ok(definition.classList.contains('ps-call-target'));
+    link.dispatchEvent(new doc.defaultView.MouseEvent('mouseout', { bubbles: true }));
+    assert.ok(!definition.classList.contains('ps-call-target'));
+});
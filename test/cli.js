@@ -0,0 +1,79 @@
+/*
+ * The tests of the command-line interface, bin/pseudocode.js.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var BIN = path.join(__dirname, '..', 'bin', 'pseudocode.js');
+var SOURCE = String.raw`\begin{algorithmic}
+\IF{$x > 0$}
+    \STATE $y \gets x$
+\ENDIF
+\end{algorithmic}`;
+
+/* Run the command with its arguments on an input, and return the result */
+function pseudocode (args, input) {
+    return childProcess.spawnSync(process.execPath, [BIN].concat(args), {
+        input: input !== undefined ? input : SOURCE,
+        encoding: 'utf8',
+        timeout: 30000,
+    });
+}
+
+test('renders the standard input as plain text', () => {
+    var result = pseudocode(['--format', 'text', '--line-number']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, '1: if $x > 0$ then\n2:     $y \\gets x$\n3: end if\n');
+});
+
+test('renders HTML with the flags of the options', () => {
+    var result = pseudocode(['--interactive', '--fragments=fade-up', '--keyword', 'endif=fi']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /class="ps-toggle"/);
+    assert.match(result.stdout, /class="ps-line ps-code fragment fade-up"/);
+    assert.match(result.stdout, />fi</);
+
+    result = pseudocode(['--fragments']);
+    assert.match(result.stdout, /class="ps-line ps-code fragment"/);
+});
+
+test('renders every file to a file of its own, and reports the errors by file', () => {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pseudocode-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'good.tex'), SOURCE);
+        fs.writeFileSync(path.join(dir, 'bad.tex'), String.raw`\begin{algorithmic}\IF{x}\end{algorithmic}`);
+        var outDir = path.join(dir, 'out');
+        var files = [path.join(dir, 'bad.tex'), path.join(dir, 'good.tex')];
+        var result = pseudocode(['--format', 'text', '--out-dir', outDir].concat(files), '');
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /bad\.tex/);
+        assert.strictEqual(fs.readFileSync(path.join(outDir, 'good.txt'), 'utf8'),
+                           'if $x > 0$ then\n    $y \\gets x$\nend if\n');
+    }
+    finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('lists every flag in the help', () => {
+    var result = pseudocode(['--help'], '');
+    assert.strictEqual(result.status, 0);
+    ['--format', '--line-number', '--interactive', '--fragments[=<style>]', '--function-url', '--tolerant']
+        .forEach((flag) => {
+            assert.ok(result.stdout.indexOf(flag) >= 0, `${flag} is in the help`);
+        });
+});
+
+test('fails on an unknown flag or an invalid input', () => {
+    var result = pseudocode(['--no-such-flag']);
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Unknown flag --no-such-flag/);
+
+    result = pseudocode([], String.raw`\begin{algorithmic}\IF{x}\end{algorithmic}`);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Expected \\ENDIF/);
+});
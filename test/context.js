@@ -0,0 +1,49 @@
+/*
+ * The tests of the numbering of captions by a Context.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var setUpDOM = require('./helpers/dom').setUpDOM;
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithm}
+\caption{Max}
+\begin{algorithmic}
+\STATE $x$
+\end{algorithmic}
+\end{algorithm}`;
+
+function captionOf (text) {
+    return text.split('\n')[0];
+}
+
+test('numbers every call on its own without a context', () => {
+    assert.strictEqual(captionOf(pseudocode.renderToText(SOURCE)), 'Algorithm 1: Max');
+    assert.strictEqual(captionOf(pseudocode.renderToText(SOURCE)), 'Algorithm 1: Max');
+});
+
+test('numbers the calls with the same context one after another', () => {
+    var context = new pseudocode.Context();
+    var captions = [1, 2, 3].map(() => captionOf(pseudocode.renderToText(SOURCE, { context: context })));
+    assert.deepStrictEqual(captions, ['Algorithm 1: Max', 'Algorithm 2: Max', 'Algorithm 3: Max']);
+});
+
+test('numbers the captions within sections', () => {
+    var context = new pseudocode.Context({ section: '2' });
+    var render = (options) => captionOf(pseudocode.renderToText(SOURCE, Object.assign({ context: context }, options)));
+    assert.strictEqual(render(), 'Algorithm 2.1: Max');
+    assert.strictEqual(render(), 'Algorithm 2.2: Max');
+    context.startSection('3');
+    assert.strictEqual(render(), 'Algorithm 3.1: Max');
+    context.resetCaptionCount(4);
+    assert.strictEqual(render(), 'Algorithm 3.5: Max');
+    assert.strictEqual(render({ captionCount: 7 }), 'Algorithm 3.8: Max');
+});
+
+test('numbers the elements of renderClass one after another', () => {
+    var doc = setUpDOM(`<pre class="pseudocode">${SOURCE}</pre><pre class="pseudocode">${SOURCE}</pre>`);
+    pseudocode.renderClass('pseudocode', { mathBackend: 'tex', captionCount: 2 });
+    var captions = [].map.call(doc.querySelectorAll('.ps-algorithm > .ps-line:first-child'),
+                               (line) => line.textContent.trim());
+    assert.deepStrictEqual(captions, ['Algorithm 3: Max', 'Algorithm 4: Max']);
+});
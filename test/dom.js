@@ -0,0 +1,56 @@
+/*
+ * The tests of rendering in a page: render, renderElement and renderClass,
+ * and the error panel of an element that cannot be rendered.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var setUpDOM = require('./helpers/dom').setUpDOM;
+var pseudocode = require('../pseudocode');
+
+var VALID = String.raw`\begin{algorithmic}\STATE $x$\end{algorithmic}`;
+var INVALID = String.raw`\begin{algorithmic}
+\IF{$x$} \STATE $y$
+\end{algorithmic}`;
+
+test('renders an element in place', () => {
+    var doc = setUpDOM(`<pre id="alg" class="pseudocode">${VALID}</pre>`);
+    var elem = pseudocode.renderElement(doc.getElementById('alg'), { mathBackend: 'tex' });
+    assert.strictEqual(elem.className, 'ps-root');
+    assert.strictEqual(doc.body.firstChild, elem);
+    assert.strictEqual(doc.querySelectorAll('.ps-line').length, 1);
+});
+
+test('replaces an element that cannot be rendered with an error panel', () => {
+    var doc = setUpDOM(`<pre class="pseudocode">${INVALID}</pre><pre class="pseudocode">${VALID}</pre>`);
+    pseudocode.renderClass('pseudocode', { mathBackend: 'tex' });
+
+    var panel = doc.body.children[0];
+    assert.strictEqual(panel.className, 'ps-root ps-error-panel');
+    assert.strictEqual(panel.getAttribute('role'), 'alert');
+    assert.match(panel.querySelector('.ps-error-panel-message').textContent, /Expected \\ENDIF/);
+    assert.strictEqual(panel.querySelector('.ps-error-panel-mark').textContent, '> 3 | \\end{algorithmic}\n');
+    // The other elements are rendered all the same
+    assert.strictEqual(doc.body.children[1].className, 'ps-root');
+});
+
+test('leaves the errors to onError', () => {
+    var doc = setUpDOM(`<pre id="alg">${INVALID}</pre>`);
+    var errors = [];
+    var original = doc.getElementById('alg');
+    var result = pseudocode.renderElement(original, {
+        onError: function (error, elem) {
+            errors.push([error, elem]);
+        },
+    });
+    assert.strictEqual(result, undefined);
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0][0] instanceof pseudocode.ParseError);
+    assert.strictEqual(errors[0][1], original);
+    // The element is shown as it is
+    assert.strictEqual(original.style.display, '');
+    assert.strictEqual(doc.body.firstChild, original);
+
+    var replacement = doc.createElement('p');
+    pseudocode.renderElement(original, { onError: () => replacement });
+    assert.strictEqual(doc.body.firstChild, replacement);
+});
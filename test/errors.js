@@ -0,0 +1,48 @@
+/*
+ * The tests of ParseError: its position, expected and found atoms, and code
+ * frame.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+function parseError (source, options) {
+    try {
+        pseudocode.parse(source, options);
+    }
+    catch (e) {
+        return e;
+    }
+    assert.fail('Expected a ParseError');
+}
+
+test('reports the position and the atoms of an error', () => {
+    var error = parseError(String.raw`\begin{algorithmic}
+\IF{x} \ENDFOR
+\end{algorithmic}`);
+    assert.ok(error instanceof pseudocode.ParseError);
+    assert.ok(error instanceof Error);
+    assert.strictEqual(error.reason, 'Expected \\ENDIF but received \\ENDFOR');
+    assert.strictEqual(error.message, 'Error: Expected \\ENDIF but received \\ENDFOR at line 2, column 8');
+    assert.strictEqual(error.found, '\\ENDFOR');
+    assert.deepStrictEqual([error.line, error.column, error.offset], [2, 8, 27]);
+});
+
+test('lists the atoms that could have been there', () => {
+    var error = parseError(String.raw`\begin{algorithmic}\IF{x} \ENDFOR\end{algorithmic}`);
+    ['\\ENDIF', '\\ELSE', '\\STATE', '\\COMMENT', '\\ASSERT', '\\INVARIANT', '\\ENSURE'].forEach((atom) => {
+        assert.ok(error.expected.indexOf(atom) >= 0, `${atom} is expected`);
+    });
+    assert.ok(error.expected.indexOf('\\ENDFOR') < 0);
+});
+
+test('shows the lines around an error with a caret', () => {
+    var error = parseError(String.raw`\begin{algorithmic}
+\IF{x} \ENDFOR
+\end{algorithmic}`);
+    assert.strictEqual(error.codeFrame, [
+        '  1 | \\begin{algorithmic}',
+        '> 2 | \\IF{x} \\ENDFOR',
+        '    |        ^',
+    ].join('\n'));
+});
@@ -0,0 +1,61 @@
+/*
+ * The tests of folding the blocks in interactive mode.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var setUpDOM = require('./helpers/dom').setUpDOM;
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithmic}
+\FUNCTION{F}{$x$}
+    \IF{$x$} \STATE $y$ \ELSE \STATE $z$ \ENDIF
+\ENDFUNCTION
+\end{algorithmic}`;
+
+function renderInteractive () {
+    var doc = setUpDOM();
+    var elem = pseudocode.render(SOURCE, doc.body, { interactive: true, mathBackend: 'tex' });
+    return { doc: doc, elem: elem, blocks: elem.querySelectorAll('.ps-block.ps-foldable') };
+}
+
+function collapsedOf (blocks) {
+    return [].map.call(blocks, (block) => block.classList.contains('ps-collapsed'));
+}
+
+test('adds a toggle and a placeholder to every block', () => {
+    var html = pseudocode.renderToString(SOURCE, { interactive: true, mathBackend: 'tex' });
+    assert.ok(html.indexOf('<button class="ps-toggle" type="button" aria-expanded="true" ' +
+                           'aria-controls="ps-block-2" aria-label="Block"></button>') >= 0, html);
+    assert.ok(html.indexOf('<div class="ps-block ps-foldable" style="margin-left:1.2em;" id="ps-block-2">\n' +
+                           '<p class="ps-line ps-fold-placeholder" aria-hidden="true">\n…</p>') >= 0, html);
+    assert.strictEqual(html.match(/class="ps-toggle"/g).length, 3);
+    assert.doesNotMatch(pseudocode.renderToString(SOURCE, { mathBackend: 'tex' }), /ps-toggle|ps-foldable/);
+});
+
+test('folds the blocks by their depths', () => {
+    var rendered = renderInteractive();
+    pseudocode.collapseBlocks(rendered.elem, 1);
+    assert.deepStrictEqual(collapsedOf(rendered.blocks), [false, true, true]);
+    assert.strictEqual(rendered.elem.querySelector('#ps-block-2').previousElementSibling
+        .querySelector('.ps-toggle').getAttribute('aria-expanded'), 'false');
+
+    pseudocode.collapseBlocks(rendered.elem);
+    assert.deepStrictEqual(collapsedOf(rendered.blocks), [true, true, true]);
+    pseudocode.expandBlocks(rendered.elem);
+    assert.deepStrictEqual(collapsedOf(rendered.blocks), [false, false, false]);
+});
+
+test('folds a block by its toggle, its placeholder and the arrow keys', () => {
+    var rendered = renderInteractive();
+    var toggle = rendered.elem.querySelector('.ps-toggle');
+    toggle.click();
+    assert.deepStrictEqual(collapsedOf(rendered.blocks), [true, false, false]);
+    rendered.blocks[0].querySelector('.ps-fold-placeholder').click();
+    assert.deepStrictEqual(collapsedOf(rendered.blocks), [false, false, false]);
+
+    var KeyboardEvent = rendered.doc.defaultView.KeyboardEvent;
+    toggle.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft', bubbles: true }));
+    assert.deepStrictEqual(collapsedOf(rendered.blocks), [true, false, false]);
+    toggle.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+    assert.deepStrictEqual(collapsedOf(rendered.blocks), [false, false, false]);
+});
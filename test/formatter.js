@@ -0,0 +1,40 @@
+/*
+ * The tests of the source formatter, format().
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithm}
+\caption{Max}
+% the largest element
+\begin{algorithmic}
+\STATE   $m \gets A[1]$ % the first one
+\FOR{$i \gets 2$ \TO $n$}
+\IF{$A[i] > m$}  \STATE $m \gets A[i]$ \COMMENT{new max} \ENDIF
+\ENDFOR
+\ASSERT{$m \ge A[1]$}
+\end{algorithmic}
+\end{algorithm}`;
+
+test('indents the blocks and keeps the comments', () => {
+    assert.strictEqual(pseudocode.format(SOURCE, { indentSize: 2 }), `${String.raw`\begin{algorithm}
+\caption{Max}
+% the largest element
+\begin{algorithmic}
+\STATE $m \gets A[1]$ % the first one
+\FOR{$i \gets 2$ \TO $n$}
+  \IF{$A[i] > m$}
+    \STATE $m \gets A[i]$ \COMMENT{new max}
+  \ENDIF
+\ENDFOR
+\ASSERT{$m \ge A[1]$}
+\end{algorithmic}
+\end{algorithm}`}\n`);
+});
+
+test('formats the source back to the same algorithm', () => {
+    var formatted = pseudocode.format(SOURCE);
+    assert.strictEqual(pseudocode.format(formatted), formatted);
+    assert.strictEqual(pseudocode.renderToText(formatted), pseudocode.renderToText(SOURCE));
+});
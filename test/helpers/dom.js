@@ -0,0 +1,36 @@
+/*
+ * A DOM of jsdom for the tests of rendering in a page, as the globals that
+ * pseudocode.js uses there, e.g. `document`, `Element` and `getComputedStyle`.
+ **/
+var JSDOM = require('jsdom').JSDOM;
+
+/* Make a DOM of the HTML of a body, and return its document */
+function setUpDOM (bodyHTML) {
+    var dom = new JSDOM(`<!DOCTYPE html><html><body>${bodyHTML || ''}</body></html>`);
+    global.window = dom.window;
+    global.document = dom.window.document;
+    global.Element = dom.window.Element;
+    global.getComputedStyle = dom.window.getComputedStyle;
+    return dom.window.document;
+}
+
+/*
+ * The lines of HTML output, as their text indented by two spaces per nested
+ * block, e.g. ['if $x$ then', '  $y$', 'end if'], so that a test can check
+ * the structure of the output at a glance
+ **/
+function outlineOf (html) {
+    var fragment = JSDOM.fragment(html);
+    return [].map.call(fragment.querySelectorAll('.ps-line'), (line) => {
+        var depth = 0;
+        for (var parent = line.parentElement; parent; parent = parent.parentElement)
+            if (parent.classList.contains('ps-block')) depth++;
+        var text = line.textContent.replace(/\s+/g, ' ').trim();
+        return '  '.repeat(Math.max(depth - 1, 0)) + text;
+    });
+}
+
+module.exports = {
+    setUpDOM: setUpDOM,
+    outlineOf: outlineOf,
+};
@@ -0,0 +1,113 @@
+/*
+ * The tests of running pseudocode with the interpreter.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var INSERTION_SORT = String.raw`\begin{algorithmic}
+\PROCEDURE{Insertion-Sort}{$A, n$}
+    \FOR{$i \gets 2$ \TO $n$}
+        \STATE $key \gets A[i]$
+        \STATE $j \gets i - 1$
+        \WHILE{$j > 0$ \AND $A[j] > key$}
+            \STATE $A[j + 1] \gets A[j]$
+            \STATE $j \gets j - 1$
+        \ENDWHILE
+        \STATE $A[j + 1] \gets key$
+    \ENDFOR
+    \RETURN $A$
+\ENDPROCEDURE
+\end{algorithmic}`;
+
+var FUNCTIONS = String.raw`\begin{algorithmic}
+\FUNCTION{Fib}{$n$}
+    \IF{$n \le 1$} \RETURN $n$ \ENDIF
+    \RETURN \CALL{Fib}{$n - 1$} + \CALL{Fib}{$n - 2$}
+\ENDFUNCTION
+\FUNCTION{Gcd}{$a, b$}
+    \WHILE{$b \neq 0$} \STATE $a \gets a \bmod b$ \STATE $a \leftrightarrow b$ \ENDWHILE
+    \RETURN $a$
+\ENDFUNCTION
+\FUNCTION{Loop}{$n$}
+    \WHILE{\TRUE} \STATE $n \gets n + 1$ \ENDWHILE
+\ENDFUNCTION
+\end{algorithmic}`;
+
+function runtimeError (source, options) {
+    try {
+        pseudocode.run(source, options);
+    }
+    catch (e) {
+        assert.ok(e instanceof pseudocode.RuntimeError, e.stack);
+        return e;
+    }
+    assert.fail('Expected a RuntimeError');
+}
+
+test('runs a procedure on its inputs, by name or in order', () => {
+    var input = [5, 2, 4, 6, 1, 3];
+    var result = pseudocode.run(INSERTION_SORT, { inputs: { A: input, n: 6 } });
+    assert.deepStrictEqual(result.result, [1, 2, 3, 4, 5, 6]);
+    assert.deepStrictEqual(input, [5, 2, 4, 6, 1, 3]);
+    assert.deepStrictEqual(pseudocode.run(INSERTION_SORT, { inputs: [[2, 1], 2] }).result, [1, 2]);
+});
+
+test('traces the lines that are run', () => {
+    var trace = pseudocode.run(INSERTION_SORT, { inputs: [[1], 1] }).trace;
+    assert.ok(trace.length > 0);
+    assert.strictEqual(trace[0].function, 'Insertion-Sort');
+    assert.ok(trace.every((step) => step.line >= 2 && step.line <= 13));
+});
+
+test('runs the entry function, with recursion', () => {
+    assert.strictEqual(pseudocode.run(FUNCTIONS, { entry: 'Fib', inputs: [10] }).result, 55);
+    assert.strictEqual(pseudocode.run(FUNCTIONS, { entry: 'Gcd', inputs: [12, 18] }).result, 6);
+});
+
+test('runs the statements at the top level', () => {
+    var result = pseudocode.run(String.raw`\begin{algorithmic}
+\STATE $s \gets 0$
+\FORALL{$x \in A$} \STATE $s \gets s + x^2$ \ENDFOR
+\PRINT $s$
+\end{algorithmic}`, { inputs: { A: [1, 2, 3] } });
+    assert.strictEqual(result.variables.s, 14);
+    assert.deepStrictEqual(result.output, [14]);
+});
+
+test('reports the errors of running, with the line', () => {
+    var error = runtimeError(INSERTION_SORT, { inputs: { A: [3, 1], n: 3 } });
+    assert.ok(error.trace.length > 0);
+    assert.ok(error.line >= 2 && error.line <= 13);
+
+    error = runtimeError(String.raw`\begin{algorithmic}\STATE $x \gets y$\end{algorithmic}`);
+    assert.match(error.message, /\by\b/);
+    runtimeError(FUNCTIONS, { entry: 'Loop', inputs: [0], maxSteps: 100 });
+    runtimeError(String.raw`\begin{algorithmic}\ASSERT{$1 > 2$}\end{algorithmic}`);
+});
+
+test('indexes the arrays from indexBase, with the built-in functions', () => {
+    var source = String.raw`\begin{algorithmic}
+\STATE $m \gets A[0]$
+\FOR{$i \gets 1$ \TO $|A| - 1$} \STATE $m \gets \max(m, A[i])$ \ENDFOR
+\STATE $r \gets \lfloor m / 2 \rfloor$
+\end{algorithmic}`;
+    var result = pseudocode.run(source, { inputs: { A: [3, 9, 4] }, indexBase: 0 });
+    assert.strictEqual(result.variables.m, 9);
+    assert.strictEqual(result.variables.r, 4);
+    assert.strictEqual(runtimeError(source, { inputs: { A: [3, 9, 4] } }).line, 2);
+});
+
+test('runs the other blocks as in any language', () => {
+    var result = pseudocode.run(String.raw`\begin{algorithmic}
+\STATE $n \gets 0$
+\REPEAT \STATE $n \gets n + 1$ \UNTIL{$n \ge 3$}
+\SWITCH{$n$}
+    \CASE{$2$} \STATE $s \gets 2$
+    \CASE{$3$} \STATE $s \gets 3$
+    \DEFAULT \STATE $s \gets 0$
+\ENDSWITCH
+\LOOP \STATE $n \gets n - 1$ \IF{$n = 0$} \BREAK \ENDIF \ENDLOOP
+\end{algorithmic}`);
+    assert.deepStrictEqual(result.variables, { n: 0, s: 3 });
+});
@@ -0,0 +1,36 @@
+/*
+ * The tests of the options of KaTeX, and of the macros shared by the math of
+ * an input.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithmic}
+\STATE $\gdef\N{\mathbb{N}} x \in \R$
+\STATE $y \in \N$
+\STATE $\frac{a$
+\end{algorithmic}`;
+
+test('shares the macros by all the math, and shows the errors in place', () => {
+    var katexOptions = { macros: { '\\R': '\\mathbb{R}' }, throwOnError: false, errorColor: '#123456' };
+    var html = pseudocode.renderToString(SOURCE, { katexOptions: katexOptions });
+    // \R of the option and \N of \gdef
+    assert.strictEqual(html.match(/class="mord mathbb"/g).length, 2);
+    assert.match(html, /<span class="katex-error" title="ParseError: [^"]*" style="color:#123456">\\frac\{a<\/span>/);
+    // The option is left as it is
+    assert.deepStrictEqual(katexOptions.macros, { '\\R': '\\mathbb{R}' });
+});
+
+test('throws the errors of KaTeX by default', () => {
+    assert.throws(() => pseudocode.renderToString(SOURCE, { katexOptions: { macros: { '\\R': 'R' } } }),
+                  /KaTeX parse error/);
+    assert.throws(() => pseudocode.renderToString(SOURCE, { katexOptions: 5 }), /The KaTeX options must be an object/);
+});
+
+test('adds the MathML to the output of KaTeX in accessible mode', () => {
+    var source = String.raw`\begin{algorithmic}\STATE $x$\end{algorithmic}`;
+    var katexOptions = { output: 'html' };
+    assert.doesNotMatch(pseudocode.renderToString(source, { katexOptions: katexOptions }), /katex-mathml/);
+    assert.match(pseudocode.renderToString(source, { katexOptions: katexOptions, accessible: true }), /katex-mathml/);
+});
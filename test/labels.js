@@ -0,0 +1,44 @@
+/*
+ * The tests of \label and \ref.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithm}
+\caption{Search \label{alg:search}}
+\begin{algorithmic}
+\STATE $i \gets 1$ \label{line:init}
+\STATE go to line \ref{line:init} or \ref{line:end} of Algorithm \ref{alg:search}, not \ref{none}
+\RETURN $i$ \label{line:end}
+\end{algorithmic}
+\end{algorithm}`;
+
+test('refers to lines and algorithms by their numbers, even later ones', () => {
+    assert.strictEqual(pseudocode.renderToText(SOURCE, { lineNumber: true }), [
+        'Algorithm 1: Search',
+        '1: $i \\gets 1$',
+        '2: go to line 1 or 3 of Algorithm 1, not ??',
+        '3: return $i$',
+    ].join('\n'));
+});
+
+test('links the references to the anchors of the labels', () => {
+    var html = pseudocode.renderToString(SOURCE, {
+        mathBackend: 'tex',
+        context: new pseudocode.Context({ idPrefix: 'doc-' }),
+    });
+    assert.ok(html.indexOf('<a class="ps-label" id="doc-label-line:init"></a>') >= 0, html);
+    assert.ok(html.indexOf('<a class="ps-label" id="doc-label-alg:search"></a>') >= 0, html);
+    assert.ok(html.indexOf('<a class="ps-ref" href="#doc-label-line:end" data-ref="line:end">3</a>') >= 0, html);
+    assert.ok(html.indexOf('<a class="ps-ref" href="#doc-label-none" data-ref="none">??</a>') >= 0, html);
+});
+
+test('refers to the labels of another algorithm of the same context', () => {
+    var context = new pseudocode.Context();
+    pseudocode.renderToText(SOURCE, { context: context });
+    var text = pseudocode.renderToText(String.raw`\begin{algorithmic}
+\STATE see line \ref{line:end} of Algorithm \ref{alg:search}
+\end{algorithmic}`, { context: context });
+    assert.strictEqual(text, 'see line 3 of Algorithm 1');
+});
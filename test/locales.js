@@ -0,0 +1,40 @@
+/*
+ * The tests of the locales of the keywords, and of right-to-left layout.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithm}
+\caption{Sign}
+\begin{algorithmic}
+\IF{$x$} \STATE $y$ \ELSE \RETURN $z$ \ENDIF
+\end{algorithmic}
+\end{algorithm}`;
+
+test('translates the keywords and the title of captions', () => {
+    assert.strictEqual(pseudocode.renderToText(SOURCE, { locale: 'de' }), [
+        'Algorithmus 1: Sign',
+        'falls $x$ dann',
+        '    $y$',
+        'sonst',
+        '    gib zurück $z$',
+        'ende falls',
+    ].join('\n'));
+});
+
+test('takes a custom locale, with the English keywords it leaves out', () => {
+    var lines = pseudocode.renderToText(SOURCE, { locale: { keywords: { if: 'si' } } }).split('\n');
+    assert.deepStrictEqual([lines[1], lines[5]], ['si $x$ then', 'end si']);
+    assert.throws(() => pseudocode.renderToText(SOURCE, { locale: 'xx' }), /Unknown locale `xx`/);
+    assert.throws(() => pseudocode.renderToText(SOURCE, { locale: { direction: 'up' } }), /Invalid direction/);
+});
+
+test('lays out a right-to-left locale from the right', () => {
+    var html = pseudocode.renderToString(SOURCE, { locale: 'ar', mathBackend: 'tex', lineNumber: true });
+    assert.match(html, /^<div class="ps-root ps-rtl" dir="rtl">/);
+    assert.match(html, /<span class="ps-keyword">خوارزمية 1: <\/span>/);
+    assert.match(html, /<div class="ps-block" style="margin-right:1.2em;">/);
+    assert.match(html, /<span class="ps-linenum" style="right:0em;">1:<\/span><span class="ps-keyword">إذا <\/span>/);
+    assert.doesNotMatch(html, /left:/);
+});
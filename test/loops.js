@@ -0,0 +1,48 @@
+/*
+ * The tests of \LOOP, \FOREACH, \DO ... \DOWHILE and the assertions \ASSERT,
+ * \INVARIANT and \ENSURE.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var outlineOf = require('./helpers/dom').outlineOf;
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithmic}
+\LOOP \STATE $a$ \ENDLOOP
+\FOREACH{$v \in V$} \STATE $b$ \ENDFOR
+\DO \STATE $c$ \DOWHILE{$c > 0$}
+\ASSERT{$p$}
+\INVARIANT{$q$}
+\ENSURE $r$
+\end{algorithmic}`;
+
+test('renders the loops and the assertions', () => {
+    var html = pseudocode.renderToString(SOURCE, { mathBackend: 'tex' });
+    assert.deepStrictEqual(outlineOf(html), [
+        'loop',
+        '  $a$',
+        'end loop',
+        'for each $v \\in V$ do',
+        '  $b$',
+        'end for',
+        'do',
+        '  $c$',
+        'while $c > 0$',
+        'assert $p$',
+        'invariant $q$',
+        'Ensure: $r$',
+    ]);
+    assert.match(html, /<p class="ps-line ps-code ps-assertion">\n<span class="ps-keyword ps-assert">assert <\/span>/);
+    assert.match(html, /<span class="ps-keyword ps-invariant">invariant <\/span>/);
+});
+
+test('numbers the assertions as lines of code, but not a postcondition', () => {
+    var lines = pseudocode.renderToText(SOURCE, { lineNumber: true }).split('\n');
+    assert.deepStrictEqual(lines.slice(-3), ['10: assert $p$', '11: invariant $q$', 'Ensure: $r$']);
+});
+
+test('rejects a loop that is not closed by its own keyword', () => {
+    assert.throws(() => pseudocode.parse(String.raw`\begin{algorithmic}
+\DO \STATE $c$ \ENDWHILE
+\end{algorithmic}`), /Expected \\DOWHILE/);
+});
@@ -0,0 +1,48 @@
+/*
+ * The tests of macros: \newcommand and \renewcommand in the input, and the
+ * `macros` option.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\newcommand{\Cost}[1]{\mathcal{C}(#1)}
+\newcommand{\Greet}[2][World]{Hello #1 and #2}
+\begin{algorithmic}
+\IF{$c = \Cost{n}$}
+    \STATE \Greet{you}
+    \STATE \Greet[Bob]{you}
+    \STATE $\Max{a}$
+\ENDIF
+\end{algorithmic}`;
+
+test('expands the macros of the input and of the macros option', () => {
+    assert.strictEqual(pseudocode.renderToText(SOURCE, { macros: { '\\Max': '\\max(#1)' } }), [
+        'if $c = \\mathcal{C}(n)$ then',
+        '    Hello World and you',
+        '    Hello Bob and you',
+        '    $\\max(a)$',
+        'end if',
+    ].join('\n'));
+});
+
+test('redefines the keywords as macros', () => {
+    var text = pseudocode.renderToText(String.raw`\renewcommand{\algorithmicrequire}{\textbf{Input:}}
+\renewcommand{\algorithmicend}{fin}
+\begin{algorithmic}
+\REQUIRE $n$
+\WHILE{$n > 0$} \STATE $n \gets n - 1$ \ENDWHILE
+\end{algorithmic}`);
+    assert.strictEqual(text, 'Input: $n$\nwhile $n > 0$ do\n    $n \\gets n - 1$\nfin while');
+});
+
+test('keeps the macros as they are when formatting', () => {
+    var formatted = pseudocode.format(SOURCE);
+    assert.ok(formatted.startsWith(`${String.raw`\newcommand{\Cost}[1]{\mathcal{C}(#1)}`}\n`), formatted);
+    assert.ok(formatted.indexOf('\\STATE \\Greet[Bob]{you}') >= 0, formatted);
+});
+
+test('stops a macro that expands forever', () => {
+    assert.throws(() => pseudocode.parse(String.raw`\newcommand{\Loop}{\Loop}
+\begin{algorithmic}\STATE \Loop\end{algorithmic}`), /Too many nested expansions of \\Loop/);
+});
@@ -0,0 +1,64 @@
+/*
+ * The tests of the math backends.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithmic}
+\STATE $\alpha \le \beta_1$ and $$x^2$$
+\end{algorithmic}`;
+
+function mathOf (html) {
+    return /<p class="ps-line ps-code">\n(.*)<\/p>/.exec(html)[1];
+}
+
+function isInstalled (name) {
+    try {
+        require.resolve(name);
+        return true;
+    }
+    catch (_) {
+        return false;
+    }
+}
+
+test('approximates the math in Unicode text', () => {
+    assert.strictEqual(mathOf(pseudocode.renderToString(SOURCE, { mathBackend: 'unicode' })),
+                       '<span class="ps-math ps-math-unicode" title="\\alpha \\le \\beta_1">' +
+                       '<span style="font-style:italic">α</span>\u2005≤\u2005<span style="font-style:italic">β</span>' +
+                       '<span style="font-size:0.7em;vertical-align:-0.286em">1</span></span> and ' +
+                       '<span class="ps-math ps-math-unicode ps-math-display" title="x^2">' +
+                       '<span style="font-style:italic">x</span>' +
+                       '<span style="font-size:0.7em;vertical-align:0.571em">2</span></span>');
+});
+
+test('shows the TeX of the math', () => {
+    assert.strictEqual(mathOf(pseudocode.renderToString(SOURCE, { mathBackend: 'tex' })),
+                       '<span class="ps-math ps-math-tex" title="\\alpha \\le \\beta_1">$\\alpha \\le \\beta_1$</span> and ' +
+                       '<span class="ps-math ps-math-tex ps-math-display" title="x^2">$$x^2$$</span>');
+});
+
+test('renders the math with KaTeX, the first engine available', () => {
+    var html = pseudocode.renderToString(SOURCE);
+    assert.match(html, /<span class="katex">/);
+    assert.match(html, /<span class="katex-display">/);
+    assert.strictEqual(pseudocode.renderToString(SOURCE, { mathBackend: pseudocode.mathBackends.katex(require('katex')) }),
+                       html);
+});
+
+test('takes a backend of its own', () => {
+    var html = pseudocode.renderToString(SOURCE, {
+        mathBackend: {
+            name: 'code',
+            renderMath: (tex, options) => `<code>${tex}${options.displayMode ? ' (display)' : ''}</code>`,
+        },
+    });
+    assert.strictEqual(mathOf(html), '<code>\\alpha \\le \\beta_1</code> and <code>x^2 (display)</code>');
+});
+
+test('rejects an unknown backend or one without its engine', () => {
+    assert.throws(() => pseudocode.renderToString(SOURCE, { mathBackend: 'nope' }), /Unknown math backend `nope`/);
+    if (!isInstalled('temml'))
+        assert.throws(() => pseudocode.renderToString(SOURCE, { mathBackend: 'temml' }), EvalError);
+});
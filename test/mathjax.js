@@ -0,0 +1,40 @@
+/*
+ * The tests of typesetting math with MathJax outside of a page, which need
+ * the mathjax package: they are skipped without it.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var hasMathJax = true;
+try {
+    require.resolve('mathjax');
+}
+catch (_) {
+    hasMathJax = false;
+}
+
+var SOURCE = String.raw`\begin{algorithmic}
+\STATE $x^2$
+\end{algorithmic}`;
+
+test('typesets the math with both outputs in one process', { skip: !hasMathJax && 'mathjax is not installed' }, () => {
+    var svgOptions = { mathBackend: 'mathjax', mathjaxOutput: 'svg' };
+    return pseudocode.renderToStringAsync(SOURCE, svgOptions).then((html) => {
+        assert.match(html, /^<style id="MJX-SVG-styles">/);
+        assert.match(html, /<mjx-container class="MathJax" jax="SVG"><svg /);
+        return pseudocode.renderToStringAsync(SOURCE, { mathBackend: 'mathjax' });
+    }).then((html) => {
+        assert.match(html, /^<style id="MJX-CHTML-styles">/);
+        assert.match(html, /<mjx-container class="MathJax" jax="CHTML">/);
+        // Once MathJax is loaded, the math is typeset synchronously
+        assert.match(pseudocode.renderToString(SOURCE, svgOptions), /jax="SVG"/);
+    });
+});
+
+test('rejects the rendering without MathJax', { skip: hasMathJax && 'mathjax is installed' }, () => {
+    // Outside of a page, the backend loads the mathjax package to typeset
+    var mathBackend = pseudocode.mathBackends.mathjax({});
+    return assert.rejects(pseudocode.renderToStringAsync(SOURCE, { mathBackend: mathBackend }),
+                          /install the mathjax package/);
+});
@@ -0,0 +1,39 @@
+/*
+ * The tests of the parse tree of parse(), with the positions of its nodes.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+test('parses an algorithm into its nodes', () => {
+    var tree = pseudocode.parse(String.raw`\begin{algorithm}
+\caption{Max}
+\begin{algorithmic}
+\STATE $m \gets A[1]$
+\end{algorithmic}
+\end{algorithm}`);
+    assert.strictEqual(tree.type, 'root');
+    var algorithm = tree.children[0];
+    assert.strictEqual(algorithm.type, 'algorithm');
+    assert.deepStrictEqual(algorithm.children.map((node) => node.type), ['caption', 'algorithmic']);
+
+    var statement = algorithm.children[1].children[0].children[0];
+    assert.strictEqual(statement.type, 'statement');
+    assert.strictEqual(statement.value, 'state');
+    assert.strictEqual(statement.children[0].children[0].type, 'math');
+    assert.strictEqual(statement.children[0].children[0].value, 'm \\gets A[1]');
+});
+
+test('gives every node its start and end in the source', () => {
+    var source = String.raw`\begin{algorithmic}
+\STATE $x$ % the comment is not a node
+\end{algorithmic}`;
+    var statement = pseudocode.parse(source).children[0].children[0].children[0];
+    assert.deepStrictEqual(statement.start, { offset: 20, line: 2, column: 1 });
+    assert.deepStrictEqual(statement.end, { offset: 30, line: 2, column: 11 });
+    assert.strictEqual(source.substring(statement.start.offset, statement.end.offset), '\\STATE $x$');
+});
+
+test('rejects an empty input', () => {
+    assert.throws(() => pseudocode.parse(), ReferenceError);
+});
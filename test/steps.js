@@ -0,0 +1,61 @@
+/*
+ * The tests of stepping through the lines, and of the lines as the fragments
+ * of a reveal.js slide.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var setUpDOM = require('./helpers/dom').setUpDOM;
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithmic}
+\STATE $x$
+\IF{$a$} \STATE $y$ \ENDIF
+\end{algorithmic}`;
+
+function highlightedOf (steps) {
+    return [].map.call(steps.element.querySelectorAll('.ps-highlight'), (line) => line.textContent.trim());
+}
+
+test('moves the highlight across the lines of a rendered element', () => {
+    var elem = pseudocode.render(SOURCE, setUpDOM().body, { mathBackend: 'tex' });
+    var steps = pseudocode.stepThrough(elem);
+    assert.strictEqual(steps.element, elem);
+    assert.strictEqual(steps.lines.length, 4);
+    assert.strictEqual(steps.prev(), null);
+
+    assert.strictEqual(steps.next(), steps.lines[0]);
+    assert.deepStrictEqual(highlightedOf(steps), ['$x$']);
+    assert.strictEqual(steps.lines[0].getAttribute('aria-current'), 'step');
+    steps.next();
+    assert.deepStrictEqual(highlightedOf(steps), ['if $a$ then']);
+    assert.strictEqual(steps.lines[0].hasAttribute('aria-current'), false);
+    steps.prev();
+    assert.deepStrictEqual(highlightedOf(steps), ['$x$']);
+
+    steps.highlight(4);
+    assert.strictEqual(steps.current, 4);
+    assert.strictEqual(steps.next(), null);
+    assert.deepStrictEqual(highlightedOf(steps), ['end if']);
+    steps.reset();
+    assert.strictEqual(steps.current, 0);
+    assert.deepStrictEqual(highlightedOf(steps), []);
+    assert.throws(() => steps.highlight(5), RangeError);
+    assert.throws(() => pseudocode.stepThrough(null), ReferenceError);
+});
+
+test('expands the collapsed blocks of the highlighted line', () => {
+    var elem = pseudocode.render(SOURCE, setUpDOM().body, { interactive: true, mathBackend: 'tex' });
+    pseudocode.collapseBlocks(elem);
+    var block = elem.querySelector('.ps-foldable');
+    assert.ok(block.classList.contains('ps-collapsed'));
+    pseudocode.stepThrough(elem).highlight(3);
+    assert.ok(!block.classList.contains('ps-collapsed'));
+});
+
+test('makes the code lines the fragments of a slide', () => {
+    var html = pseudocode.renderToString(SOURCE, { fragments: 'fade-up', mathBackend: 'tex' });
+    assert.strictEqual(html.match(/<p class="ps-line ps-code fragment fade-up">/g).length, 4);
+    html = pseudocode.renderToString(SOURCE, { fragments: true, mathBackend: 'tex' });
+    assert.strictEqual(html.match(/<p class="ps-line ps-code fragment">/g).length, 4);
+    assert.throws(() => pseudocode.renderToString(SOURCE, { fragments: 1 }), TypeError);
+});
@@ -0,0 +1,105 @@
+/*
+ * The tests of the styles, i.e. the presets of options of the `style` option.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithm}
+\caption{Find}
+\begin{algorithmic}
+\PROCEDURE{Find}{$A, x$}
+    \FOR{$i \gets 1$ \TO $n$}
+        \IF{$A[i] = x$}
+            \RETURN \TRUE \COMMENT{found}
+        \ELSIF{$i > x$}
+            \BREAK
+        \ENDIF
+    \ENDFOR
+\ENDPROCEDURE
+\end{algorithmic}
+\end{algorithm}`;
+
+test('follows the conventions of CLRS', () => {
+    assert.strictEqual(pseudocode.renderToText(SOURCE, { style: 'clrs' }), [
+        'Algorithm 1: Find',
+        '1: Find($A, x$)',
+        '2:     for $i \\gets 1$ to $n$',
+        '3:         if $A[i] = x$',
+        '4:             return TRUE ▷ found',
+        '5:         elseif $i > x$',
+        '6:             break',
+    ].join('\n'));
+});
+
+test('keeps the do of \\DO in the CLRS style', () => {
+    var text = pseudocode.renderToText(String.raw`\begin{algorithmic}
+\DO \STATE $i \gets i + 1$ \DOWHILE{$i < n$}
+\WHILE{$i > 0$} \STATE $i \gets i - 1$ \ENDWHILE
+\end{algorithmic}`, { style: 'clrs' });
+    assert.strictEqual(text, [
+        '1: do',
+        '2:     $i \\gets i + 1$',
+        '3: while $i < n$',
+        '4: while $i > 0$',
+        '5:     $i \\gets i - 1$',
+    ].join('\n'));
+});
+
+test('flushes the comments right as algpseudocode does', () => {
+    var source = String.raw`\begin{algorithmic}
+\STATE $i \gets 0$ \COMMENT{start}
+\WHILE{$i < n$} \COMMENT{every item}
+    \STATE $i \gets i + 1$
+\ENDWHILE
+\end{algorithmic}`;
+    assert.strictEqual(pseudocode.renderToText(source, { style: 'algpseudocode' }), [
+        '$i \\gets 0$           ▷ start',
+        'while $i < n$ do ▷ every item',
+        '    $i \\gets i + 1$',
+        'end while',
+    ].join('\n'));
+
+    var html = pseudocode.renderToString(source, { style: 'algpseudocode', mathBackend: 'tex' });
+    assert.match(html, /<\/span><span class="ps-comment ps-flushed">▷ start<\/span>/);
+
+    var svg = pseudocode.renderToSVG(source, { style: 'algpseudocode' });
+    var width = Number(/<svg [^>]*width="(\d+)"/.exec(svg)[1]);
+    var comment = `<text x="${width - 8}" y="[\\d.]+" text-anchor="end" xml:space="preserve"><tspan>▷ start</tspan></text>`;
+    assert.match(svg, new RegExp(comment));
+});
+
+test('ends the statements and the blocks as algorithm2e does', () => {
+    assert.strictEqual(pseudocode.renderToText(SOURCE, { style: 'algorithm2e' }), [
+        'Algorithm 1: Find',
+        'Procedure Find($A, x$)',
+        '    for $i \\gets 1$ to $n$ do',
+        '        if $A[i] = x$ then',
+        '            return true; // found',
+        '        else if $i > x$ then',
+        '            break;',
+        '        end',
+        '    end',
+        'end',
+    ].join('\n'));
+});
+
+test('gives precedence to the options over the style', () => {
+    var lines = pseudocode.renderToText(SOURCE, {
+        style: 'clrs',
+        lineNumber: false,
+        keywords: { elsif: 'else if' },
+    }).split('\n');
+    assert.deepStrictEqual([lines[1], lines[3], lines[5]],
+                           ['Find($A, x$)', '        if $A[i] = x$', '        else if $i > x$']);
+});
+
+test('takes the styles that are defined', () => {
+    pseudocode.defineStyle('journal', { statementTerminator: ';', keywords: { endfor: 'od' } });
+    var text = pseudocode.renderToText(String.raw`\begin{algorithmic}
+\FOR{$i$} \STATE $x$ \ENDFOR
+\end{algorithmic}`, { style: 'journal' });
+    assert.strictEqual(text, 'for $i$ do\n    $x$;\nod');
+    assert.throws(() => pseudocode.renderToText(SOURCE, { style: 'nope' }), /Unknown style `nope`/);
+    assert.throws(() => pseudocode.defineStyle('', {}), TypeError);
+});
@@ -0,0 +1,54 @@
+/*
+ * The tests of the standalone SVG output.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithm}
+\caption{Max}
+\begin{algorithmic}
+\IF{$x^2 \leq y$} \STATE $y$ \ENDIF
+\end{algorithmic}
+\end{algorithm}`;
+
+function textsOf (svg) {
+    return svg.match(/<text [^>]*>.*?<\/text>/g);
+}
+
+test('draws the lines, their numbers and the rules of an algorithm', () => {
+    var svg = pseudocode.renderToSVG(SOURCE, { lineNumber: true });
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="\d+" height="\d+" /);
+    assert.match(svg, /<rect width="100%" height="100%" fill="white"\/>/);
+    assert.strictEqual(svg.match(/<line /g).length, 3);
+    assert.deepStrictEqual(textsOf(svg).slice(0, 3), [
+        '<text x="8" y="28.6" xml:space="preserve"><tspan font-weight="bold">Algorithm 1: </tspan><tspan>Max</tspan></text>',
+        '<text x="31.68" y="53" font-size="12.8" text-anchor="end">1:</text>',
+        '<text x="36.8" y="53" xml:space="preserve"><tspan font-weight="bold">if </tspan>' +
+            '<tspan font-style="italic">x</tspan><tspan font-size="11.2" dy="-6.4">2</tspan>' +
+            '<tspan dy="6.4">\u2005≤\u2005</tspan><tspan font-style="italic">y</tspan>' +
+            '<tspan font-weight="bold"> then</tspan></text>',
+    ]);
+    // The block is indented
+    assert.match(svg, /<text x="56" y="72.2" xml:space="preserve"><tspan font-style="italic">y<\/tspan><\/text>/);
+});
+
+test('keeps the fonts of text commands', () => {
+    var svg = pseudocode.renderToSVG(String.raw`\begin{algorithmic}
+\STATE \textbf{bold} \textit{italic {\ttfamily mono}} \texttt{mono} \textsc{caps}
+\end{algorithmic}`);
+    var runs = svg.match(/<tspan[^>]*>[^<]+<\/tspan>/g);
+    assert.ok(runs.indexOf('<tspan font-weight="bold">bold</tspan>') >= 0, runs);
+    assert.ok(runs.indexOf('<tspan font-style="italic">italic </tspan>') >= 0, runs);
+    assert.ok(runs.indexOf('<tspan font-style="italic" font-family="monospace">mono</tspan>') >= 0, runs);
+    assert.ok(runs.indexOf('<tspan font-family="monospace">mono</tspan>') >= 0, runs);
+    assert.ok(runs.indexOf('<tspan font-variant="small-caps">caps</tspan>') >= 0, runs);
+});
+
+test('mirrors a right-to-left layout, with the options of its own', () => {
+    var svg = pseudocode.renderToSVG(SOURCE, { locale: 'ar', background: 'none', fontSize: 20 });
+    assert.match(svg, / font-size="20" fill="black">\n<line /);
+    assert.doesNotMatch(svg, /<rect /);
+    var width = Number(/width="(\d+)"/.exec(svg)[1]);
+    assert.ok(textsOf(svg)[0].startsWith(`<text x="${width - 10}" y="35" direction="rtl" xml:space="preserve">`));
+});
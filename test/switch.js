@@ -0,0 +1,51 @@
+/*
+ * The tests of \SWITCH, \CASE and \DEFAULT.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var outlineOf = require('./helpers/dom').outlineOf;
+var pseudocode = require('../pseudocode');
+
+var SOURCE = String.raw`\begin{algorithmic}
+\SWITCH{$c$}
+    \CASE{$1$} \STATE $x$
+    \CASE{$2$} \STATE $y$
+    \DEFAULT \STATE $z$
+\ENDSWITCH
+\end{algorithmic}`;
+
+test('renders the cases in the block of the switch', () => {
+    assert.deepStrictEqual(outlineOf(pseudocode.renderToString(SOURCE, { mathBackend: 'tex' })), [
+        'switch $c$ do',
+        '  case $1$ do',
+        '    $x$',
+        '  case $2$ do',
+        '    $y$',
+        '  default do',
+        '    $z$',
+        'end switch',
+    ]);
+    assert.strictEqual(pseudocode.renderToText(SOURCE, { lineNumber: true }).split('\n').pop(), '8: end switch');
+});
+
+test('formats a switch back to its source', () => {
+    assert.strictEqual(pseudocode.format(SOURCE), [
+        '\\begin{algorithmic}',
+        '\\SWITCH{$c$}',
+        '    \\CASE{$1$}',
+        '        \\STATE $x$',
+        '    \\CASE{$2$}',
+        '        \\STATE $y$',
+        '    \\DEFAULT',
+        '        \\STATE $z$',
+        '\\ENDSWITCH',
+        '\\end{algorithmic}',
+        '',
+    ].join('\n'));
+});
+
+test('rejects a statement outside of the cases', () => {
+    assert.throws(() => pseudocode.parse(String.raw`\begin{algorithmic}
+\SWITCH{$c$} \STATE $x$ \ENDSWITCH
+\end{algorithmic}`), pseudocode.ParseError);
+});
@@ -0,0 +1,51 @@
+/*
+ * The tests of the plain-text output, renderToText.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var EUCLID = String.raw`\begin{algorithm}
+\caption{Euclid}
+\begin{algorithmic}
+\REQUIRE $a, b$
+\FUNCTION{Gcd}{$a, b$}
+    \WHILE{$b \neq 0$} \STATE $t \gets b$ \COMMENT{swap} \ENDWHILE
+    \RETURN $a$
+\ENDFUNCTION
+\end{algorithmic}
+\end{algorithm}`;
+
+test('renders an algorithm as indented plain text', () => {
+    assert.strictEqual(pseudocode.renderToText(EUCLID, { lineNumber: true, indentSize: 2 }), [
+        'Algorithm 1: Euclid',
+        'Require: $a, b$',
+        '1: function Gcd($a, b$)',
+        '2:   while $b \\neq 0$ do',
+        '3:     $t \\gets b$ // swap',
+        '4:   end while',
+        '5:   return $a$',
+        '6: end function',
+    ].join('\n'));
+});
+
+test('highlights keywords, function names and math with ANSI escape codes', () => {
+    var lines = pseudocode.renderToText(EUCLID, { color: true }).split('\n');
+    assert.strictEqual(lines[0], '\u001b[1mAlgorithm 1: \u001b[0mEuclid');
+    assert.strictEqual(lines[2], '\u001b[1mfunction \u001b[0m\u001b[36mGcd\u001b[0m(\u001b[3m$a, b$\u001b[0m)');
+    assert.strictEqual(lines[4], '        \u001b[3m$t \\gets b$\u001b[0m\u001b[2m // swap\u001b[0m');
+});
+
+test('counts an indentation in em as two spaces per em', () => {
+    var text = pseudocode.renderToText(String.raw`\begin{algorithmic}
+\IF{$x$} \STATE $y$ \ENDIF
+\end{algorithmic}`, { indentSize: '1.5em', noEnd: true });
+    assert.strictEqual(text, 'if $x$ then\n   $y$');
+});
+
+test('highlights bold and italic plain text with ANSI escape codes', () => {
+    var text = pseudocode.renderToText(String.raw`\begin{algorithmic}
+\STATE \textbf{bold} \textit{italic} plain
+\end{algorithmic}`, { color: true });
+    assert.strictEqual(text, '\u001b[1mbold\u001b[0m \u001b[3mitalic\u001b[0m plain');
+});
@@ -0,0 +1,73 @@
+/*
+ * The tests of tolerant mode, where the errors are rendered in place.
+ **/
+var test = require('node:test');
+var assert = require('node:assert');
+var pseudocode = require('../pseudocode');
+
+var options = { tolerant: true, lineNumber: true };
+
+test('marks an unexpected command and a missing closer in place', () => {
+    var source = String.raw`\begin{algorithmic}
+\STATE a
+\IF{x} \STATE b \ENDFOR
+\STATE c
+\end{algorithmic}`;
+    var tree = pseudocode.parse(source, options);
+    assert.deepStrictEqual(tree.diagnostics.map((e) => e.reason), ['Unexpected \\ENDFOR', 'Missing \\ENDIF']);
+    assert.strictEqual(pseudocode.renderToText(source, options), [
+        '1: a',
+        '2: if x then',
+        '3:     b',
+        '       \\ENDFOR <-- Error: Unexpected \\ENDFOR at line 3, column 17',
+        '4:     c',
+        '       <-- Error: Missing \\ENDIF at line 5, column 1',
+        '5: end if',
+    ].join('\n'));
+});
+
+test('leaves the lines of errors unnumbered', () => {
+    var html = pseudocode.renderToString(String.raw`\begin{algorithmic}
+\STATE a \ENDWHILE
+\STATE b
+\end{algorithmic}`, options);
+    var lines = html.match(/<p class="ps-line[^"]*"[^>]*>\s*(<span class="ps-linenum"[^>]*>[^<]*)?/g);
+    assert.strictEqual(lines.length, 3);
+    assert.ok(/ps-error/.test(lines[1]) && !/ps-linenum/.test(lines[1]), lines[1]);
+    assert.ok(/>2:$/.test(lines[2]), lines[2]);
+});
+
+test('skips a caption with an unclosed brace', () => {
+    var source = String.raw`\begin{algorithm}
+\caption{Max
+\begin{algorithmic}
+\STATE a
+\end{algorithmic}
+\end{algorithm}`;
+    assert.throws(() => pseudocode.parse(source), pseudocode.ParseError);
+    var tree = pseudocode.parse(source, options);
+    assert.deepStrictEqual(tree.diagnostics.map((e) => e.reason), ['Expected } but received \\begin']);
+    assert.strictEqual(pseudocode.renderToText(source, options),
+                       '\\caption{Max <-- Error: Expected } but received \\begin at line 3, column 1\n1: a');
+});
+
+test('skips a caption with an unclosed brace in algorithm2e', () => {
+    var source = String.raw`\begin{algorithm}
+\caption{Max
+a\;
+b\;
+\end{algorithm}`;
+    var text = pseudocode.renderToText(source, Object.assign({ dialect: 'algorithm2e' }, options));
+    assert.strictEqual(text.split('\n').pop(), '1: b');
+});
+
+test('marks a missing \\end of an environment', () => {
+    var source = String.raw`\begin{algorithm}
+\begin{algorithmic}
+\STATE a
+\end{algorithm}`;
+    var tree = pseudocode.parse(source, options);
+    assert.strictEqual(tree.diagnostics.length, 2);
+    var html = pseudocode.renderToString(source, options);
+    assert.strictEqual(html.match(/ps-error-message/g).length, 2);
+});